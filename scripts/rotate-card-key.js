@@ -0,0 +1,27 @@
+// scripts/rotate-card-key.js — recifra todos os card codes com a chave atual (npm run rotate-card-key)
+// 1) set the new key in CARD_ENCRYPTION_KEY and move the old one to CARD_ENCRYPTION_OLD_KEYS
+// 2) run this (the bot may keep running: it reads both keys)
+// 3) once it reports 0 unreadable rows, drop the old key from CARD_ENCRYPTION_OLD_KEYS
+import 'dotenv/config';
+import { CARD_ENCRYPTION_KEY, CARD_ENCRYPTION_OLD_KEYS } from '../src/config.js';
+import { loadCardKeys, reencryptCards } from '../src/cards.js';
+import { db, initDb } from '../src/db.js';
+
+try {
+  loadCardKeys(CARD_ENCRYPTION_KEY, CARD_ENCRYPTION_OLD_KEYS);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+try {
+  await initDb();
+  const res = await reencryptCards(db, { rotate: true });
+  console.log(`Rotated ${res.rotated} card code(s), encrypted ${res.encrypted} plaintext, ${res.unreadable} unreadable.`);
+  if (res.unreadable) console.warn('Unreadable rows use a key missing from CARD_ENCRYPTION_KEY/CARD_ENCRYPTION_OLD_KEYS; they were left untouched.');
+  await db.close();
+  process.exit(res.unreadable ? 2 : 0);
+} catch (e) {
+  console.error('Key rotation failed', e);
+  process.exit(1);
+}
@@ -0,0 +1,68 @@
+// scripts/search-events.js — busca no arquivo de eventos (npm run search-events -- --type payment_failed --since 7d)
+// --type a,b   event types (see EVENT_TYPES in src/eventlog.js)
+// --guild id / --user id   a user matches any data value (member, giver, recipient, staff...)
+// --since / --until   a duration back from now (30m, 12h, 7d) or a date (2026-01-31)
+// --text word   case-insensitive, in the title and description
+// --json   print the matching lines as they are; --file path overrides EVENT_LOG_FILE
+import 'dotenv/config';
+import fs from 'fs';
+import readline from 'readline';
+import { parseArgs } from 'util';
+import { EVENT_LOG_FILE } from '../src/config.js';
+import { matchesEvent } from '../src/eventlog.js';
+import { parseDuration } from '../src/util.js';
+
+function parseWhen(str) {
+  if (!str) return null;
+  const sec = parseDuration(str);
+  if (sec) return Date.now() - sec * 1000;
+  const ms = Date.parse(str);
+  if (Number.isNaN(ms)) {
+    console.error(`Invalid date or duration: ${str}`);
+    process.exit(1);
+  }
+  return ms;
+}
+
+const { values: args } = parseArgs({
+  options: {
+    type: { type: 'string' },
+    guild: { type: 'string' },
+    user: { type: 'string' },
+    since: { type: 'string' },
+    until: { type: 'string' },
+    text: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    file: { type: 'string', default: EVENT_LOG_FILE }
+  }
+});
+
+if (!args.file || !fs.existsSync(args.file)) {
+  console.error(`Event log file not found: ${args.file || '(EVENT_LOG_FILE is off)'}`);
+  process.exit(1);
+}
+
+const filters = {
+  type: args.type ? args.type.split(',').map(s => s.trim()) : null,
+  guildId: args.guild || null,
+  userId: args.user || null,
+  since: parseWhen(args.since),
+  until: parseWhen(args.until),
+  text: args.text || null
+};
+
+let found = 0;
+const lines = readline.createInterface({ input: fs.createReadStream(args.file), crlfDelay: Infinity });
+for await (const line of lines) {
+  if (!line.trim()) continue;
+  let entry;
+  try {
+    entry = JSON.parse(line);
+  } catch (e) {
+    continue;
+  }
+  if (!matchesEvent(entry, filters)) continue;
+  found++;
+  console.log(args.json ? line : `${entry.ts}  ${entry.type}  ${entry.guild_id || '-'}  ${entry.title}: ${String(entry.description).replace(/\n/g, ' ')}`);
+}
+if (!args.json) console.error(`${found} event(s)`);
@@ -0,0 +1,20 @@
+// shard.js — entrada com sharding: o ShardingManager abre um processo por shard, cada um rodando o index.js
+// Cada processo atende só as guilds dos seus shards; o checkout roda em um processo por vez (lease no banco).
+import 'dotenv/config';
+import { fileURLToPath } from 'url';
+import { ShardingManager } from 'discord.js';
+import { DISCORD_TOKEN, totalShards } from './src/config.js';
+import { db, initDb } from './src/db.js';
+import { validateEnv } from './src/startup.js';
+
+// same checks as each shard's index.js; the card keys are needed by the migrations below
+validateEnv();
+
+const manager = new ShardingManager(fileURLToPath(new URL('./index.js', import.meta.url)), { token: DISCORD_TOKEN, totalShards });
+manager.on('shardCreate', shard => console.log(`Shard ${shard.id} launched`));
+// migrations (and the backup before them) run here, once: the shards then find the schema up to date
+// instead of migrating the same file at the same time
+initDb()
+  .then(() => db.close())
+  .then(() => manager.spawn())
+  .catch(err => { console.error('DB migration/shard spawn failed', err); process.exit(1); });
@@ -0,0 +1,188 @@
+// src/adminapi.js — API HTTP local de admin: saúde, métricas, consultas somente leitura e checkout sob demanda
+import http from 'http';
+import crypto from 'crypto';
+import { PAYMENT_PROVIDER } from './config.js';
+import { nowTs } from './util.js';
+import { db } from './db.js';
+import { client } from './bot.js';
+import { getGuildRow } from './guilds.js';
+import { paymentProviders } from './providers.js';
+import { CHECKOUT_LEASE, checkoutGuild } from './checkout.js';
+import { leaseHolder } from './lease.js';
+import { unsettledPlatformFees } from './fees.js';
+import { metrics } from './metrics.js';
+import { pendingNotificationCount } from './notifications.js';
+
+const MAX_PAGE = 1000;
+
+// ---- Handlers ----
+// each one gets (params from the path, URLSearchParams) and returns { status, body } (object -> JSON, string -> text)
+async function health() {
+  const database = await db.get('SELECT 1 AS ok').then(() => true, () => false);
+  const discord = !!(client && typeof client.isReady === 'function' && client.isReady());
+  const provider = paymentProviders.get(PAYMENT_PROVIDER);
+  const paymentApi = provider && provider.ping ? await provider.ping() : { reachable: null };
+  const ok = database && discord && paymentApi.reachable !== false;
+  return {
+    status: ok ? 200 : 503,
+    body: {
+      status: ok ? 'ok' : 'unhealthy',
+      uptimeSec: nowTs() - metrics.startedTs,
+      checks: { database, discord, paymentApi: { provider: PAYMENT_PROVIDER, ...paymentApi } },
+      lastCheckout: { startedTs: metrics.lastCheckoutStartedTs, finishedTs: metrics.lastCheckoutFinishedTs, ok: metrics.lastCheckoutOk },
+      shards: client && client.shard ? client.shard.ids : null,
+      checkoutLease: await leaseHolder(CHECKOUT_LEASE),
+      dmQueue: await pendingNotificationCount()
+    }
+  };
+}
+
+// Prometheus text format
+async function metricsText() {
+  const guilds = await db.get('SELECT SUM(active = 1 AND paused = 0) AS active, SUM(active = 0 AND paused = 0) AS inactive, SUM(paused = 1) AS paused FROM guilds');
+  const subs = await db.get('SELECT COUNT(*) AS n FROM subscriptions WHERE active = 1');
+  const fees = await unsettledPlatformFees();
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP premiumsub_${name} ${help}`, `# TYPE premiumsub_${name} ${type}`);
+    for (const [labels, value] of samples) lines.push(`premiumsub_${name}${labels} ${value ?? 0}`);
+  };
+  metric('charges_attempted_total', 'counter', 'Charges attempted since the process started.', [['', metrics.chargesAttempted]]);
+  metric('charges_total', 'counter', 'Charges by outcome since the process started.', [
+    ['{status="confirmed"}', metrics.chargesConfirmed], ['{status="failed"}', metrics.chargesFailed], ['{status="unknown"}', metrics.chargesUnknown]
+  ]);
+  metric('checkout_ticks_total', 'counter', 'periodicCheckout runs.', [['', metrics.checkoutTicks]]);
+  metric('checkout_ticks_skipped_total', 'counter', 'Ticks skipped because the previous one was still running.', [['', metrics.checkoutTicksSkipped]]);
+  metric('checkout_ticks_not_leader_total', 'counter', 'Ticks left to the process (shard, standby instance) holding the checkout lease.', [['', metrics.checkoutTicksNotLeader]]);
+  metric('checkout_errors_total', 'counter', 'Guild fees and renewals that threw during a checkout.', [['', metrics.checkoutItemErrors]]);
+  metric('checkout_last_run_timestamp_seconds', 'gauge', 'End of the last periodicCheckout (unix time).', [['', metrics.lastCheckoutFinishedTs]]);
+  metric('checkout_last_success', 'gauge', '1 when the last periodicCheckout finished without an error.', [['', metrics.lastCheckoutOk ? 1 : 0]]);
+  metric('checkout_last_duration_seconds', 'gauge', 'Duration of the last periodicCheckout.', [['', metrics.lastCheckoutDurationMs === null ? 0 : metrics.lastCheckoutDurationMs / 1000]]);
+  metric('dm_queue_length', 'gauge', 'Notifications waiting to be sent or retried.', [['', await pendingNotificationCount()]]);
+  metric('platform_fees_unsettled', 'gauge', 'Platform shares of member payments not sent to the platform card yet.', [['{state="retrying"}', fees.count - fees.givenUp], ['{state="given_up"}', fees.givenUp]]);
+  metric('platform_fees_unsettled_coins', 'gauge', 'Coins of those platform shares.', [['', Number(fees.total)]]);
+  metric('guilds', 'gauge', 'Guilds by billing state.', [['{state="active"}', guilds.active], ['{state="inactive"}', guilds.inactive], ['{state="paused"}', guilds.paused]]);
+  metric('subscriptions_active', 'gauge', 'Active subscriptions.', [['', subs.n]]);
+  metric('uptime_seconds', 'gauge', 'Seconds since the process started.', [['', nowTs() - metrics.startedTs]]);
+  return { status: 200, body: `${lines.join('\n')}\n` };
+}
+
+// card codes never leave the database, not even encrypted
+function publicGuild(g) {
+  const { server_card, ...rest } = g;
+  return { ...rest, name: client.guilds.cache.get(g.guild_id)?.name || null, has_server_card: !!server_card };
+}
+function publicSubscription(s) {
+  const { card_code, ...rest } = s;
+  return { ...rest, has_card: !!card_code };
+}
+function publicPayment(p) {
+  const { raw, payer_card, ...rest } = p;
+  return rest;
+}
+
+function page(query) {
+  const limit = Math.min(MAX_PAGE, Math.max(1, Math.floor(Number(query.get('limit'))) || 100));
+  const offset = Math.max(0, Math.floor(Number(query.get('offset'))) || 0);
+  return { limit, offset };
+}
+
+// WHERE clause from the query parameters that are set (column names come from the caller, never from the query)
+function filters(query, columns) {
+  const where = [];
+  const args = [];
+  for (const col of columns) {
+    const value = query.get(col);
+    if (value === null || value === '') continue;
+    where.push(`${col} = ?`);
+    args.push(value);
+  }
+  return { sql: where.length ? `WHERE ${where.join(' AND ')}` : '', args };
+}
+
+async function listGuilds(params, query) {
+  const { limit, offset } = page(query);
+  const rows = await db.all('SELECT * FROM guilds ORDER BY guild_id LIMIT ? OFFSET ?', [limit, offset]);
+  return { status: 200, body: { guilds: rows.map(publicGuild), limit, offset } };
+}
+
+async function getGuild([guildId]) {
+  const g = await getGuildRow(guildId);
+  if (!g) return { status: 404, body: { error: 'guild_not_found' } };
+  const tiers = await db.all('SELECT * FROM tiers WHERE guild_id = ? ORDER BY id', guildId);
+  const counts = await db.get('SELECT SUM(active = 1) AS active, COUNT(*) AS total FROM subscriptions WHERE guild_id = ?', guildId);
+  return { status: 200, body: { guild: publicGuild(g), tiers, subscriptions: { active: counts.active || 0, total: counts.total }, unsettledPlatformFees: await unsettledPlatformFees(guildId) } };
+}
+
+async function listSubscriptions(params, query) {
+  const { limit, offset } = page(query);
+  const where = filters(query, ['guild_id', 'user_id', 'active', 'tier_id']);
+  const rows = await db.all(`SELECT * FROM subscriptions ${where.sql} ORDER BY guild_id, user_id LIMIT ? OFFSET ?`, [...where.args, limit, offset]);
+  return { status: 200, body: { subscriptions: rows.map(publicSubscription), limit, offset } };
+}
+
+// newest first
+async function listPayments(params, query) {
+  const { limit, offset } = page(query);
+  const where = filters(query, ['guild_id', 'user_id', 'status', 'kind']);
+  const rows = await db.all(`SELECT * FROM payments ${where.sql} ORDER BY id DESC LIMIT ? OFFSET ?`, [...where.args, limit, offset]);
+  return { status: 200, body: { payments: rows.map(publicPayment), limit, offset } };
+}
+
+async function runGuildCheckout([guildId]) {
+  if (!await getGuildRow(guildId)) return { status: 404, body: { error: 'guild_not_found' } };
+  const result = await checkoutGuild(guildId);
+  if (result.reason === 'not_leader') return { status: 409, body: { error: 'checkout_elsewhere', holder: (await leaseHolder(CHECKOUT_LEASE))?.holder || null } };
+  if (!result.ok) return { status: 409, body: { error: 'checkout_running' } };
+  return { status: 200, body: { guildId, guildFeesDue: result.guildFees, renewalsDue: result.renewals } };
+}
+
+const routes = [
+  ['GET', /^\/health$/, health],
+  ['GET', /^\/metrics$/, metricsText],
+  ['GET', /^\/guilds$/, listGuilds],
+  ['GET', /^\/guilds\/([^/]+)$/, getGuild],
+  ['GET', /^\/subscriptions$/, listSubscriptions],
+  ['GET', /^\/payments$/, listPayments],
+  ['POST', /^\/guilds\/([^/]+)\/checkout$/, runGuildCheckout]
+];
+
+// ---- Server ----
+// compared as hashes so the check takes the same time whatever the length of the guess
+function tokenMatches(header, token) {
+  const m = /^Bearer\s+(.+)$/i.exec(header || '');
+  if (!m) return false;
+  const hash = (s) => crypto.createHash('sha256').update(s).digest();
+  return crypto.timingSafeEqual(hash(m[1].trim()), hash(token));
+}
+
+function send(res, { status, body }) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/plain; version=0.0.4; charset=utf-8' : 'application/json; charset=utf-8' });
+  res.end(text);
+}
+
+// Every endpoint needs "Authorization: Bearer <token>". Resolves with the listening server (port 0 picks a free one).
+export function startAdminApi({ port, host = '127.0.0.1', token }) {
+  if (!token) throw new Error('ADMIN_API_TOKEN is required to start the admin API');
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (!tokenMatches(req.headers.authorization, token)) return send(res, { status: 401, body: { error: 'unauthorized' } });
+      const url = new URL(req.url, 'http://localhost');
+      for (const [method, pattern, handler] of routes) {
+        const m = pattern.exec(url.pathname);
+        if (!m) continue;
+        if (req.method !== method) return send(res, { status: 405, body: { error: 'method_not_allowed' } });
+        return send(res, await handler(m.slice(1).map(decodeURIComponent), url.searchParams));
+      }
+      send(res, { status: 404, body: { error: 'not_found' } });
+    } catch (e) {
+      console.error('admin API error', req.method, req.url, e);
+      if (!res.headersSent) send(res, { status: 500, body: { error: 'internal_error' } });
+    }
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(Number(port), host, () => resolve(server));
+  });
+}
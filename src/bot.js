@@ -0,0 +1,111 @@
+// src/bot.js — client do Discord e roles de membros
+import { Client, GatewayIntentBits, Partials, ShardClientUtil } from 'discord.js';
+import { db } from './db.js';
+import { getGuildRow } from './guilds.js';
+import { guildLanguage, t } from './i18n.js';
+import { logEvent } from './eventlog.js';
+
+// ---- Discord client ----
+// index.js creates the Client and hands it over with setClient(); tests pass a fake one.
+export let client;
+export function setClient(c) {
+  client = c;
+}
+
+export function createClient() {
+  return new Client({
+    intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMembers, GatewayIntentBits.DirectMessages],
+    partials: [Partials.Channel, Partials.GuildMember]
+  });
+}
+
+// ---- Sharding ----
+// Under shard.js (ShardingManager) each process runs some of the shards and only gets the gateway events,
+// interactions and member cache of their guilds. Without sharding every guild is local.
+export function guildShardId(guildId) {
+  const count = client && client.options ? Number(client.options.shardCount) : 1;
+  return count > 1 ? ShardClientUtil.shardIdForGuildId(guildId, count) : 0;
+}
+export function ownsGuild(guildId) {
+  const shards = client && client.options && client.options.shards;
+  return !Array.isArray(shards) || shards.includes(guildShardId(guildId));
+}
+
+// Evaluated in the process owning the guild by client.shard.broadcastEval: it is sent as source, so it cannot
+// use anything outside its arguments. userId null = every member with/without the role.
+async function roleOnShard(c, { guildId, userId, roleId, add }) {
+  const guild = c.guilds.cache.get(guildId);
+  if (!guild) return false;
+  const members = userId ? [await guild.members.fetch(userId).catch(() => null)] : [...(await guild.members.fetch().catch(() => new Map())).values()];
+  for (const member of members) {
+    if (!member || member.roles.cache.has(roleId) === add) continue;
+    await (add ? member.roles.add(roleId) : member.roles.remove(roleId)).catch(() => null);
+  }
+  return true;
+}
+
+// checkout runs in one process for every guild: role changes of the other shards' guilds are sent to them
+async function roleOnOwningShard(guildId, userId, roleId, add) {
+  if (!client.shard) return false;
+  return client.shard.broadcastEval(roleOnShard, { shard: guildShardId(guildId), context: { guildId, userId, roleId, add } })
+    .catch(e => { console.warn('cross-shard role change failed', guildId, e && e.message); return false; });
+}
+
+// helper to lock guild features and remove roles
+async function lockGuild(guildId, reason) {
+  const g = await db.get('SELECT role_id FROM guilds WHERE guild_id = ?', guildId);
+  if (!g) return;
+  await db.run('UPDATE guilds SET active = 0 WHERE guild_id = ?', [guildId]);
+  await removeRoleFromAll(guildId, g.role_id, true);
+}
+
+// remove a role from all members of a guild (best-effort); announce: log the guild_deactivated event
+export async function removeRoleFromAll(guildId, roleId, announce = false) {
+  if (!roleId) return;
+  try {
+    if (!ownsGuild(guildId)) {
+      await roleOnOwningShard(guildId, null, roleId, false);
+    } else {
+      const guildObj = await client.guilds.fetch(guildId);
+      await guildObj.members.fetch();
+      for (const [, member] of guildObj.members.cache) {
+        if (member.roles.cache.has(roleId)) {
+          await member.roles.remove(roleId).catch(()=>null);
+        }
+      }
+    }
+    if (announce) {
+      const g = await getGuildRow(guildId);
+      const lang = guildLanguage(g);
+      await logEvent(g || guildId, 'guild_deactivated', { title: t(lang, 'log.guildDeactivated.title'), description: t(lang, 'log.guildDeactivated.body') }, { role: roleId });
+    }
+  } catch (e) {
+    console.warn('removeRoleFromAll failed', e);
+  }
+}
+
+// remove role from single member
+export async function removeRoleFromMember(guildId, userId, roleId) {
+  if (!roleId) return;
+  if (!ownsGuild(guildId)) {
+    await roleOnOwningShard(guildId, userId, roleId, false);
+    return;
+  }
+  try {
+    const guildObj = await client.guilds.fetch(guildId);
+    const member = await guildObj.members.fetch(userId).catch(()=>null);
+    if (member && member.roles.cache.has(roleId)) await member.roles.remove(roleId).catch(()=>null);
+  } catch (e) {}
+}
+export async function giveRoleToMember(guildId, userId, roleId) {
+  if (!roleId) return;
+  if (!ownsGuild(guildId)) {
+    await roleOnOwningShard(guildId, userId, roleId, true);
+    return;
+  }
+  try {
+    const guildObj = await client.guilds.fetch(guildId);
+    const member = await guildObj.members.fetch(userId).catch(()=>null);
+    if (member && !member.roles.cache.has(roleId)) await member.roles.add(roleId).catch(()=>null);
+  } catch (e) {}
+}
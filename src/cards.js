@@ -0,0 +1,138 @@
+// src/cards.js — card codes cifrados em repouso (AES-256-GCM) e mascaramento em logs
+import crypto from 'crypto';
+import { maskCard } from './util.js';
+
+// Stored form: "enc:v1:<keyId>:<iv>:<tag>:<ciphertext>" (base64url parts). keyId = first 8 hex chars of
+// sha256(key), so rows written with a previous key can still be read while CARD_ENCRYPTION_OLD_KEYS lists it.
+const PREFIX = 'enc:v1:';
+let currentKeyId = null;
+const keysById = new Map();
+
+// 32-byte key given as base64 (openssl rand -base64 32) or 64 hex chars
+function parseCardKey(str) {
+  const s = String(str || '').trim();
+  if (!s) return null;
+  const key = /^[0-9a-f]{64}$/i.test(s) ? Buffer.from(s, 'hex') : Buffer.from(s, 'base64');
+  if (key.length !== 32) throw new Error('card encryption keys must be 32 bytes, base64 or hex encoded');
+  return key;
+}
+
+function keyIdOf(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+// current key encrypts, old keys (comma separated) are only used to read rows not yet rotated
+export function loadCardKeys(current, old = '') {
+  const key = parseCardKey(current);
+  if (!key) throw new Error('CARD_ENCRYPTION_KEY is not set');
+  keysById.clear();
+  for (const o of String(old || '').split(',')) {
+    const k = parseCardKey(o);
+    if (k) keysById.set(keyIdOf(k), k);
+  }
+  currentKeyId = keyIdOf(key);
+  keysById.set(currentKeyId, key);
+}
+
+export function isEncryptedCard(stored) {
+  return typeof stored === 'string' && stored.startsWith(PREFIX);
+}
+
+export function cardKeyId(stored) {
+  return isEncryptedCard(stored) ? stored.slice(PREFIX.length).split(':')[0] : null;
+}
+
+export function cardKeyKnown(stored) {
+  return keysById.has(cardKeyId(stored));
+}
+
+export function usesCurrentCardKey(stored) {
+  return cardKeyId(stored) === currentKeyId;
+}
+
+export function encryptCard(plain) {
+  if (plain === null || plain === undefined || plain === '') return null;
+  if (!currentKeyId) throw new Error('card encryption key not loaded');
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keysById.get(currentKeyId), iv);
+  const ct = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  return `${PREFIX}${currentKeyId}:${iv.toString('base64url')}:${cipher.getAuthTag().toString('base64url')}:${ct.toString('base64url')}`;
+}
+
+// plaintext card for a payment call; rows from before encryption existed are returned as they are
+export function revealCard(stored) {
+  if (!isEncryptedCard(stored)) return stored || null;
+  const [kid, iv, tag, ct] = stored.slice(PREFIX.length).split(':');
+  const key = keysById.get(kid);
+  if (!key) throw new Error(`card encrypted with unknown key ${kid} (add it to CARD_ENCRYPTION_OLD_KEYS)`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ct, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+// masked card for embeds and exports, whatever form it is stored in
+export function displayCard(stored) {
+  try {
+    return maskCard(revealCard(stored));
+  } catch (e) {
+    return '🔒';
+  }
+}
+
+// replace every occurrence of the given cards inside an API answer (strings, arrays and objects)
+export function redactCards(value, cards) {
+  const list = cards.map(c => String(c || '')).filter(c => c.length >= 4);
+  if (!list.length) return value;
+  const walk = (v) => {
+    if (typeof v === 'string') return list.reduce((s, c) => s.split(c).join(maskCard(c)), v);
+    if (Array.isArray(v)) return v.map(walk);
+    if (v && typeof v === 'object') return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, walk(x)]));
+    return v;
+  };
+  return walk(value);
+}
+
+// ---- Stored cards ----
+// Encrypts plaintext card codes; with rotate, also re-encrypts rows written with an old key under the current one.
+export async function reencryptCards(db, { rotate = false } = {}) {
+  const out = { encrypted: 0, rotated: 0, unreadable: 0 };
+  const targets = [
+    { table: 'subscriptions', column: 'card_code', key: ['guild_id', 'user_id'] },
+    { table: 'guilds', column: 'server_card', key: ['guild_id'] },
+    { table: 'payments', column: 'payer_card', key: ['id'] }
+  ];
+  for (const t of targets) {
+    // migration 009 runs this before the later columns are added
+    const cols = await db.all(`PRAGMA table_info(${t.table})`);
+    if (!cols.some(c => c.name === t.column)) continue;
+    const rows = await db.all(`SELECT ${t.key.join(', ')}, ${t.column} AS card FROM ${t.table} WHERE ${t.column} IS NOT NULL AND ${t.column} <> ''`);
+    for (const r of rows) {
+      let plain;
+      if (!isEncryptedCard(r.card)) {
+        plain = r.card;
+        out.encrypted++;
+      } else if (!cardKeyKnown(r.card)) {
+        out.unreadable++;
+        continue;
+      } else if (rotate && !usesCurrentCardKey(r.card)) {
+        plain = revealCard(r.card);
+        out.rotated++;
+      } else {
+        continue;
+      }
+      await db.run(`UPDATE ${t.table} SET ${t.column} = ? WHERE ${t.key.map(k => `${k} = ?`).join(' AND ')}`, [encryptCard(plain), ...t.key.map(k => r[k])]);
+    }
+  }
+  return out;
+}
+
+// payments written before masking existed carry full cards in from_card/to_card and possibly in raw
+export async function maskPaymentCards(db) {
+  const rows = await db.all(`SELECT id, from_card, to_card, raw FROM payments
+    WHERE (from_card <> '' AND instr(from_card, '•') = 0) OR (to_card <> '' AND instr(to_card, '•') = 0)`);
+  for (const p of rows) {
+    let raw = p.raw;
+    try { raw = raw ? JSON.stringify(redactCards(JSON.parse(raw), [p.from_card, p.to_card])) : raw; } catch (e) { raw = redactCards(raw, [p.from_card, p.to_card]); }
+    await db.run('UPDATE payments SET from_card = ?, to_card = ?, raw = ? WHERE id = ?', [maskCard(p.from_card), maskCard(p.to_card), raw, p.id]);
+  }
+}
@@ -0,0 +1,222 @@
+// src/checkout.js — cobrança periódica: taxa das guilds e renovação de assinaturas
+import { SERVER_RECEIVER_CARD, activationSec, checkoutBatchSize, checkoutLeaseSec, coinConcurrency } from './config.js';
+import { formatCoin, nowTs, runPool } from './util.js';
+import { db } from './db.js';
+import { client, giveRoleToMember, removeRoleFromAll, removeRoleFromMember } from './bot.js';
+import { getGuildRow, getSubPlan, retryScheduleFor, subscriptionPrice } from './guilds.js';
+import { attemptCharge, chargeError, hasUnresolvedCharge, reconcileCharges } from './payments.js';
+import { revealCard } from './cards.js';
+import { applyCoupon, getCouponById } from './coupons.js';
+import { giftEndedText } from './gifts.js';
+import { guildLanguage, t } from './i18n.js';
+import { logEvent } from './eventlog.js';
+import { metrics, recordCheckoutEnd, recordCheckoutStart } from './metrics.js';
+import { notifyUserDMed, sendReceipt, sendRenewalReminders } from './notifications.js';
+import { chargesFlatFee, feeConfig, settlePlatformFees } from './fees.js';
+import { withLease } from './lease.js';
+
+// ---- Periodic checkout logic ----
+// Only due rows are loaded: guilds whose fee window elapsed and active subscriptions with next_charge_ts <= now,
+// in batches ordered by (next_charge_ts, guild_id, user_id). Coin API calls are bounded by coinLimit.
+// Every shard and standby instance runs the timer; only the holder of the checkout lease charges.
+export const CHECKOUT_LEASE = 'checkout';
+let checkoutRunning = false;
+
+export async function periodicCheckout() {
+  // a tick that outlives the interval must not overlap with the next one
+  if (checkoutRunning) {
+    console.warn('periodicCheckout: previous tick still running, skipping');
+    metrics.checkoutTicksSkipped++;
+    return;
+  }
+  checkoutRunning = true;
+  let started = null;
+  let ok = true;
+  try {
+    const run = await withLease(CHECKOUT_LEASE, checkoutLeaseSec, async (lease) => {
+      started = recordCheckoutStart();
+      await reconcileCharges().catch(e => console.error('reconcileCharges failed', e));
+      const now = nowTs();
+      await chargeDueGuilds(now);
+      // before the renewals: a transfer failing during this tick waits for the next one
+      await settlePlatformFees().catch(e => console.error('settlePlatformFees failed', e));
+      await renewDueSubscriptions(now, null, lease);
+      if (lease.held) await sendRenewalReminders(now).catch(e => console.error('sendRenewalReminders failed', e));
+    });
+    if (!run.ok) metrics.checkoutTicksNotLeader++;
+  } catch (e) {
+    ok = false;
+    console.error('periodicCheckout error', e);
+  } finally {
+    checkoutRunning = false;
+    if (started !== null) recordCheckoutEnd(started, ok);
+  }
+}
+
+// On-demand pass for one guild (admin API): its fee and its due renewals, under the same lock and lease as the
+// periodic tick. Charges left unknown are not reconciled here, so they keep blocking new attempts until the next tick.
+export async function checkoutGuild(guildId) {
+  if (checkoutRunning) return { ok: false, reason: 'busy' };
+  checkoutRunning = true;
+  try {
+    const run = await withLease(CHECKOUT_LEASE, checkoutLeaseSec, async (lease) => {
+      const now = nowTs();
+      const guildFees = await chargeDueGuilds(now, guildId);
+      await settlePlatformFees(guildId);
+      const renewals = await renewDueSubscriptions(now, guildId, lease);
+      return { ok: true, guildFees, renewals };
+    });
+    return run.ok ? run.result : { ok: false, reason: 'not_leader' };
+  } finally {
+    checkoutRunning = false;
+  }
+}
+
+// guildId: only that guild (checkoutGuild); returns how many guild fees were due
+async function chargeDueGuilds(now, guildId = null) {
+  // if no server_card, ensure guild is marked inactive and timestamp set to past (activation window passed)
+  const pseudoOldTs = now - activationSec;
+  await db.run('UPDATE guilds SET last_guild_payment_ts = ?, active = 0 WHERE paused = 0 AND server_card IS NULL AND active = 1 AND (? IS NULL OR guild_id = ?)', [pseudoOldTs, guildId, guildId]);
+
+  // paused guilds (bot removed) are not billed at all
+  const due = await db.all('SELECT * FROM guilds WHERE paused = 0 AND server_card IS NOT NULL AND (COALESCE(last_guild_payment_ts, 0) = 0 OR last_guild_payment_ts <= ?) AND (? IS NULL OR guild_id = ?)', [now - activationSec, guildId, guildId]);
+  await runPool(due, coinConcurrency, async (g) => {
+    try {
+      await chargeGuild(g, now);
+    } catch (e) {
+      metrics.checkoutItemErrors++;
+      console.error('periodic guild error', e);
+    }
+  });
+  return due.length;
+}
+
+async function chargeGuild(g, now) {
+  // skipped while an earlier guild charge is still pending/unknown: reconcileCharges settles it first
+  if (await hasUnresolvedCharge(g.guild_id, null)) return;
+  const fee = feeConfig(g);
+  // percent model: the platform is paid out of each member payment, the guild itself pays nothing
+  if (!chargesFlatFee(fee)) {
+    await db.run('UPDATE guilds SET last_guild_payment_ts = ?, active = 1 WHERE guild_id = ?', [now, g.guild_id]);
+    return;
+  }
+  const price = fee.flat;
+  // include guild meta for payments log
+  const attempt = await attemptCharge(revealCard(g.server_card), SERVER_RECEIVER_CARD, formatCoin(price), { guildId: g.guild_id });
+  const lang = guildLanguage(g);
+  if (attempt.status === 'unknown') {
+    // do not lock the guild on an ambiguous answer; reconciliation decides
+    const data = { amount: formatCoin(price), id: attempt.paymentId };
+    await logEvent(g, 'payment_unverified', { title: t(lang, 'log.guildPaymentUnverified.title'), description: t(lang, 'log.guildPaymentUnverified.body', data) }, { ...data, payer: 'guild' });
+  } else if (attempt.success) {
+    await db.run('UPDATE guilds SET last_guild_payment_ts = ?, active = 1 WHERE guild_id = ?', [now, g.guild_id]);
+    const data = { amount: formatCoin(price), txid: attempt.txid || 'n/a' };
+    await logEvent(g, 'guild_payment', { title: t(lang, 'log.guildPayment.title'), description: t(lang, 'log.guildPayment.body', data) }, data);
+  } else {
+    await db.run('UPDATE guilds SET active = 0 WHERE guild_id = ?', [g.guild_id]);
+    const data = { amount: formatCoin(price), error: chargeError(attempt) };
+    await logEvent(g, 'guild_payment_failed', { title: t(lang, 'log.guildPaymentFailed.title'), description: t(lang, 'log.guildPaymentFailed.body', data) }, data);
+    await removeRoleFromAll(g.guild_id, g.role_id, true);
+    const tierRoles = await db.all('SELECT DISTINCT role_id FROM tiers WHERE guild_id = ? AND role_id IS NOT NULL', g.guild_id);
+    for (const tier of tierRoles) if (tier.role_id !== g.role_id) await removeRoleFromAll(g.guild_id, tier.role_id);
+  }
+}
+
+// subscriptions renewal (lapsed members come back through /card, they are not charged here);
+// returns how many due subscriptions were processed; stops between batches once the checkout lease is lost
+async function renewDueSubscriptions(now, guildId = null, lease = null) {
+  const guildCache = new Map();
+  let cursor = [0, '', ''];
+  let processed = 0;
+  for (;;) {
+    // members of inactive guilds (fee unpaid) are left alone until the guild pays
+    const batch = await db.all(`SELECT s.* FROM subscriptions s JOIN guilds g ON g.guild_id = s.guild_id
+      WHERE s.active = 1 AND s.next_charge_ts <= ? AND g.paused = 0 AND g.active = 1 AND g.server_card IS NOT NULL
+        AND (? IS NULL OR s.guild_id = ?)
+        AND (s.next_charge_ts, s.guild_id, s.user_id) > (?, ?, ?)
+      ORDER BY s.next_charge_ts, s.guild_id, s.user_id LIMIT ?`, [now, guildId, guildId, ...cursor, checkoutBatchSize]);
+    if (!batch.length) break;
+    processed += batch.length;
+    const last = batch[batch.length - 1];
+    cursor = [last.next_charge_ts, last.guild_id, last.user_id];
+    await runPool(batch, coinConcurrency, async (s) => {
+      try {
+        if (!guildCache.has(s.guild_id)) guildCache.set(s.guild_id, await getGuildRow(s.guild_id));
+        await renewSubscription(guildCache.get(s.guild_id), s, now);
+      } catch (e) {
+        metrics.checkoutItemErrors++;
+        console.error('sub renewal error', e);
+      }
+    });
+    if (batch.length < checkoutBatchSize) break;
+    if (lease && !lease.held) {
+      console.warn('checkout lease lost, leaving the remaining renewals to its new holder');
+      break;
+    }
+  }
+  return processed;
+}
+
+async function renewSubscription(g, s, now) {
+  const plan = await getSubPlan(g, s);
+  const lang = guildLanguage(g);
+  const guildName = client.guilds.cache.get(g.guild_id)?.name || g.guild_id;
+  // cancelled by the member: paid period is over, end it without charging
+  // (a gift or a staff grant ends the same way)
+  if (s.cancelled_ts) {
+    await db.run('UPDATE subscriptions SET active = 0, next_charge_ts = NULL, gift_from = NULL WHERE guild_id = ? AND user_id = ?', [g.guild_id, s.user_id]);
+    await removeRoleFromMember(g.guild_id, s.user_id, plan.roleId);
+    if (s.gift_from) await notifyUserDMed(s.user_id, giftEndedText(lang, guildName, s.gift_from, plan), g.guild_id, 'gift_ended');
+    const data = { user: s.user_id, giver: s.gift_from, role: plan.roleId };
+    const body = s.gift_from ? t(lang, 'log.subscriptionEnded.gift', data) : t(lang, 'log.subscriptionEnded.cancelled', data);
+    await logEvent(g, 'subscription_ended', { title: t(lang, 'log.subscriptionEnded.title'), description: body }, data);
+    return;
+  }
+  if (!s.card_code) {
+    await db.run('UPDATE subscriptions SET active = 0, next_charge_ts = NULL WHERE guild_id = ? AND user_id = ?', [g.guild_id, s.user_id]);
+    await removeRoleFromMember(g.guild_id, s.user_id, plan.roleId);
+    const data = { user: s.user_id, role: plan.roleId, reason: 'no_card' };
+    if (plan.roleId) await logEvent(g, 'role_removed', { title: t(lang, 'log.roleRemoved.title'), description: t(lang, 'log.roleRemoved.noCard', data) }, data);
+    await notifyUserDMed(s.user_id, t(lang, 'renewal.noCardDm', { guild: guildName }), g.guild_id, 'no_card');
+    return;
+  }
+  if (await hasUnresolvedCharge(g.guild_id, s.user_id)) return;
+  // coupon left on the subscription: a recurring one, or a first-charge one redeemed with a free trial
+  const coupon = s.coupon_id ? await getCouponById(s.coupon_id) : null;
+  const { amount } = applyCoupon(subscriptionPrice(plan, s, now), coupon);
+  const attempt = Number(amount) > 0
+    ? await attemptCharge(revealCard(s.card_code), revealCard(g.server_card) || SERVER_RECEIVER_CARD, amount, { guildId: g.guild_id, userId: s.user_id, couponId: coupon ? coupon.id : null })
+    : { success: true, status: 'confirmed', txid: null, paymentId: null };
+  if (attempt.status === 'unknown') {
+    // keep the member as is until reconcileCharges() knows whether the coins moved
+    const data = { user: s.user_id, id: attempt.paymentId };
+    await logEvent(g, 'payment_unverified', { title: t(lang, 'log.renewalUnverified.title'), description: t(lang, 'log.renewalUnverified.body', data) }, { ...data, amount });
+  } else if (attempt.success) {
+    await db.run('UPDATE subscriptions SET active = 1, last_renew_ts = ?, retry_count = 0, next_retry_ts = NULL, next_charge_ts = ?, coupon_id = ? WHERE guild_id = ? AND user_id = ?',
+      [now, now + plan.cycleSec, coupon && Number(coupon.recurring) === 1 ? coupon.id : null, g.guild_id, s.user_id]);
+    await giveRoleToMember(g.guild_id, s.user_id, plan.roleId);
+    const data = { user: s.user_id, attempt: Number(s.retry_count) + 1, amount, txid: attempt.txid || 'n/a' };
+    await logEvent(g, 'renewal', { title: t(lang, 'log.subscriptionRenewed.title'), description: t(lang, s.retry_count ? 'log.subscriptionRenewed.bodyRetry' : 'log.subscriptionRenewed.body', data) }, data);
+    await sendReceipt(g, s.user_id, { amount, txid: attempt.txid, plan: plan.name, nextTs: now + plan.cycleSec });
+  } else {
+    const errMsg = chargeError(attempt);
+    const retrySchedule = retryScheduleFor(g);
+    const retryCount = Number(s.retry_count || 0);
+    if (retryCount < retrySchedule.length) {
+      // dunning: keep the role, schedule the next retry and warn the member before it happens
+      const nextRetry = now + retrySchedule[retryCount];
+      await db.run('UPDATE subscriptions SET retry_count = ?, next_retry_ts = ?, next_charge_ts = ? WHERE guild_id = ? AND user_id = ?', [retryCount + 1, nextRetry, nextRetry, g.guild_id, s.user_id]);
+      const remaining = retrySchedule.length - retryCount;
+      const data = { user: s.user_id, amount, error: errMsg, attempt: retryCount + 1, next_retry_ts: nextRetry };
+      await logEvent(g, 'payment_failed', { title: t(lang, 'log.renewalFailed.title'), description: t(lang, 'log.renewalFailed.retry', data) }, data);
+      await notifyUserDMed(s.user_id, t(lang, 'renewal.retryDm', { guild: guildName, error: errMsg, ts: nextRetry, remaining }), g.guild_id, 'renewal_retry');
+    } else {
+      await db.run('UPDATE subscriptions SET active = 0, retry_count = 0, next_retry_ts = NULL, next_charge_ts = NULL WHERE guild_id = ? AND user_id = ?', [g.guild_id, s.user_id]);
+      await removeRoleFromMember(g.guild_id, s.user_id, plan.roleId);
+      const data = { user: s.user_id, amount, error: errMsg, attempt: retryCount + 1, role: plan.roleId, reason: 'payment_failed' };
+      await logEvent(g, 'payment_failed', { title: t(lang, 'log.renewalFailed.title'), description: t(lang, 'log.renewalFailed.final', data) }, data);
+      if (plan.roleId) await logEvent(g, 'role_removed', { title: t(lang, 'log.roleRemoved.title'), description: t(lang, 'log.roleRemoved.failed', data) }, data);
+      await notifyUserDMed(s.user_id, t(lang, retryCount ? 'renewal.failedDmAfter' : 'renewal.failedDm', { guild: guildName, attempts: retryCount + 1, error: errMsg }), g.guild_id, 'renewal_failed');
+    }
+  }
+}
@@ -0,0 +1,135 @@
+// src/commands.js — definição e registro dos slash commands
+import { REST, Routes, SlashCommandBuilder, InteractionContextType } from 'discord.js';
+import { CLIENT_ID, DISCORD_TOKEN, FEE_MODELS } from './config.js';
+import { BASE_COMMAND_LANGUAGE, LANGUAGES, commandName, commandText, discordLocales } from './i18n.js';
+import { EVENT_TYPES } from './eventlog.js';
+
+// descriptions come from src/locales: the base language here, the others as Discord localizations below
+const d = (path) => commandText(BASE_COMMAND_LANGUAGE, path);
+const choice = (path, value) => ({ name: commandText(BASE_COMMAND_LANGUAGE, `${path}.${value}`) || value, value });
+
+// Adds name/description localizations of every other language to a command, its subcommands, options and choices
+// (a choice has no description: its text is the displayed name).
+function localize(data, path, isChoice = false) {
+  for (const lang of LANGUAGES.filter(l => l !== BASE_COMMAND_LANGUAGE)) {
+    const name = isChoice ? commandText(lang, path) : commandName(lang, path);
+    const description = isChoice ? null : commandText(lang, path);
+    for (const locale of discordLocales[lang]) {
+      if (name) data.name_localizations = { ...data.name_localizations, [locale]: name };
+      if (description) data.description_localizations = { ...data.description_localizations, [locale]: description };
+    }
+  }
+  for (const opt of data.options || []) localize(opt, `${path}.${opt.name}`);
+  for (const c of data.choices || []) localize(c, `${path}.${c.value}`, true);
+  return data;
+}
+
+// ---- Commands definitions ----
+export const commands = [
+  new SlashCommandBuilder().setName('log').setDescription(d('log')).addChannelOption(opt => opt.setName('channel').setDescription(d('log.channel')).setRequired(true)),
+  new SlashCommandBuilder().setName('card').setDescription(d('card')).addStringOption(o=>o.setName('tier').setDescription(d('card.tier'))),
+  new SlashCommandBuilder().setName('gift').setDescription(d('gift')).setContexts(InteractionContextType.Guild)
+    .addUserOption(o=>o.setName('user').setDescription(d('gift.user')).setRequired(true))
+    .addIntegerOption(o=>o.setName('months').setDescription(d('gift.months')).setRequired(true).setMinValue(1).setMaxValue(12))
+    .addStringOption(o=>o.setName('tier').setDescription(d('gift.tier'))),
+  new SlashCommandBuilder().setName('channel').setDescription(d('channel')).addChannelOption(opt=>opt.setName('channel').setDescription(d('channel.channel')).setRequired(true)),
+  new SlashCommandBuilder().setName('panelconfig').setDescription(d('panelconfig')).setContexts(InteractionContextType.Guild)
+    .addStringOption(o=>o.setName('title').setDescription(d('panelconfig.title')).setMaxLength(256))
+    .addStringOption(o=>o.setName('description').setDescription(d('panelconfig.description')).setMaxLength(1000))
+    .addStringOption(o=>o.setName('color').setDescription(d('panelconfig.color')).setMaxLength(7))
+    .addStringOption(o=>o.setName('image').setDescription(d('panelconfig.image')).setMaxLength(500))
+    .addStringOption(o=>o.setName('button').setDescription(d('panelconfig.button')).setMaxLength(40))
+    .addBooleanOption(o=>o.setName('subscriber_count').setDescription(d('panelconfig.subscriber_count')))
+    .addBooleanOption(o=>o.setName('reset').setDescription(d('panelconfig.reset'))),
+  new SlashCommandBuilder().setName('logroute').setDescription(d('logroute')).setContexts(InteractionContextType.Guild)
+    .addStringOption(o=>o.setName('event').setDescription(d('logroute.event')).addChoices(...Object.keys(EVENT_TYPES).map(type => choice('logroute.event', type))))
+    .addChannelOption(o=>o.setName('channel').setDescription(d('logroute.channel')))
+    .addBooleanOption(o=>o.setName('mute').setDescription(d('logroute.mute')))
+    .addBooleanOption(o=>o.setName('reset').setDescription(d('logroute.reset'))),
+  new SlashCommandBuilder().setName('platformfee').setDescription(d('platformfee')).setContexts(InteractionContextType.Guild)
+    .addStringOption(o=>o.setName('guild').setDescription(d('platformfee.guild')).setMaxLength(25))
+    .addStringOption(o=>o.setName('model').setDescription(d('platformfee.model')).addChoices(...FEE_MODELS.map(model => choice('platformfee.model', model))))
+    .addNumberOption(o=>o.setName('percent').setDescription(d('platformfee.percent')).setMinValue(0).setMaxValue(100))
+    .addStringOption(o=>o.setName('flat').setDescription(d('platformfee.flat')))
+    .addBooleanOption(o=>o.setName('reset').setDescription(d('platformfee.reset'))),
+  new SlashCommandBuilder().setName('refund').setDescription(d('refund')).setContexts(InteractionContextType.Guild)
+    .addIntegerOption(o=>o.setName('payment').setDescription(d('refund.payment')).setRequired(true).setMinValue(1))
+    .addStringOption(o=>o.setName('amount').setDescription(d('refund.amount')))
+    .addBooleanOption(o=>o.setName('end_subscription').setDescription(d('refund.end_subscription')))
+    .addStringOption(o=>o.setName('reason').setDescription(d('refund.reason')).setMaxLength(200)),
+  new SlashCommandBuilder().setName('worth').setDescription(d('worth')).addStringOption(o=>o.setName('price').setDescription(d('worth.price')).setRequired(true))
+    .addStringOption(o=>o.setName('notice').setDescription(d('worth.notice')))
+    .addBooleanOption(o=>o.setName('keep_current').setDescription(d('worth.keep_current'))),
+  new SlashCommandBuilder().setName('servercard').setDescription(d('servercard')).addStringOption(o=>o.setName('card').setDescription(d('servercard.card')).setRequired(true)),
+  new SlashCommandBuilder().setName('role').setDescription(d('role')).addRoleOption(o=>o.setName('role').setDescription(d('role.role')).setRequired(true)),
+  new SlashCommandBuilder().setName('unsubscribe').setDescription(d('unsubscribe')),
+  new SlashCommandBuilder().setName('status').setDescription(d('status')).setContexts(InteractionContextType.Guild),
+  new SlashCommandBuilder().setName('mysubscriptions').setDescription(d('mysubscriptions')).setContexts(InteractionContextType.Guild, InteractionContextType.BotDM),
+  new SlashCommandBuilder().setName('notifications').setDescription(d('notifications')).setContexts(InteractionContextType.Guild)
+    .addBooleanOption(o=>o.setName('enabled').setDescription(d('notifications.enabled'))),
+  new SlashCommandBuilder().setName('admin').setDescription(d('admin')).setContexts(InteractionContextType.Guild)
+    .addSubcommand(sc=>sc.setName('subscribers').setDescription(d('admin.subscribers'))
+      .addStringOption(o=>o.setName('filter').setDescription(d('admin.subscribers.filter')).addChoices(choice('admin.subscribers.filter', 'active'), choice('admin.subscribers.filter', 'lapsed'), choice('admin.subscribers.filter', 'all'))))
+    .addSubcommand(sc=>sc.setName('revenue').setDescription(d('admin.revenue'))
+      .addStringOption(o=>o.setName('period').setDescription(d('admin.revenue.period')).addChoices(choice('admin.revenue.period', 'day'), choice('admin.revenue.period', 'week'), choice('admin.revenue.period', 'month')))
+      .addIntegerOption(o=>o.setName('count').setDescription(d('admin.revenue.count')).setMinValue(1).setMaxValue(24)))
+    .addSubcommand(sc=>sc.setName('export').setDescription(d('admin.export'))),
+  new SlashCommandBuilder().setName('premium').setDescription(d('premium')).setContexts(InteractionContextType.Guild)
+    .addSubcommand(sc=>sc.setName('grant').setDescription(d('premium.grant'))
+      .addUserOption(o=>o.setName('user').setDescription(d('premium.grant.user')).setRequired(true))
+      .addStringOption(o=>o.setName('duration').setDescription(d('premium.grant.duration')).setRequired(true))
+      .addStringOption(o=>o.setName('tier').setDescription(d('premium.grant.tier'))))
+    .addSubcommand(sc=>sc.setName('extend').setDescription(d('premium.extend'))
+      .addUserOption(o=>o.setName('user').setDescription(d('premium.extend.user')).setRequired(true))
+      .addStringOption(o=>o.setName('duration').setDescription(d('premium.extend.duration')).setRequired(true)))
+    .addSubcommand(sc=>sc.setName('revoke').setDescription(d('premium.revoke'))
+      .addUserOption(o=>o.setName('user').setDescription(d('premium.revoke.user')).setRequired(true))
+      .addStringOption(o=>o.setName('reason').setDescription(d('premium.revoke.reason')).setMaxLength(200))),
+  new SlashCommandBuilder().setName('provider').setDescription(d('provider')).addStringOption(o=>o.setName('name').setDescription(d('provider.name')).setRequired(true).addChoices(choice('provider.name', 'coin'), choice('provider.name', 'mock'), choice('provider.name', 'default'))),
+  new SlashCommandBuilder().setName('grace').setDescription(d('grace')).setContexts(InteractionContextType.Guild)
+    .addStringOption(o=>o.setName('schedule').setDescription(d('grace.schedule')).setRequired(true)),
+  new SlashCommandBuilder().setName('trial').setDescription(d('trial')).addStringOption(o=>o.setName('length').setDescription(d('trial.length')).setRequired(true)),
+  new SlashCommandBuilder().setName('coupon').setDescription(d('coupon')).setContexts(InteractionContextType.Guild)
+    .addSubcommand(sc=>sc.setName('create').setDescription(d('coupon.create'))
+      .addStringOption(o=>o.setName('code').setDescription(d('coupon.create.code')).setRequired(true).setMaxLength(32))
+      .addStringOption(o=>o.setName('type').setDescription(d('coupon.create.type')).setRequired(true).addChoices(choice('coupon.create.type', 'percent'), choice('coupon.create.type', 'fixed')))
+      .addStringOption(o=>o.setName('value').setDescription(d('coupon.create.value')).setRequired(true))
+      .addBooleanOption(o=>o.setName('recurring').setDescription(d('coupon.create.recurring')))
+      .addStringOption(o=>o.setName('expires').setDescription(d('coupon.create.expires')))
+      .addIntegerOption(o=>o.setName('max_uses').setDescription(d('coupon.create.max_uses')).setMinValue(1)))
+    .addSubcommand(sc=>sc.setName('list').setDescription(d('coupon.list')))
+    .addSubcommand(sc=>sc.setName('disable').setDescription(d('coupon.disable'))
+      .addStringOption(o=>o.setName('code').setDescription(d('coupon.disable.code')).setRequired(true))),
+  new SlashCommandBuilder().setName('tier').setDescription(d('tier')).setContexts(InteractionContextType.Guild)
+    .addSubcommand(sc=>sc.setName('add').setDescription(d('tier.add'))
+      .addStringOption(o=>o.setName('name').setDescription(d('tier.add.name')).setRequired(true).setMaxLength(32))
+      .addStringOption(o=>o.setName('price').setDescription(d('tier.add.price')).setRequired(true))
+      .addRoleOption(o=>o.setName('role').setDescription(d('tier.add.role')).setRequired(true))
+      .addStringOption(o=>o.setName('cycle').setDescription(d('tier.add.cycle'))))
+    .addSubcommand(sc=>sc.setName('edit').setDescription(d('tier.edit'))
+      .addStringOption(o=>o.setName('name').setDescription(d('tier.edit.name')).setRequired(true))
+      .addStringOption(o=>o.setName('price').setDescription(d('tier.edit.price')))
+      .addRoleOption(o=>o.setName('role').setDescription(d('tier.edit.role')))
+      .addStringOption(o=>o.setName('cycle').setDescription(d('tier.edit.cycle')))
+      .addStringOption(o=>o.setName('notice').setDescription(d('tier.edit.notice')))
+      .addBooleanOption(o=>o.setName('keep_current').setDescription(d('tier.edit.keep_current'))))
+    .addSubcommand(sc=>sc.setName('remove').setDescription(d('tier.remove'))
+      .addStringOption(o=>o.setName('name').setDescription(d('tier.remove.name')).setRequired(true)))
+    .addSubcommand(sc=>sc.setName('list').setDescription(d('tier.list'))),
+  new SlashCommandBuilder().setName('language').setDescription(d('language')).setContexts(InteractionContextType.Guild)
+    .addStringOption(o=>o.setName('language').setDescription(d('language.language')).setRequired(true).addChoices(...LANGUAGES.map(l => choice('language.language', l)), choice('language.language', 'default')))
+].map(c => localize(c.toJSON(), c.name));
+
+export async function registerCommands() {
+  const rest = new REST({ version: '10' }).setToken(DISCORD_TOKEN);
+  try {
+    if (CLIENT_ID) {
+      await rest.put(Routes.applicationCommands(CLIENT_ID), { body: commands });
+      console.log('Registered global commands.');
+    } else {
+      console.log('CLIENT_ID not provided: commands may be registered on startup via client.application.id flow.');
+    }
+  } catch (err) {
+    console.warn('Failed registering commands:', err && err.stack ? err.stack : err);
+  }
+}
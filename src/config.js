@@ -0,0 +1,55 @@
+// src/config.js — configuração via env (.env carregado pelo index.js)
+import { parseDuration } from './util.js';
+
+// ---- Config / env ----
+export const {
+  DISCORD_TOKEN = '',
+  COIN_API_URL = 'https://bank.foxsrv.net/',
+  SERVER_RECEIVER_CARD = '',
+  DEFAULT_GUILD_PRICE = '0.00001000',
+  DB_PATH = './database.db',
+  CLIENT_ID = '',
+  ACTIVATION_MS = String(30 * 24 * 3600 * 1000), // default 30 days in ms
+  CHECK_INTERVAL_MS = String(5 * 60 * 1000), // default 10 minutes in ms
+  RETRY_SCHEDULE = '1h,6h,24h', // default dunning schedule for failed renewals (per-guild override via /grace)
+  ROLE_SYNC_INTERVAL_MS = String(60 * 60 * 1000), // default 1 hour in ms: full role reconciliation pass
+  COIN_API_CONCURRENCY = '4', // max simultaneous requests to the coin API
+  CHECKOUT_BATCH_SIZE = '100', // due subscriptions loaded per query in periodicCheckout
+  PAYMENT_PROVIDER = 'coin', // default payment provider: 'coin' (DC-Coin-Bot API) or 'mock' (in-process, testing only)
+  ALLOW_MOCK_PROVIDER = '', // '1' lets admins switch a guild to the mock provider with /provider
+  MOCK_PAYMENT_MODE = '', // forces every mock payment to: success | insufficient | timeout | html
+  CARD_ENCRYPTION_KEY = '', // 32 bytes (base64 or hex) used to encrypt stored card codes
+  CARD_ENCRYPTION_OLD_KEYS = '', // previous keys, comma separated, still accepted for reading until rotated
+  PRICE_CHANGE_NOTICE = '7d', // default notice before a price increase reaches existing subscribers ("0" = next renewal)
+  DEFAULT_LANGUAGE = 'pt', // language of guilds without /language and of members whose Discord language has no translation (pt | en)
+  PANEL_REFRESH_INTERVAL_MS = String(10 * 60 * 1000), // default 10 minutes in ms: refresh of panels showing the subscriber count
+  EVENT_LOG_FILE = './events.jsonl', // JSON lines file receiving every logged event ("" = off); search it with npm run search-events
+  EVENT_WEBHOOK_URL = '', // optional URL receiving every logged event as a JSON POST (a Discord webhook URL gets the embed)
+  ADMIN_API_PORT = '', // port of the local HTTP admin API (/health, /metrics, read-only data); empty = off
+  ADMIN_API_HOST = '127.0.0.1', // interface the admin API listens on; keep it local and put a proxy in front if needed
+  ADMIN_API_TOKEN = '', // required with ADMIN_API_PORT: requests send "Authorization: Bearer <token>"
+  RENEWAL_REMINDER = '3d', // DM sent this long before each renewal charge ("0" = no reminders)
+  PLATFORM_FEE_MODEL = 'flat', // what the platform (SERVER_RECEIVER_CARD) takes: flat (guild fee) | percent (of member payments) | both
+  PLATFORM_FEE_PERCENT = '0', // percent of each member payment sent to SERVER_RECEIVER_CARD with the percent and both models
+  BOT_OWNER_IDS = '', // Discord user ids, comma separated, allowed to use /platformfee
+  TOTAL_SHARDS = 'auto', // shards started by shard.js (npm run start:sharded): a number or 'auto' (Discord's recommendation)
+  CHECKOUT_LEASE = '' // how long the process running checkout keeps the lease without renewing it (default: 2x CHECK_INTERVAL_MS, at least 1m)
+} = process.env;
+
+const activationMsNum = Number(ACTIVATION_MS) || (30 * 24 * 3600 * 1000);
+export const activationSec = Math.max(1, Math.floor(activationMsNum / 1000));
+export const checkIntervalMs = Math.max(1000, Number(CHECK_INTERVAL_MS) || (5 * 60 * 1000));
+export const panelRefreshIntervalMs = Math.max(60 * 1000, Number(PANEL_REFRESH_INTERVAL_MS) || (10 * 60 * 1000));
+export const roleSyncIntervalMs = Math.max(60 * 1000, Number(ROLE_SYNC_INTERVAL_MS) || (60 * 60 * 1000));
+export const coinConcurrency = Math.max(1, Math.floor(Number(COIN_API_CONCURRENCY)) || 4);
+export const checkoutBatchSize = Math.max(1, Math.floor(Number(CHECKOUT_BATCH_SIZE)) || 100);
+export const renewalReminderSec = RENEWAL_REMINDER.trim() === '0' ? 0 : (parseDuration(RENEWAL_REMINDER) ?? 3 * 86400);
+export const priceChangeNoticeSec = PRICE_CHANGE_NOTICE.trim() === '0' ? 0 : (parseDuration(PRICE_CHANGE_NOTICE) ?? 7 * 86400);
+export const FEE_MODELS = ['flat', 'percent', 'both'];
+export const platformFeeModel = FEE_MODELS.includes(PLATFORM_FEE_MODEL.trim().toLowerCase()) ? PLATFORM_FEE_MODEL.trim().toLowerCase() : 'flat';
+export const platformFeePercent = Math.min(100, Math.max(0, Number(PLATFORM_FEE_PERCENT) || 0));
+export const botOwnerIds = new Set(BOT_OWNER_IDS.split(',').map(s => s.trim()).filter(Boolean));
+export const totalShards = /^\d+$/.test(TOTAL_SHARDS.trim()) && Number(TOTAL_SHARDS) > 0 ? Number(TOTAL_SHARDS) : 'auto';
+// another process (shard, standby instance) takes over checkout this long after the current one stopped
+export const checkoutLeaseSec = parseDuration(CHECKOUT_LEASE) ?? Math.max(60, Math.ceil(checkIntervalMs * 2 / 1000));
+export const mockPaymentMode = String(MOCK_PAYMENT_MODE || '').trim().toLowerCase();
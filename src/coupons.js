@@ -0,0 +1,63 @@
+// src/coupons.js — cupons de desconto (percentual ou valor fixo) e testes grátis
+import { formatCoin, formatDuration, nowTs } from './util.js';
+import { db } from './db.js';
+import { t } from './i18n.js';
+
+export const MAX_COUPONS_PER_GUILD = 50;
+
+export async function getCouponByCode(guildId, code) {
+  return db.get('SELECT * FROM coupons WHERE guild_id = ? AND code = ?', [guildId, String(code || '').trim()]);
+}
+export async function getCouponById(id) {
+  if (!id) return null;
+  return db.get('SELECT * FROM coupons WHERE id = ?', id);
+}
+export async function couponUses(couponId) {
+  const row = await db.get('SELECT COUNT(*) AS n FROM coupon_redemptions WHERE coupon_id = ?', couponId);
+  return row ? row.n : 0;
+}
+
+// "10%" / "0.5 coins", plus recurrence
+export function describeCoupon(c, lang) {
+  const value = c.kind === 'percent' ? `${Number(c.value)}%` : `${formatCoin(c.value)} coins`;
+  return t(lang, Number(c.recurring) === 1 ? 'coupon.describe.recurring' : 'coupon.describe.first', { value });
+}
+
+// New redemptions only: members who already redeemed a recurring coupon keep it after it expires or is disabled.
+export async function findRedeemableCoupon(guildId, userId, code, lang) {
+  const coupon = await getCouponByCode(guildId, code);
+  if (!coupon) return { error: t(lang, 'coupon.notFound', { code }) };
+  if (Number(coupon.disabled) === 1) return { error: t(lang, 'coupon.disabled', { code: coupon.code }) };
+  if (coupon.expires_ts && coupon.expires_ts <= nowTs()) return { error: t(lang, 'coupon.expired', { code: coupon.code }) };
+  if (coupon.max_uses && await couponUses(coupon.id) >= coupon.max_uses) return { error: t(lang, 'coupon.exhausted', { code: coupon.code }) };
+  const used = await db.get('SELECT id FROM coupon_redemptions WHERE coupon_id = ? AND user_id = ?', [coupon.id, userId]);
+  if (used) return { error: t(lang, 'coupon.alreadyUsed', { code: coupon.code }) };
+  return { coupon };
+}
+
+// discounted amount (8 decimals, never negative) and the discount itself
+export function applyCoupon(amount, coupon) {
+  const base = Number(amount);
+  if (!coupon) return { amount: formatCoin(base), discount: 0 };
+  const off = coupon.kind === 'percent' ? base * Math.min(100, Number(coupon.value)) / 100 : Math.min(base, Number(coupon.value));
+  const discount = Math.floor(off * 1e8) / 1e8;
+  return { amount: formatCoin(Math.max(0, base - discount)), discount };
+}
+
+export async function recordRedemption(coupon, guildId, userId, paymentId, discount) {
+  await db.run('INSERT OR IGNORE INTO coupon_redemptions (coupon_id, guild_id, user_id, payment_id, discount, ts) VALUES (?, ?, ?, ?, ?, ?)',
+    [coupon.id, guildId, userId, paymentId || null, formatCoin(discount), nowTs()]);
+}
+
+// ---- Free trials ----
+// one per member per guild, ever; only for members without an active subscription
+export async function trialAvailable(g, previous, userId) {
+  if (!g || !(Number(g.trial_sec) > 0)) return false;
+  if (previous && Number(previous.active) === 1) return false;
+  const used = await db.get('SELECT 1 AS used FROM trials WHERE guild_id = ? AND user_id = ?', [g.guild_id, userId]);
+  return !used;
+}
+
+export function trialText(g, lang) {
+  return g && Number(g.trial_sec) > 0 ? t(lang, 'trial.panel', { duration: formatDuration(Number(g.trial_sec)) }) : '';
+}
@@ -0,0 +1,18 @@
+// src/db.js — conexão SQLite (o schema vem das migrações em src/migrations)
+import fs from 'fs';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { DB_PATH } from './config.js';
+import { migrate } from './migrate.js';
+
+// ---- DB setup (sqlite) ----
+export let db;
+export async function initDb(filename = DB_PATH, { log } = {}) {
+  await fs.promises.mkdir(path.dirname(filename), { recursive: true }).catch(()=>{});
+  db = await open({ filename, driver: sqlite3.Database });
+  await db.exec('PRAGMA foreign_keys = ON');
+  // shards and standby instances share the file: wait for another process's write instead of failing with SQLITE_BUSY
+  await db.exec('PRAGMA busy_timeout = 5000');
+  await migrate(db, filename, { log });
+}
@@ -0,0 +1,101 @@
+// src/eventlog.js — eventos tipados: canal de log (rota por tipo), webhook externo e arquivo JSON lines
+import fs from 'fs';
+import axios from 'axios';
+import { EmbedBuilder } from 'discord.js';
+import { db } from './db.js';
+import { client, ownsGuild } from './bot.js';
+import { getGuildRow } from './guilds.js';
+
+// Every event the bot logs. muted: kept out of the log channel unless a /logroute unmutes it
+// (the file and the webhook still receive it). /logroute offers them as choices: Discord allows 25 at most.
+export const EVENT_TYPES = {
+  guild_payment: {},
+  guild_payment_failed: {},
+  guild_deactivated: {},
+  platform_fee: { muted: true },
+  platform_fee_failed: {},
+  fee_changed: {},
+  payment_success: {},
+  payment_failed: {},
+  payment_unverified: {},
+  payment_reconciled: {},
+  payment_unverifiable: {},
+  refund: {},
+  renewal: {},
+  role_removed: {},
+  subscription_cancelled: {},
+  subscription_ended: {},
+  trial_started: {},
+  gift: {},
+  gift_continued: {},
+  premium_manual: {},
+  price_changed: {},
+  role_corrected: {},
+  subscriber_role_changed: {},
+  subscriber_role_deleted: {},
+  member_notified: { muted: true }
+};
+
+// index.js points these at EVENT_LOG_FILE / EVENT_WEBHOOK_URL; both stay off until then (tests, scripts)
+const sinks = { file: null, webhookUrl: null };
+export function setEventSinks({ file = null, webhookUrl = null } = {}) {
+  sinks.file = file || null;
+  sinks.webhookUrl = webhookUrl || null;
+}
+
+export const webhook = axios.create({ timeout: 10000, headers: { 'Content-Type': 'application/json' } });
+
+// where an event type goes in a guild: its /logroute channel, else the /log channel (channelId null when unset)
+export async function eventRoute(g, type) {
+  const route = await db.get('SELECT channel_id, muted FROM log_routes WHERE guild_id = ? AND event_type = ?', [g.guild_id, type]);
+  return {
+    channelId: (route && route.channel_id) || g.log_channel_id || null,
+    muted: route ? Number(route.muted) === 1 : !!EVENT_TYPES[type].muted
+  };
+}
+
+// One event: title/description are already in the guild language, data holds the raw values (ids, amounts)
+// for the JSON line and the webhook. A failing destination is reported on the console, never thrown.
+export async function logEvent(guild, type, { title, description, footer = null }, data = {}) {
+  if (!EVENT_TYPES[type]) throw new Error(`Unknown event type ${type}`);
+  const g = typeof guild === 'string' ? await getGuildRow(guild) : guild;
+  const guildId = typeof guild === 'string' ? guild : g && g.guild_id;
+  const entry = { ts: new Date().toISOString(), type, guild_id: guildId || null, title, description, data };
+  const embed = new EmbedBuilder().setTitle(title).setDescription(description).setTimestamp();
+  if (footer) embed.setFooter({ text: footer });
+
+  if (sinks.file) {
+    await fs.promises.appendFile(sinks.file, `${JSON.stringify(entry)}\n`).catch(e => console.warn('event log file write failed', sinks.file, e.message));
+  }
+  if (sinks.webhookUrl) {
+    // Discord webhooks only take messages; anything else receives the JSON entry
+    const body = /^https:\/\/(\w+\.)?discord(app)?\.com\/api\/webhooks\//.test(sinks.webhookUrl) ? { embeds: [embed.toJSON()] } : entry;
+    webhook.post(sinks.webhookUrl, body).catch(e => console.warn('event webhook failed', type, e.message));
+  }
+  if (!g) return;
+  try {
+    const { channelId, muted } = await eventRoute(g, type);
+    if (muted || !channelId) return;
+    // checkout logs the events of every shard's guilds: another shard's guild is not in this cache
+    const channel = await client.channels.fetch(channelId, { allowUnknownGuild: !ownsGuild(guildId) }).catch(()=>null);
+    if (!channel || !channel.isTextBased()) {
+      console.warn('event channel unavailable', guildId, type, channelId);
+      return;
+    }
+    await channel.send({ embeds: [embed] });
+  } catch (e) {
+    console.warn('event channel send failed', guildId, type, e && e.message);
+  }
+}
+
+// filters of scripts/search-events.js over the parsed lines of the event log file (since/until in ms)
+export function matchesEvent(entry, { type = null, guildId = null, userId = null, since = null, until = null, text = null } = {}) {
+  if (type && !type.includes(entry.type)) return false;
+  if (guildId && entry.guild_id !== guildId) return false;
+  if (userId && !Object.values(entry.data || {}).some(v => String(v) === userId)) return false;
+  const ts = Date.parse(entry.ts);
+  if (since && ts < since) return false;
+  if (until && ts > until) return false;
+  if (text && !`${entry.title}\n${entry.description}`.toLowerCase().includes(text.toLowerCase())) return false;
+  return true;
+}
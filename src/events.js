@@ -0,0 +1,119 @@
+// src/events.js — eventos do gateway (ready, guilds, membros, roles, interações)
+import { DEFAULT_GUILD_PRICE, activationSec, checkIntervalMs, checkoutLeaseSec, panelRefreshIntervalMs, roleSyncIntervalMs } from './config.js';
+import { nowTs } from './util.js';
+import { db } from './db.js';
+import { client, ownsGuild } from './bot.js';
+import { getGuildRow, pauseGuildBilling, resumeGuildBilling } from './guilds.js';
+import { reconcileCharges } from './payments.js';
+import { CHECKOUT_LEASE, periodicCheckout } from './checkout.js';
+import { withLease } from './lease.js';
+import { checkConfiguredRoles, handleMissingRole, premiumRoleIds, reconcileAllRoles, reconcileGuildRoles, reconcileMember, reconcileMemberAndReport, reportRoleCorrections } from './roles.js';
+import { refreshCountPanels } from './panel.js';
+import { startNotificationWorker } from './notifications.js';
+import { registerCommands } from './commands.js';
+import { handleInteraction } from './interactions.js';
+
+export function registerEventHandlers() {
+  // ---- On ready ----
+  client.once('ready', async () => {
+    console.log('Logged in as', client.user.tag, client.shard ? `(shards ${client.shard.ids.join(', ')} of ${client.shard.count})` : '');
+    // commands are global: one shard registers them
+    if (!client.shard || client.shard.ids.includes(0)) await registerCommands();
+
+    // settle charges left unknown/pending by a timeout or a crash before anything new is charged
+    // (by the process in charge of checkout; when another one has the lease, its next tick does it)
+    await withLease(CHECKOUT_LEASE, checkoutLeaseSec, () => reconcileCharges()).catch(e => console.error('reconcileCharges failed', e));
+
+    // ensure every guild row exists; mark inactive when missing server_card
+    const guildsToProcess = Array.from(client.guilds.cache.keys());
+    const now = nowTs();
+    for (const guildId of guildsToProcess) {
+      const g = await db.get('SELECT guild_id, server_card, paused FROM guilds WHERE guild_id = ?', guildId);
+      if (!g) {
+        const pseudoOldTs = now - activationSec;
+        await db.run('INSERT INTO guilds (guild_id, server_card, price, last_guild_payment_ts, active) VALUES (?, ?, ?, ?, ?)', [guildId, null, DEFAULT_GUILD_PRICE, pseudoOldTs, 0]);
+      } else {
+        if (!g.server_card) {
+          const pseudoOldTs = now - activationSec;
+          await db.run('UPDATE guilds SET last_guild_payment_ts = ?, active = 0 WHERE guild_id = ?', [pseudoOldTs, guildId]);
+        }
+        // re-added while the bot was offline
+        if (Number(g.paused) === 1) await resumeGuildBilling(guildId);
+      }
+      await checkConfiguredRoles(guildId);
+    }
+
+    // removed while the bot was offline: no guildDelete was received for these
+    // (only this process's shards: the other guilds are not in this cache)
+    const known = await db.all('SELECT guild_id FROM guilds WHERE paused = 0');
+    for (const row of known) {
+      if (ownsGuild(row.guild_id) && !client.guilds.cache.has(row.guild_id)) await pauseGuildBilling(row.guild_id);
+    }
+
+    // periodicCheckout interval configurable; every process runs the timer, the lease holder charges
+    setInterval(periodicCheckout, checkIntervalMs);
+    setTimeout(periodicCheckout, 5000);
+    setInterval(reconcileAllRoles, roleSyncIntervalMs);
+    setInterval(refreshCountPanels, panelRefreshIntervalMs);
+    // DMs left pending by a restart, and retries of the ones that failed
+    startNotificationWorker();
+  });
+
+  // When bot joins a new guild
+  client.on('guildCreate', async (guild) => {
+    try {
+      const now = nowTs();
+      const g = await db.get('SELECT guild_id, server_card, paused FROM guilds WHERE guild_id = ?', guild.id);
+      if (!g) {
+        const pseudoOldTs = now - activationSec;
+        await db.run('INSERT INTO guilds (guild_id, server_card, price, last_guild_payment_ts, active) VALUES (?, ?, ?, ?, ?)', [guild.id, null, DEFAULT_GUILD_PRICE, pseudoOldTs, 0]);
+      } else if (!g.server_card) {
+        const pseudoOldTs = now - activationSec;
+        await db.run('UPDATE guilds SET last_guild_payment_ts = ?, active = 0 WHERE guild_id = ?', [pseudoOldTs, guild.id]);
+      }
+      if (g && Number(g.paused) === 1) {
+        await resumeGuildBilling(guild.id);
+        await checkConfiguredRoles(guild.id);
+        await reconcileGuildRoles(guild.id);
+      }
+    } catch (e) {
+      console.warn('guildCreate handler error', e);
+    }
+  });
+
+  // Bot removed from a guild: stop charging the guild and its members until it is added back.
+  client.on('guildDelete', async (guild) => {
+    // an outage also emits guildDelete with available = false; that is not a removal
+    if (!guild.available) return;
+    try {
+      await pauseGuildBilling(guild.id);
+    } catch (e) {
+      console.warn('guildDelete handler error', e);
+    }
+  });
+
+  client.on('roleDelete', (role) => {
+    handleMissingRole(role.guild.id, role.id).catch(e => console.warn('roleDelete handler error', e));
+  });
+
+  client.on('guildMemberAdd', (member) => {
+    reconcileMemberAndReport(member, 'roles.reason.memberJoined');
+  });
+
+  client.on('guildMemberUpdate', async (oldMember, newMember) => {
+    try {
+      const g = await getGuildRow(newMember.guild.id);
+      if (!g) return;
+      const roleIds = await premiumRoleIds(g);
+      // only react to changes of managed roles (an uncached old member counts as changed)
+      const changed = oldMember.partial || [...roleIds].some(id => oldMember.roles.cache.has(id) !== newMember.roles.cache.has(id));
+      if (!changed) return;
+      const corrections = await reconcileMember(newMember, g, roleIds);
+      await reportRoleCorrections(g, corrections, 'roles.reason.manualChange');
+    } catch (e) {
+      console.warn('guildMemberUpdate handler error', e);
+    }
+  });
+
+  client.on('interactionCreate', handleInteraction);
+}
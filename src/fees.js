@@ -0,0 +1,93 @@
+// src/fees.js — taxa da plataforma: fixa por guild, percentual dos pagamentos de membros ou ambas
+import { DEFAULT_GUILD_PRICE, FEE_MODELS, SERVER_RECEIVER_CARD, platformFeeModel, platformFeePercent } from './config.js';
+import { formatCoin } from './util.js';
+import { db } from './db.js';
+import { getGuildRow } from './guilds.js';
+import { attemptCharge } from './payments.js';
+import { revealCard } from './cards.js';
+import { guildLanguage, t } from './i18n.js';
+import { logEvent } from './eventlog.js';
+
+// payments whose amount is split between the guild and the platform
+export const MEMBER_PAYMENT_KINDS = ['subscription', 'gift'];
+// failed transfers of the platform share are retried by periodicCheckout up to this many times; the ones given
+// up stay listed by unsettledPlatformFees (admin API, /metrics)
+const MAX_FEE_ATTEMPTS = 3;
+
+// Effective model of a guild: its /platformfee override, else the env. flat is the periodic guild fee
+// (the guild price kept by older setups when no override is set).
+export function feeConfig(g) {
+  const hasPercent = !!g && g.fee_percent !== null && g.fee_percent !== undefined;
+  const model = g && FEE_MODELS.includes(g.fee_model) ? g.fee_model : platformFeeModel;
+  const percent = hasPercent ? Number(g.fee_percent) : platformFeePercent;
+  const flat = (g && g.fee_flat) || (g && g.price) || DEFAULT_GUILD_PRICE;
+  return { model, percent, flat, overridden: !!g && (!!g.fee_model || hasPercent || !!g.fee_flat) };
+}
+
+export function chargesFlatFee(cfg) {
+  return cfg.model !== 'percent';
+}
+
+// Split of a member payment, in 1e-8 units so platform_fee + guild_share is exactly the amount.
+// The platform share is rounded down; nothing is taken without a platform card to send it to.
+export function splitPayment(g, amount) {
+  const cfg = feeConfig(g);
+  const units = Math.round(Number(amount || 0) * 1e8);
+  const percent = cfg.model === 'flat' || !SERVER_RECEIVER_CARD ? 0 : cfg.percent;
+  const fee = Math.floor(units * percent / 100);
+  return { platformFee: formatCoin(fee / 1e8), guildShare: formatCoin((units - fee) / 1e8) };
+}
+
+// The member pays the guild card in one charge; the platform share then goes from the guild card to
+// SERVER_RECEIVER_CARD as a platform_fee payment linked to it (parent_payment_id). Returns the transfer or null.
+export async function collectPlatformFee(paymentId) {
+  const p = await db.get('SELECT * FROM payments WHERE id = ?', paymentId);
+  if (!p || p.status !== 'confirmed' || !MEMBER_PAYMENT_KINDS.includes(p.kind) || !(Number(p.platform_fee) > 0)) return null;
+  const previous = await db.all('SELECT status FROM payments WHERE parent_payment_id = ? AND kind = ?', [p.id, 'platform_fee']);
+  // already taken, or still waiting for reconcileCharges
+  if (previous.some(r => r.status !== 'failed') || previous.length >= MAX_FEE_ATTEMPTS) return null;
+  const g = await getGuildRow(p.guild_id);
+  if (!g || !g.server_card || !SERVER_RECEIVER_CARD) return null;
+  const attempt = await attemptCharge(revealCard(g.server_card), SERVER_RECEIVER_CARD, p.platform_fee, { guildId: g.guild_id, kind: 'platform_fee', parentPaymentId: p.id });
+  const lang = guildLanguage(g);
+  const data = { id: p.id, fee: p.platform_fee, amount: formatCoin(p.amount), user: p.user_id, txid: attempt.txid || 'n/a' };
+  if (attempt.success) {
+    await logEvent(g, 'platform_fee', { title: t(lang, 'log.platformFee.title'), description: t(lang, 'log.platformFee.body', data) }, data);
+  } else if (attempt.status === 'failed') {
+    const attempts = previous.length + 1;
+    const finalAttempt = attempts >= MAX_FEE_ATTEMPTS;
+    await logEvent(g, 'platform_fee_failed', { title: t(lang, 'log.platformFeeFailed.title'), description: t(lang, finalAttempt ? 'log.platformFeeFailed.final' : 'log.platformFeeFailed.retry', { ...data, attempts }) }, { ...data, attempts, given_up: finalAttempt });
+  }
+  return attempt;
+}
+
+// periodicCheckout: platform shares whose transfer failed (guild card out of coins, API down) and was not given up
+export async function settlePlatformFees(guildId = null) {
+  const due = await db.all(`SELECT p.id FROM payments p JOIN guilds g ON g.guild_id = p.guild_id
+    WHERE p.status = 'confirmed' AND p.kind IN (${MEMBER_PAYMENT_KINDS.map(() => '?').join(', ')}) AND CAST(p.platform_fee AS REAL) > 0 AND g.paused = 0
+      AND (? IS NULL OR p.guild_id = ?)
+      AND NOT EXISTS (SELECT 1 FROM payments f WHERE f.parent_payment_id = p.id AND f.kind = 'platform_fee' AND f.status != 'failed')
+      AND (SELECT COUNT(*) FROM payments f WHERE f.parent_payment_id = p.id AND f.kind = 'platform_fee') < ?
+    ORDER BY p.id`, [...MEMBER_PAYMENT_KINDS, guildId, guildId, MAX_FEE_ATTEMPTS]);
+  for (const p of due) {
+    try {
+      await collectPlatformFee(p.id);
+    } catch (e) {
+      console.error('platform fee error', p.id, e);
+    }
+  }
+  return due.length;
+}
+
+// Platform shares taken from member payments but not sent to SERVER_RECEIVER_CARD yet: still being retried,
+// or given up after MAX_FEE_ATTEMPTS (those need the owner to settle them by hand).
+export async function unsettledPlatformFees(guildId = null) {
+  const row = await db.get(`SELECT COUNT(*) AS count, SUM(CAST(p.platform_fee AS REAL)) AS total,
+      SUM((SELECT COUNT(*) FROM payments f WHERE f.parent_payment_id = p.id AND f.kind = 'platform_fee') >= ?) AS given_up
+    FROM payments p
+    WHERE p.status = 'confirmed' AND p.kind IN (${MEMBER_PAYMENT_KINDS.map(() => '?').join(', ')}) AND CAST(p.platform_fee AS REAL) > 0
+      AND (? IS NULL OR p.guild_id = ?)
+      AND NOT EXISTS (SELECT 1 FROM payments f WHERE f.parent_payment_id = p.id AND f.kind = 'platform_fee' AND f.status != 'failed')`,
+  [MAX_FEE_ATTEMPTS, ...MEMBER_PAYMENT_KINDS, guildId, guildId]);
+  return { count: row.count, total: formatCoin(row.total), givenUp: row.given_up || 0 };
+}
@@ -0,0 +1,64 @@
+// src/gifts.js — assinaturas de presente: um membro paga N ciclos de um plano para outro
+import { formatCoin, formatDuration, nowTs } from './util.js';
+import { db } from './db.js';
+import { client } from './bot.js';
+import { getGuildRow, getTierById, planFor } from './guilds.js';
+import { grantPremium } from './subscriptions.js';
+import { guildLanguage, t } from './i18n.js';
+import { logEvent } from './eventlog.js';
+import { notifyUserDMed } from './notifications.js';
+
+export const MAX_GIFT_CYCLES = 12;
+
+export async function getGiftById(id) {
+  if (!id) return null;
+  return db.get('SELECT * FROM gifts WHERE id = ?', id);
+}
+
+// A gift adds time to the recipient's current plan, so a recipient already active on another plan is refused.
+export async function giftBlockedReason(guildId, recipientId, plan, lang) {
+  const sub = await db.get('SELECT * FROM subscriptions WHERE guild_id = ? AND user_id = ?', [guildId, recipientId]);
+  if (!sub || Number(sub.active) !== 1) return null;
+  if ((sub.tier_id || null) === (plan.tierId || null)) return null;
+  const current = sub.tier_id ? await getTierById(guildId, sub.tier_id) : null;
+  return current ? t(lang, 'gift.blockedTier', { user: recipientId, plan: current.name }) : t(lang, 'gift.blockedDefault', { user: recipientId });
+}
+
+// pending row written before the charge: the payment points at it so reconcileCharges() can still deliver the gift
+export async function createGift(guildId, giverId, recipientId, plan, cycles) {
+  const amount = formatCoin(Number(plan.price) * cycles);
+  const res = await db.run("INSERT INTO gifts (guild_id, giver_id, recipient_id, tier_id, cycles, amount, status, created_ts) VALUES (?, ?, ?, ?, ?, ?, 'pending', ?)",
+    [guildId, giverId, recipientId, plan.tierId, cycles, amount, nowTs()]);
+  return getGiftById(res.lastID);
+}
+
+export async function failGift(giftId) {
+  await db.run("UPDATE gifts SET status = 'failed' WHERE id = ? AND status = 'pending'", giftId);
+}
+
+// Paid gift: the recipient gets cycles × cycle of the plan like a staff grant (no card needed, it simply ends),
+// or that much more time when already subscribed. Only subscriptions that would end anyway remember the giver,
+// so the recipient is offered to continue with their own card when the gift runs out.
+export async function activateGift(gift) {
+  const g = await getGuildRow(gift.guild_id) || {};
+  const tier = gift.tier_id ? await getTierById(gift.guild_id, gift.tier_id) : null;
+  const plan = planFor(g, tier && Number(tier.archived) === 0 ? tier : null);
+  const result = await grantPremium(gift.guild_id, gift.recipient_id, plan.cycleSec * Number(gift.cycles), plan.tierId);
+  await db.run('UPDATE subscriptions SET gift_from = ? WHERE guild_id = ? AND user_id = ? AND (cancelled_ts IS NOT NULL OR card_code IS NULL)', [gift.giver_id, gift.guild_id, gift.recipient_id]);
+  await db.run("UPDATE gifts SET status = 'active', ends_ts = ? WHERE id = ?", [result.endsAt, gift.id]);
+
+  const lang = guildLanguage(g);
+  const guildName = client.guilds.cache.get(gift.guild_id)?.name || gift.guild_id;
+  const duration = formatDuration(plan.cycleSec * Number(gift.cycles));
+  const what = plan.name ? t(lang, 'gift.whatPlan', { duration, plan: plan.name }) : t(lang, 'gift.what', { duration });
+  await notifyUserDMed(gift.recipient_id, t(lang, 'gift.receivedDm', { giver: gift.giver_id, what, guild: guildName, endsAt: result.endsAt }), gift.guild_id, 'gift_received');
+  const data = { id: gift.id, giver: gift.giver_id, recipient: gift.recipient_id, tier: gift.tier_id, cycles: gift.cycles, amount: formatCoin(gift.amount), endsAt: result.endsAt };
+  await logEvent(gift.guild_id, 'gift', { title: t(lang, 'log.gift.title'), description: t(lang, 'log.gift.body', { ...data, what }), footer: t(lang, 'log.gift.footer', data) }, data);
+  return result;
+}
+
+// DM sent when a subscription running on a gift ends
+export function giftEndedText(lang, guildName, giverId, plan) {
+  const params = { giver: giverId, guild: guildName, plan: plan.name, price: formatCoin(plan.price), cycle: formatDuration(plan.cycleSec) };
+  return t(lang, plan.name ? 'gift.endedDmPlan' : 'gift.endedDm', params);
+}
@@ -0,0 +1,66 @@
+// src/guilds.js — linhas de guild, planos (tiers) e agenda de carência
+import { DEFAULT_GUILD_PRICE, RETRY_SCHEDULE, activationSec } from './config.js';
+import { nowTs, parseRetrySchedule } from './util.js';
+import { db } from './db.js';
+
+export async function getGuildRow(guildId) {
+  const row = await db.get('SELECT * FROM guilds WHERE guild_id = ?', guildId);
+  return row;
+}
+
+// ---- Tiers / plans ----
+export const MAX_TIERS_PER_GUILD = 20;
+
+export async function getTiers(guildId) {
+  return db.all('SELECT * FROM tiers WHERE guild_id = ? AND archived = 0 ORDER BY CAST(price AS REAL), id', guildId);
+}
+export async function getTierById(guildId, tierId) {
+  if (!tierId) return null;
+  return db.get('SELECT * FROM tiers WHERE guild_id = ? AND id = ?', [guildId, tierId]);
+}
+export async function getTierByName(guildId, name) {
+  return db.get('SELECT * FROM tiers WHERE guild_id = ? AND name = ? AND archived = 0', [guildId, name]);
+}
+
+// A plan is what a subscription pays for: the tier when one is set, otherwise the guild's legacy price/role and the env cycle.
+export function planFor(g, tier) {
+  if (tier) {
+    return {
+      tierId: tier.id,
+      name: tier.name,
+      price: tier.price,
+      roleId: tier.role_id || (g && g.role_id) || null,
+      cycleSec: Number(tier.cycle_sec) || activationSec,
+      archived: Number(tier.archived) === 1
+    };
+  }
+  return { tierId: null, name: null, price: (g && g.price) || DEFAULT_GUILD_PRICE, roleId: (g && g.role_id) || null, cycleSec: activationSec, archived: false };
+}
+export async function getSubPlan(g, sub) {
+  const tier = sub && sub.tier_id ? await getTierById(sub.guild_id, sub.tier_id) : null;
+  return planFor(g, tier);
+}
+
+// Price a renewal at time `at` charges: a price locked by a price change (notice period, or kept by the admin
+// when locked_until is NULL) wins over the plan price while it lasts.
+export function subscriptionPrice(plan, sub, at = nowTs()) {
+  if (sub && sub.locked_price !== null && sub.locked_price !== undefined && (!sub.locked_until || at < sub.locked_until)) return sub.locked_price;
+  return plan.price;
+}
+
+export const defaultRetrySchedule = parseRetrySchedule(RETRY_SCHEDULE) || [];
+export function retryScheduleFor(g) {
+  if (g && g.retry_schedule !== null && g.retry_schedule !== undefined) return parseRetrySchedule(g.retry_schedule) || defaultRetrySchedule;
+  return defaultRetrySchedule;
+}
+
+export async function pauseGuildBilling(guildId) {
+  await db.run('UPDATE guilds SET paused = 1, active = 0 WHERE guild_id = ?', guildId);
+  console.log(`Billing paused for guild ${guildId} (bot removed).`);
+}
+
+export async function resumeGuildBilling(guildId) {
+  // active again only with a server card; periodicCheckout charges the guild fee if its window elapsed meanwhile
+  await db.run('UPDATE guilds SET paused = 0, active = CASE WHEN server_card IS NOT NULL THEN 1 ELSE 0 END WHERE guild_id = ?', guildId);
+  console.log(`Billing resumed for guild ${guildId}.`);
+}
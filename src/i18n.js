@@ -0,0 +1,45 @@
+// src/i18n.js — textos por idioma (src/locales/*.js) e escolha do idioma de cada mensagem
+import * as pt from './locales/pt.js';
+import * as en from './locales/en.js';
+import { DEFAULT_LANGUAGE } from './config.js';
+import { getGuildRow } from './guilds.js';
+
+const locales = { pt, en };
+export const LANGUAGES = Object.keys(locales);
+// Discord locales served by each language (interaction.locale and command localizations)
+export const discordLocales = { pt: ['pt-BR'], en: ['en-US', 'en-GB'] };
+// slash command texts registered without a locale: what every other Discord language sees
+export const BASE_COMMAND_LANGUAGE = 'en';
+
+// 'pt-BR' / 'en-GB' / 'en' -> 'pt' / 'en'; null for languages without a translation
+export function normalizeLanguage(lang) {
+  const base = String(lang || '').toLowerCase().split('-')[0];
+  return LANGUAGES.includes(base) ? base : null;
+}
+
+export const defaultLanguage = normalizeLanguage(DEFAULT_LANGUAGE) || 'pt';
+
+// "{name}" placeholders are filled from params; a key missing in one language falls back to the default one
+export function t(lang, key, params = {}) {
+  const text = locales[lang]?.text[key] ?? locales[defaultLanguage].text[key];
+  if (text === undefined) return key;
+  return text.replace(/\{(\w+)\}/g, (m, k) => (params[k] === undefined || params[k] === null ? m : String(params[k])));
+}
+
+// messages posted in the guild or sent on its behalf (panels, log channel, DMs) use the /language setting
+export function guildLanguage(g) {
+  return normalizeLanguage(g && g.language) || defaultLanguage;
+}
+
+// ephemeral replies follow the member's Discord language, then the guild setting
+export async function replyLanguage(interaction) {
+  return normalizeLanguage(interaction.locale) || guildLanguage(interaction.guildId ? await getGuildRow(interaction.guildId) : null);
+}
+
+// slash command texts of one language, keyed by "command", "command.option", "command.sub.option" or ".choice"
+export function commandText(lang, path) {
+  return locales[lang]?.commands[path];
+}
+export function commandName(lang, path) {
+  return locales[lang]?.commandNames[path];
+}
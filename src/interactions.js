@@ -0,0 +1,730 @@
+// src/interactions.js — slash commands, botões e modais
+import { PermissionsBitField } from 'discord.js';
+import { DEFAULT_GUILD_PRICE, PAYMENT_PROVIDER, SERVER_RECEIVER_CARD, activationSec, botOwnerIds, priceChangeNoticeSec } from './config.js';
+import { formatCoin, formatDuration, nowTs, parseDuration, parseRetrySchedule } from './util.js';
+import { db } from './db.js';
+import { giveRoleToMember, removeRoleFromMember } from './bot.js';
+import { paymentProviders } from './providers.js';
+import { MAX_TIERS_PER_GUILD, defaultRetrySchedule, getGuildRow, getSubPlan, getTierById, getTierByName, getTiers, planFor, subscriptionPrice } from './guilds.js';
+import { attemptCharge, chargeError, hasUnresolvedCharge } from './payments.js';
+import { applyPriceChange, cancelSubscription, extendPremium, grantPremium, initialCharge, recordAudit, revokePremium } from './subscriptions.js';
+import { migrateSubscriberRole } from './roles.js';
+import { encryptCard, revealCard } from './cards.js';
+import { MAX_COUPONS_PER_GUILD, applyCoupon, couponUses, describeCoupon, findRedeemableCoupon, getCouponByCode, recordRedemption, trialAvailable } from './coupons.js';
+import { MAX_GIFT_CYCLES, activateGift, createGift, failGift, giftBlockedReason } from './gifts.js';
+import { guildLanguage, normalizeLanguage, replyLanguage, t } from './i18n.js';
+import { buildCardModal, buildExportFiles, buildGiftModal, buildMySubscriptionsEmbed, buildRevenueEmbed, buildStatusEmbed, buildSubscribersPage, cancelReplyText } from './ui.js';
+import { isImageUrl, parsePanelColor, postPanel, refreshPanel } from './panel.js';
+import { EVENT_TYPES, eventRoute, logEvent } from './eventlog.js';
+import { optionalNotificationsOff, sendReceipt, setOptionalNotifications } from './notifications.js';
+import { feeConfig } from './fees.js';
+import { refundPayment } from './refunds.js';
+
+// ---- Interactions (commands / buttons / modal) ----
+// notice option of /worth and /tier edit: a duration, "0" (next renewal) or the env default; null when invalid
+function parseNoticeOption(str) {
+  if (str === null) return priceChangeNoticeSec;
+  if (str.trim() === '0') return 0;
+  return parseDuration(str);
+}
+
+// modals opened before a field existed do not carry it
+function optionalField(interaction, customId) {
+  try {
+    return interaction.fields.getTextInputValue(customId).trim();
+  } catch (e) {
+    return '';
+  }
+}
+
+function feeSummary(fee, lang) {
+  return t(lang, `platformfee.model.${fee.model}`, { flat: formatCoin(fee.flat), percent: fee.percent });
+}
+
+function priceChangeText(change, lang) {
+  if (!change) return '';
+  const parts = [];
+  if (change.kept) parts.push(t(lang, 'priceChange.reply.kept', { count: change.kept }));
+  if (change.notified) parts.push(t(lang, change.effectiveTs ? 'priceChange.reply.notifiedFrom' : 'priceChange.reply.notified', { count: change.notified, ts: change.effectiveTs }));
+  return parts.length ? ` ${parts.join('; ')}.` : '';
+}
+
+export async function handleInteraction(interaction) {
+  try {
+    const lang = await replyLanguage(interaction);
+    if (interaction.isChatInputCommand()) {
+      const { commandName } = interaction;
+
+      const adminCommands = new Set(['log','servercard','worth','role','tier','grace','admin','provider','trial','coupon','language','panelconfig','logroute','platformfee','refund']);
+
+      // stay available while the guild is inactive: members can still see their state and stop renewals
+      const alwaysAllowed = new Set(['unsubscribe','status','mysubscriptions','notifications']);
+
+      if (!adminCommands.has(commandName) && !alwaysAllowed.has(commandName)) {
+        const guildRow = await getGuildRow(interaction.guildId);
+        if (!guildRow || Number(guildRow.active) === 0) {
+          return interaction.reply({ content: t(lang, 'guild.inactiveCommand'), ephemeral: true });
+        }
+      }
+
+      if (commandName === 'log') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) return interaction.reply({ content: t(lang, 'perm.log'), ephemeral: true });
+        const channel = interaction.options.getChannel('channel');
+        await db.run('INSERT OR REPLACE INTO guilds (guild_id, log_channel_id, server_card, price, role_id, active) VALUES (?, COALESCE((SELECT log_channel_id FROM guilds WHERE guild_id = ?), ?), COALESCE((SELECT server_card FROM guilds WHERE guild_id = ?), ?), COALESCE((SELECT price FROM guilds WHERE guild_id = ?), ?), COALESCE((SELECT role_id FROM guilds WHERE guild_id = ?), ?), COALESCE((SELECT active FROM guilds WHERE guild_id = ?), 1))',
+          [interaction.guildId, interaction.guildId, channel.id, interaction.guildId, null, interaction.guildId, DEFAULT_GUILD_PRICE, interaction.guildId, null, interaction.guildId]);
+        await interaction.reply({ content: t(lang, 'log.set', { channel: `${channel}` }), ephemeral: true });
+        return;
+      }
+
+      if (commandName === 'servercard') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) return interaction.reply({ content: t(lang, 'perm.servercard'), ephemeral: true });
+        const card = interaction.options.getString('card');
+        await db.run('INSERT INTO guilds (guild_id, server_card, price, active, last_guild_payment_ts) VALUES (?, ?, COALESCE((SELECT price FROM guilds WHERE guild_id = ?), ?), 1, 0) ON CONFLICT(guild_id) DO UPDATE SET server_card = excluded.server_card, active = 1, last_guild_payment_ts = 0', [interaction.guildId, encryptCard(card), interaction.guildId, DEFAULT_GUILD_PRICE]);
+        await interaction.reply({ content: t(lang, 'servercard.set'), ephemeral: true });
+        return;
+      }
+
+      if (commandName === 'worth') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) return interaction.reply({ content: t(lang, 'perm.worth'), ephemeral: true });
+        const price = interaction.options.getString('price');
+        if (!/^\d+(\.\d{1,8})?$/.test(price)) return interaction.reply({ content: t(lang, 'invalid.price'), ephemeral: true });
+        const noticeSec = parseNoticeOption(interaction.options.getString('notice'));
+        if (noticeSec === null) return interaction.reply({ content: t(lang, 'invalid.notice'), ephemeral: true });
+        const before = await getGuildRow(interaction.guildId);
+        const oldPrice = (before && before.price) || DEFAULT_GUILD_PRICE;
+        await db.run('INSERT INTO guilds (guild_id, price) VALUES (?, ?) ON CONFLICT(guild_id) DO UPDATE SET price = excluded.price', [interaction.guildId, price]);
+        const change = Number(oldPrice) !== Number(price)
+          ? await applyPriceChange(interaction.guildId, { oldPrice, newPrice: price, noticeSec, keepCurrent: interaction.options.getBoolean('keep_current') === true })
+          : null;
+        await interaction.reply({ content: `${t(lang, 'worth.set', { price: formatCoin(price) })}${priceChangeText(change, lang)}`, ephemeral: true });
+        await refreshPanel(interaction.guildId);
+        return;
+      }
+
+      if (commandName === 'role') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) return interaction.reply({ content: t(lang, 'perm.role'), ephemeral: true });
+        const role = interaction.options.getRole('role');
+        const before = await getGuildRow(interaction.guildId);
+        const oldRoleId = before ? before.role_id : null;
+        await db.run('INSERT INTO guilds (guild_id, role_id) VALUES (?, ?) ON CONFLICT(guild_id) DO UPDATE SET role_id = excluded.role_id', [interaction.guildId, role.id]);
+        if (oldRoleId === role.id) return interaction.reply({ content: t(lang, 'role.set', { role: role.name }), ephemeral: true });
+        await interaction.deferReply({ ephemeral: true });
+        const moved = await migrateSubscriberRole(interaction.guildId, oldRoleId, role.id);
+        await interaction.editReply({ content: t(lang, oldRoleId ? 'role.setMovedFrom' : 'role.setMoved', { role: role.name, moved, from: oldRoleId }) });
+        await refreshPanel(interaction.guildId);
+        return;
+      }
+
+      if (commandName === 'provider') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) return interaction.reply({ content: t(lang, 'perm.provider'), ephemeral: true });
+        const name = interaction.options.getString('name');
+        if (name !== 'default' && !paymentProviders.has(name)) return interaction.reply({ content: t(lang, 'provider.disabled', { name }), ephemeral: true });
+        await db.run('INSERT INTO guilds (guild_id, payment_provider) VALUES (?, ?) ON CONFLICT(guild_id) DO UPDATE SET payment_provider = excluded.payment_provider', [interaction.guildId, name === 'default' ? null : name]);
+        const effective = name === 'default' ? PAYMENT_PROVIDER : name;
+        await interaction.reply({ content: `${t(lang, 'provider.set', { name: effective })}${name === 'default' ? t(lang, 'envDefault') : ''}.${effective === 'mock' ? t(lang, 'provider.mockWarning') : ''}`, ephemeral: true });
+        return;
+      }
+
+      if (commandName === 'grace') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) return interaction.reply({ content: t(lang, 'perm.grace'), ephemeral: true });
+        const input = interaction.options.getString('schedule').trim().toLowerCase();
+        const useDefault = input === 'default';
+        const schedule = useDefault ? defaultRetrySchedule : parseRetrySchedule(input);
+        if (!schedule) return interaction.reply({ content: t(lang, 'invalid.schedule'), ephemeral: true });
+        await db.run('INSERT INTO guilds (guild_id, retry_schedule) VALUES (?, ?) ON CONFLICT(guild_id) DO UPDATE SET retry_schedule = excluded.retry_schedule', [interaction.guildId, useDefault ? null : schedule.map(formatDuration).join(',')]);
+        const text = schedule.length
+          ? t(lang, 'grace.schedule', { count: schedule.length, steps: schedule.map(formatDuration).join(', '), total: formatDuration(schedule.reduce((a, b) => a + b, 0)) })
+          : t(lang, 'grace.off');
+        await interaction.reply({ content: `${t(lang, 'grace.set')}${useDefault ? t(lang, 'envDefault') : ''}. ${text}`, ephemeral: true });
+        return;
+      }
+
+      if (commandName === 'trial') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) return interaction.reply({ content: t(lang, 'perm.trial'), ephemeral: true });
+        const input = interaction.options.getString('length').trim().toLowerCase();
+        const trialSec = input === 'off' || input === '0' ? 0 : parseDuration(input);
+        if (trialSec === null) return interaction.reply({ content: t(lang, 'invalid.trial'), ephemeral: true });
+        await db.run('INSERT INTO guilds (guild_id, trial_sec) VALUES (?, ?) ON CONFLICT(guild_id) DO UPDATE SET trial_sec = excluded.trial_sec', [interaction.guildId, trialSec]);
+        await interaction.reply({ content: trialSec ? t(lang, 'trial.set', { duration: formatDuration(trialSec) }) : t(lang, 'trial.off'), ephemeral: true });
+        await refreshPanel(interaction.guildId);
+        return;
+      }
+
+      if (commandName === 'coupon') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) return interaction.reply({ content: t(lang, 'perm.coupon'), ephemeral: true });
+        const sub = interaction.options.getSubcommand();
+        const guildId = interaction.guildId;
+
+        if (sub === 'list') {
+          const coupons = await db.all('SELECT * FROM coupons WHERE guild_id = ? ORDER BY disabled, id DESC', guildId);
+          if (!coupons.length) return interaction.reply({ content: t(lang, 'coupon.none'), ephemeral: true });
+          const now = nowTs();
+          const lines = [];
+          for (const c of coupons.slice(0, 25)) {
+            const uses = await couponUses(c.id);
+            const state = Number(c.disabled) === 1 ? 'disabled' : (c.expires_ts && c.expires_ts <= now) ? 'expired' : (c.max_uses && uses >= c.max_uses) ? 'exhausted' : 'active';
+            const expiry = c.expires_ts ? t(lang, 'coupon.list.expires', { ts: c.expires_ts }) : t(lang, 'coupon.list.noExpiry');
+            lines.push(`**${c.code}** — ${describeCoupon(c, lang)} · ${t(lang, 'coupon.list.uses', { uses: `${uses}${c.max_uses ? `/${c.max_uses}` : ''}` })} · ${expiry} · ${t(lang, `coupon.state.${state}`)}`);
+          }
+          if (coupons.length > 25) lines.push(t(lang, 'list.more', { count: coupons.length - 25 }));
+          return interaction.reply({ content: lines.join('\n'), ephemeral: true });
+        }
+
+        const code = interaction.options.getString('code').trim();
+        if (sub === 'disable') {
+          const coupon = await getCouponByCode(guildId, code);
+          if (!coupon) return interaction.reply({ content: t(lang, 'coupon.notFound', { code }), ephemeral: true });
+          await db.run('UPDATE coupons SET disabled = 1 WHERE id = ?', coupon.id);
+          await recordAudit(guildId, interaction.user.id, null, 'coupon_disable', { code: coupon.code });
+          return interaction.reply({ content: t(lang, 'coupon.disabledReply', { code: coupon.code }), ephemeral: true });
+        }
+
+        if (sub === 'create') {
+          if (!/^[A-Za-z0-9_-]{2,32}$/.test(code)) return interaction.reply({ content: t(lang, 'invalid.couponCode'), ephemeral: true });
+          const kind = interaction.options.getString('type');
+          const value = interaction.options.getString('value').trim();
+          if (kind === 'percent' && !(/^\d+(\.\d{1,2})?$/.test(value) && Number(value) > 0 && Number(value) <= 100)) return interaction.reply({ content: t(lang, 'invalid.percent'), ephemeral: true });
+          if (kind === 'fixed' && !(/^\d+(\.\d{1,8})?$/.test(value) && Number(value) > 0)) return interaction.reply({ content: t(lang, 'invalid.amount'), ephemeral: true });
+          const expiresStr = interaction.options.getString('expires');
+          const expiresSec = expiresStr ? parseDuration(expiresStr) : null;
+          if (expiresStr && !expiresSec) return interaction.reply({ content: t(lang, 'invalid.expires'), ephemeral: true });
+          if (await getCouponByCode(guildId, code)) return interaction.reply({ content: t(lang, 'coupon.exists', { code }), ephemeral: true });
+          const count = await db.get('SELECT COUNT(*) AS n FROM coupons WHERE guild_id = ? AND disabled = 0', guildId);
+          if (count && count.n >= MAX_COUPONS_PER_GUILD) return interaction.reply({ content: t(lang, 'coupon.limit', { max: MAX_COUPONS_PER_GUILD }), ephemeral: true });
+          const coupon = {
+            code, kind, value,
+            recurring: interaction.options.getBoolean('recurring') === true ? 1 : 0,
+            expires_ts: expiresSec ? nowTs() + expiresSec : null,
+            max_uses: interaction.options.getInteger('max_uses') || null
+          };
+          await db.run('INSERT INTO coupons (guild_id, code, kind, value, recurring, expires_ts, max_uses, disabled, created_by, created_ts) VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?)',
+            [guildId, coupon.code, coupon.kind, coupon.value, coupon.recurring, coupon.expires_ts, coupon.max_uses, interaction.user.id, nowTs()]);
+          await recordAudit(guildId, interaction.user.id, null, 'coupon_create', coupon);
+          return interaction.reply({ content: t(lang, 'coupon.created', {
+            code,
+            what: describeCoupon(coupon, lang),
+            limits: `${coupon.max_uses ? t(lang, 'coupon.created.maxUses', { max: coupon.max_uses }) : ''}${coupon.expires_ts ? t(lang, 'coupon.created.expires', { ts: coupon.expires_ts }) : ''}`
+          }), ephemeral: true });
+        }
+        return;
+      }
+
+      if (commandName === 'admin') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) return interaction.reply({ content: t(lang, 'perm.admin'), ephemeral: true });
+        const sub = interaction.options.getSubcommand();
+        if (sub === 'subscribers') {
+          const filter = interaction.options.getString('filter') || 'all';
+          await interaction.reply({ ...(await buildSubscribersPage(interaction.guildId, filter, 0, lang)), ephemeral: true });
+          return;
+        }
+        if (sub === 'revenue') {
+          const period = interaction.options.getString('period') || 'day';
+          const count = interaction.options.getInteger('count') || 7;
+          await interaction.reply({ embeds: [await buildRevenueEmbed(interaction.guildId, period, count, lang)], ephemeral: true });
+          return;
+        }
+        if (sub === 'export') {
+          await interaction.deferReply({ ephemeral: true });
+          await interaction.editReply({ content: t(lang, 'admin.export'), files: await buildExportFiles(interaction.guildId) });
+          return;
+        }
+        return;
+      }
+
+      if (commandName === 'premium') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.ManageRoles)) return interaction.reply({ content: t(lang, 'perm.premium'), ephemeral: true });
+        const sub = interaction.options.getSubcommand();
+        const target = interaction.options.getUser('user');
+        const guildId = interaction.guildId;
+        let result;
+        let details;
+        if (sub === 'grant' || sub === 'extend') {
+          const durationStr = interaction.options.getString('duration');
+          const durationSec = parseDuration(durationStr);
+          if (!durationSec) return interaction.reply({ content: t(lang, 'invalid.duration'), ephemeral: true });
+          if (sub === 'grant') {
+            const tierName = interaction.options.getString('tier');
+            let tierId = null;
+            if (tierName) {
+              const tier = await getTierByName(guildId, tierName.trim());
+              if (!tier) return interaction.reply({ content: t(lang, 'tier.notFound', { name: tierName }), ephemeral: true });
+              tierId = tier.id;
+            }
+            result = await grantPremium(guildId, target.id, durationSec, tierId);
+          } else {
+            result = await extendPremium(guildId, target.id, durationSec);
+          }
+          details = { duration: formatDuration(durationSec), endsAt: result.endsAt, tier: result.plan ? result.plan.name : null, extended: !!result.extended };
+        } else {
+          result = await revokePremium(guildId, target.id);
+          details = { reason: interaction.options.getString('reason') || null };
+        }
+        if (!result.ok) return interaction.reply({ content: t(lang, 'premium.notSubscribed', { user: target.id }), ephemeral: true });
+
+        const action = sub === 'grant' && result.extended ? 'extend' : sub;
+        await recordAudit(guildId, interaction.user.id, target.id, `premium_${action}`, details);
+        const summary = (l) => action === 'revoke'
+          ? `${t(l, 'premium.revoked', { user: target.id, staff: interaction.user.id })}${details.reason ? t(l, 'premium.reason', { reason: details.reason }) : ''}`
+          : t(l, action === 'grant' ? 'premium.granted' : 'premium.extended', { staff: interaction.user.id, user: target.id, duration: details.duration + (details.tier ? t(l, 'premium.tier', { plan: details.tier }) : ''), endsAt: result.endsAt });
+        const g = await getGuildRow(guildId);
+        await logEvent(g || guildId, 'premium_manual', { title: t(guildLanguage(g), 'log.premiumManual.title'), description: summary(guildLanguage(g)), footer: `Staff: ${interaction.user.id}` }, { action, staff: interaction.user.id, user: target.id, ...details });
+        await interaction.reply({ content: summary(lang), ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+      }
+
+      if (commandName === 'status') {
+        await interaction.reply({ embeds: [await buildStatusEmbed(interaction.guildId, interaction.user.id, lang)], ephemeral: true });
+        return;
+      }
+
+      if (commandName === 'mysubscriptions') {
+        await interaction.reply({ embeds: [await buildMySubscriptionsEmbed(interaction.user.id, lang)], ephemeral: true });
+        return;
+      }
+
+      // optional DMs only (see OPTIONAL_KINDS); payment failures and lost access are always sent
+      if (commandName === 'notifications') {
+        const enabled = interaction.options.getBoolean('enabled');
+        if (enabled === null) {
+          const off = await optionalNotificationsOff(interaction.guildId, interaction.user.id);
+          return interaction.reply({ content: t(lang, off ? 'notifications.status.off' : 'notifications.status.on'), ephemeral: true });
+        }
+        await setOptionalNotifications(interaction.guildId, interaction.user.id, enabled);
+        await interaction.reply({ content: t(lang, enabled ? 'notifications.set.on' : 'notifications.set.off'), ephemeral: true });
+        return;
+      }
+
+      if (commandName === 'unsubscribe') {
+        const result = await cancelSubscription(interaction.guildId, interaction.user.id);
+        await interaction.reply({ content: cancelReplyText(result, lang), ephemeral: true });
+        return;
+      }
+
+      if (commandName === 'tier') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) return interaction.reply({ content: t(lang, 'perm.tier'), ephemeral: true });
+        const sub = interaction.options.getSubcommand();
+        const guildId = interaction.guildId;
+
+        if (sub === 'list') {
+          const tiers = await getTiers(guildId);
+          if (!tiers.length) return interaction.reply({ content: t(lang, 'tier.none'), ephemeral: true });
+          const guildRow = await getGuildRow(guildId) || {};
+          const lines = [];
+          for (const tier of tiers) {
+            const plan = planFor(guildRow, tier);
+            const count = await db.get('SELECT COUNT(*) AS n FROM subscriptions WHERE guild_id = ? AND tier_id = ? AND active = 1', [guildId, tier.id]);
+            lines.push(`**${tier.name}** — ${formatCoin(plan.price)} coins / ${formatDuration(plan.cycleSec)} · ${plan.roleId ? `<@&${plan.roleId}>` : t(lang, 'tier.list.noRole')} · ${t(lang, 'tier.list.active', { count: count ? count.n : 0 })}`);
+          }
+          return interaction.reply({ content: lines.join('\n'), ephemeral: true });
+        }
+
+        const name = interaction.options.getString('name').trim();
+        const price = interaction.options.getString('price');
+        const role = interaction.options.getRole('role');
+        const cycleStr = interaction.options.getString('cycle');
+        if (price !== null && !/^\d+(\.\d{1,8})?$/.test(price)) return interaction.reply({ content: t(lang, 'invalid.price'), ephemeral: true });
+        const cycleSec = cycleStr ? parseDuration(cycleStr) : null;
+        if (cycleStr && !cycleSec) return interaction.reply({ content: t(lang, 'invalid.cycle'), ephemeral: true });
+        const existing = await getTierByName(guildId, name);
+
+        if (sub === 'add') {
+          if (existing) return interaction.reply({ content: t(lang, 'tier.exists', { name: existing.name }), ephemeral: true });
+          const count = await db.get('SELECT COUNT(*) AS n FROM tiers WHERE guild_id = ? AND archived = 0', guildId);
+          if (count && count.n >= MAX_TIERS_PER_GUILD) return interaction.reply({ content: t(lang, 'tier.limit', { max: MAX_TIERS_PER_GUILD }), ephemeral: true });
+          await db.run('INSERT INTO tiers (guild_id, name, price, role_id, cycle_sec, archived, created_ts) VALUES (?, ?, ?, ?, ?, 0, ?)', [guildId, name, price, role.id, cycleSec || activationSec, nowTs()]);
+          await interaction.reply({ content: t(lang, 'tier.created', { name, price: formatCoin(price), cycle: formatDuration(cycleSec || activationSec), role: role.name }), ephemeral: true });
+          await refreshPanel(guildId);
+          return;
+        }
+
+        if (!existing) return interaction.reply({ content: t(lang, 'tier.notFound', { name }), ephemeral: true });
+
+        if (sub === 'edit') {
+          if (price === null && !role && !cycleSec) return interaction.reply({ content: t(lang, 'tier.nothingToEdit'), ephemeral: true });
+          const noticeSec = parseNoticeOption(interaction.options.getString('notice'));
+          if (noticeSec === null) return interaction.reply({ content: t(lang, 'invalid.notice'), ephemeral: true });
+          await db.run('UPDATE tiers SET price = COALESCE(?, price), role_id = COALESCE(?, role_id), cycle_sec = COALESCE(?, cycle_sec) WHERE id = ?', [price, role ? role.id : null, cycleSec, existing.id]);
+          let movedText = '';
+          if (role && role.id !== existing.role_id) {
+            await interaction.deferReply({ ephemeral: true });
+            const moved = await migrateSubscriberRole(guildId, existing.role_id || (await getGuildRow(guildId) || {}).role_id, role.id);
+            movedText = ` ${t(lang, 'tier.moved', { moved, role: role.name })}`;
+          }
+          const change = price !== null && Number(price) !== Number(existing.price)
+            ? await applyPriceChange(guildId, { tierId: existing.id, planName: existing.name, oldPrice: existing.price, newPrice: price, noticeSec, keepCurrent: interaction.options.getBoolean('keep_current') === true })
+            : null;
+          const content = `${t(lang, change ? 'tier.updatedCycle' : 'tier.updated', { name: existing.name })}${priceChangeText(change, lang)}${movedText}`;
+          if (interaction.deferred) await interaction.editReply({ content }); else await interaction.reply({ content, ephemeral: true });
+          await refreshPanel(guildId);
+          return;
+        }
+
+        if (sub === 'remove') {
+          // archived, not deleted: current subscribers keep their plan until the paid period ends
+          await db.run('UPDATE tiers SET archived = 1 WHERE id = ?', existing.id);
+          const res = await db.run('UPDATE subscriptions SET cancelled_ts = ? WHERE guild_id = ? AND tier_id = ? AND active = 1 AND cancelled_ts IS NULL', [nowTs(), guildId, existing.id]);
+          await interaction.reply({ content: t(lang, 'tier.removed', { name: existing.name, count: res.changes || 0 }), ephemeral: true });
+          await refreshPanel(guildId);
+          return;
+        }
+        return;
+      }
+
+      if (commandName === 'card') {
+        const tierName = interaction.options.getString('tier');
+        let tierId = null;
+        if (tierName) {
+          const tier = await getTierByName(interaction.guildId, tierName.trim());
+          if (!tier) return interaction.reply({ content: t(lang, 'tier.notFoundPanel', { name: tierName }), ephemeral: true });
+          tierId = tier.id;
+        }
+        await interaction.showModal(buildCardModal(interaction.guildId, tierId, lang));
+        return;
+      }
+
+      if (commandName === 'gift') {
+        const recipient = interaction.options.getUser('user');
+        const cycles = interaction.options.getInteger('months');
+        if (recipient.bot) return interaction.reply({ content: t(lang, 'gift.bot'), ephemeral: true });
+        if (recipient.id === interaction.user.id) return interaction.reply({ content: t(lang, 'gift.self'), ephemeral: true });
+        if (!(cycles >= 1 && cycles <= MAX_GIFT_CYCLES)) return interaction.reply({ content: t(lang, 'gift.cycles', { max: MAX_GIFT_CYCLES }), ephemeral: true });
+        const tierName = interaction.options.getString('tier');
+        let tier = null;
+        if (tierName) {
+          tier = await getTierByName(interaction.guildId, tierName.trim());
+          if (!tier) return interaction.reply({ content: t(lang, 'tier.notFoundPanel', { name: tierName }), ephemeral: true });
+        } else {
+          // no tier given: the recipient's current plan, so the gift extends it
+          const current = await db.get('SELECT tier_id FROM subscriptions WHERE guild_id = ? AND user_id = ? AND active = 1', [interaction.guildId, recipient.id]);
+          tier = current && current.tier_id ? await getTierById(interaction.guildId, current.tier_id) : null;
+          if (tier && Number(tier.archived) === 1) return interaction.reply({ content: t(lang, 'gift.currentArchived', { user: recipient.id }), ephemeral: true, allowedMentions: { parse: [] } });
+        }
+        const plan = planFor(await getGuildRow(interaction.guildId), tier);
+        const blocked = await giftBlockedReason(interaction.guildId, recipient.id, plan, lang);
+        if (blocked) return interaction.reply({ content: blocked, ephemeral: true, allowedMentions: { parse: [] } });
+        await interaction.showModal(buildGiftModal(interaction.guildId, recipient.id, cycles, plan.tierId, lang));
+        return;
+      }
+
+      if (commandName === 'language') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) return interaction.reply({ content: t(lang, 'perm.language'), ephemeral: true });
+        const choice = interaction.options.getString('language');
+        const language = choice === 'default' ? null : normalizeLanguage(choice);
+        await db.run('INSERT INTO guilds (guild_id, language) VALUES (?, ?) ON CONFLICT(guild_id) DO UPDATE SET language = excluded.language', [interaction.guildId, language]);
+        const effective = guildLanguage({ language });
+        await interaction.reply({ content: `${t(effective, 'language.set', { name: t(effective, 'language.name') })}${language ? '' : t(effective, 'envDefault')}.`, ephemeral: true });
+        await refreshPanel(interaction.guildId);
+        return;
+      }
+
+      if (commandName === 'logroute') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) return interaction.reply({ content: t(lang, 'perm.logroute'), ephemeral: true });
+        const guildId = interaction.guildId;
+        const type = interaction.options.getString('event');
+        const channel = interaction.options.getChannel('channel');
+        const mute = interaction.options.getBoolean('mute');
+        const g = await getGuildRow(guildId) || { guild_id: guildId };
+        const destination = (route) => (route.muted ? t(lang, 'logroute.muted') : route.channelId ? `<#${route.channelId}>` : t(lang, 'logroute.noChannel'));
+        // no event: where every type goes
+        if (!type) {
+          const lines = [];
+          for (const event of Object.keys(EVENT_TYPES)) lines.push(t(lang, 'logroute.line', { event, destination: destination(await eventRoute(g, event)) }));
+          return interaction.reply({ content: `${t(lang, 'logroute.header')}\n${lines.join('\n')}`, ephemeral: true });
+        }
+        if (interaction.options.getBoolean('reset') === true) {
+          await db.run('DELETE FROM log_routes WHERE guild_id = ? AND event_type = ?', [guildId, type]);
+        }
+        if (channel || mute !== null) {
+          const current = await db.get('SELECT channel_id, muted FROM log_routes WHERE guild_id = ? AND event_type = ?', [guildId, type]);
+          // picking a channel unmutes the event unless mute is given too
+          const channelId = channel ? channel.id : (current ? current.channel_id : null);
+          const muted = mute !== null ? mute : (channel ? false : !!EVENT_TYPES[type].muted);
+          await db.run('INSERT INTO log_routes (guild_id, event_type, channel_id, muted) VALUES (?, ?, ?, ?) ON CONFLICT(guild_id, event_type) DO UPDATE SET channel_id = excluded.channel_id, muted = excluded.muted',
+            [guildId, type, channelId, muted ? 1 : 0]);
+        }
+        await recordAudit(guildId, interaction.user.id, null, 'log_route', { event: type, channel: channel ? channel.id : null, mute, reset: interaction.options.getBoolean('reset') === true });
+        await interaction.reply({ content: t(lang, 'logroute.updated', { event: type, destination: destination(await eventRoute(g, type)) }), ephemeral: true });
+        return;
+      }
+
+      // bot owners (BOT_OWNER_IDS) only: what the platform takes from a guild, for any guild the bot knows
+      if (commandName === 'platformfee') {
+        if (!botOwnerIds.has(interaction.user.id)) return interaction.reply({ content: t(lang, 'perm.platformfee'), ephemeral: true });
+        const guildId = (interaction.options.getString('guild') || interaction.guildId).trim();
+        if (!await getGuildRow(guildId)) return interaction.reply({ content: t(lang, 'platformfee.unknownGuild', { guild: guildId }), ephemeral: true });
+        const model = interaction.options.getString('model');
+        const percent = interaction.options.getNumber('percent');
+        const flat = interaction.options.getString('flat');
+        const reset = interaction.options.getBoolean('reset') === true;
+        if (flat !== null && !/^\d+(\.\d{1,8})?$/.test(flat)) return interaction.reply({ content: t(lang, 'invalid.price'), ephemeral: true });
+        if (reset) await db.run('UPDATE guilds SET fee_model = NULL, fee_percent = NULL, fee_flat = NULL WHERE guild_id = ?', guildId);
+        if (model || percent !== null || flat !== null) {
+          await db.run('UPDATE guilds SET fee_model = COALESCE(?, fee_model), fee_percent = COALESCE(?, fee_percent), fee_flat = COALESCE(?, fee_flat) WHERE guild_id = ?',
+            [model, percent === null ? null : String(percent), flat, guildId]);
+        }
+        const g = await getGuildRow(guildId);
+        const fee = feeConfig(g);
+        const changed = reset || !!model || percent !== null || flat !== null;
+        if (changed) {
+          await recordAudit(guildId, interaction.user.id, null, 'platform_fee', { model, percent, flat, reset });
+          const logLang = guildLanguage(g);
+          await logEvent(g, 'fee_changed', { title: t(logLang, 'log.feeChanged.title'), description: t(logLang, 'log.feeChanged.body', { summary: feeSummary(fee, logLang) }) },
+            { model: fee.model, percent: fee.percent, flat: formatCoin(fee.flat), actor: interaction.user.id });
+        }
+        const params = { guild: guildId, summary: feeSummary(fee, lang), source: t(lang, fee.overridden ? 'platformfee.source.guild' : 'platformfee.source.env') };
+        const warning = fee.model !== 'flat' && !SERVER_RECEIVER_CARD ? `\n${t(lang, 'platformfee.noCard')}` : '';
+        await interaction.reply({ content: `${t(lang, changed ? 'platformfee.updated' : 'platformfee.current', params)}${warning}`, ephemeral: true });
+        return;
+      }
+
+      if (commandName === 'refund') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) return interaction.reply({ content: t(lang, 'perm.refund'), ephemeral: true });
+        const paymentId = interaction.options.getInteger('payment');
+        const amount = interaction.options.getString('amount');
+        if (amount !== null && !/^\d+(\.\d{1,8})?$/.test(amount.trim())) return interaction.reply({ content: t(lang, 'invalid.price'), ephemeral: true });
+        await interaction.deferReply({ ephemeral: true });
+        const result = await refundPayment(interaction.guildId, paymentId, {
+          amount: amount === null ? null : amount.trim(),
+          endSubscription: interaction.options.getBoolean('end_subscription') === true,
+          reason: interaction.options.getString('reason'),
+          actorId: interaction.user.id
+        });
+        const payment = { payment: paymentId };
+        let content;
+        if (result.ok) {
+          content = t(lang, 'refund.done', { ...payment, amount: result.amount, user: result.user, txid: result.txid || 'n/a', left: result.left })
+            + (result.ended ? t(lang, 'refund.ended', { user: result.ended }) : '');
+        } else if (result.status === 'unknown') content = t(lang, 'refund.unknown', { id: result.id });
+        else if (result.status === 'failed') content = t(lang, 'refund.failed', { error: result.error });
+        else {
+          const keys = { not_found: 'refund.notFound', not_confirmed: 'refund.notConfirmed', refund_unresolved: 'refund.unresolved', fully_refunded: 'refund.fullyRefunded', invalid_amount: 'refund.invalidAmount', no_server_card: 'refund.noServerCard', no_card: 'refund.noCard' };
+          content = t(lang, keys[result.reason], { ...payment, ...result });
+        }
+        await interaction.editReply({ content, allowedMentions: { parse: [] } });
+        return;
+      }
+
+      if (commandName === 'channel') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.ManageChannels)) return interaction.reply({ content: t(lang, 'perm.channel'), ephemeral: true });
+        const channel = interaction.options.getChannel('channel');
+        await postPanel(interaction.guildId, channel);
+        await interaction.reply({ content: t(lang, 'channel.posted', { channel: `${channel}` }), ephemeral: true });
+        return;
+      }
+
+      if (commandName === 'panelconfig') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.ManageChannels)) return interaction.reply({ content: t(lang, 'perm.panelconfig'), ephemeral: true });
+        const guildId = interaction.guildId;
+        if (interaction.options.getBoolean('reset') === true) {
+          await db.run('UPDATE guilds SET panel_title = NULL, panel_description = NULL, panel_color = NULL, panel_image_url = NULL, panel_button_label = NULL, panel_show_count = 0 WHERE guild_id = ?', guildId);
+        }
+        const fields = {};
+        const title = interaction.options.getString('title');
+        if (title !== null) fields.panel_title = title.trim() || null;
+        const description = interaction.options.getString('description');
+        // slash command options are single-line: "\n" starts a new line
+        if (description !== null) fields.panel_description = description.replace(/\\n/g, '\n').trim() || null;
+        const color = interaction.options.getString('color');
+        if (color !== null) {
+          fields.panel_color = parsePanelColor(color);
+          if (fields.panel_color === null) return interaction.reply({ content: t(lang, 'invalid.color'), ephemeral: true });
+        }
+        const image = interaction.options.getString('image');
+        if (image !== null) {
+          if (image.trim().toLowerCase() === 'off') fields.panel_image_url = null;
+          else if (isImageUrl(image)) fields.panel_image_url = image.trim();
+          else return interaction.reply({ content: t(lang, 'invalid.imageUrl'), ephemeral: true });
+        }
+        const button = interaction.options.getString('button');
+        if (button !== null) fields.panel_button_label = button.trim() || null;
+        const showCount = interaction.options.getBoolean('subscriber_count');
+        if (showCount !== null) fields.panel_show_count = showCount ? 1 : 0;
+        const keys = Object.keys(fields);
+        if (keys.length) await db.run(`UPDATE guilds SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE guild_id = ?`, [...keys.map(k => fields[k]), guildId]);
+        await recordAudit(guildId, interaction.user.id, null, 'panel_config', { ...fields, reset: interaction.options.getBoolean('reset') === true });
+        await interaction.deferReply({ ephemeral: true });
+        const updated = await refreshPanel(guildId);
+        await interaction.editReply({ content: t(lang, updated ? 'panelconfig.updated' : 'panelconfig.saved') });
+        return;
+      }
+
+    } else if (interaction.isModalSubmit()) {
+      if (interaction.customId && interaction.customId.startsWith('card_modal::')) {
+        const [, guildId, tierIdStr] = interaction.customId.split('::');
+        const guildRow = await getGuildRow(guildId);
+        if (!guildRow || Number(guildRow.active) === 0) {
+          return interaction.reply({ content: t(lang, 'guild.inactive'), ephemeral: true });
+        }
+
+        const cardInput = interaction.fields.getTextInputValue('card_input').trim();
+        const row = guildRow || {};
+        const previous = await db.get('SELECT * FROM subscriptions WHERE guild_id = ? AND user_id = ?', [guildId, interaction.user.id]);
+        // no tier in the modal id (e.g. /card without tier) -> keep the member's current plan
+        const tierId = tierIdStr ? Number(tierIdStr) : (previous ? previous.tier_id : null);
+        const tier = tierId ? await getTierById(guildId, tierId) : null;
+        if (tierId && (!tier || Number(tier.archived) === 1)) {
+          return interaction.reply({ content: t(lang, 'tier.unavailable'), ephemeral: true });
+        }
+        if (await hasUnresolvedCharge(guildId, interaction.user.id)) {
+          return interaction.reply({ content: t(lang, 'card.pendingCharge'), ephemeral: true });
+        }
+        const couponCode = optionalField(interaction, 'coupon_input');
+        let coupon = null;
+        if (couponCode) {
+          const found = await findRedeemableCoupon(guildId, interaction.user.id, couponCode, lang);
+          if (found.error) return interaction.reply({ content: found.error, ephemeral: true });
+          coupon = found.coupon;
+        }
+        const plan = planFor(row, tier);
+        const previousPlan = previous ? await getSubPlan(row, previous) : null;
+        const ts = nowTs();
+        const logLang = guildLanguage(row);
+
+        // free trial: access now, the card is first charged when the trial ends (renewal, with the coupon if any)
+        if (await trialAvailable(row, previous, interaction.user.id)) {
+          const trialEnds = ts + Number(row.trial_sec);
+          await db.run(`INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, tier_id, cancelled_ts, retry_count, next_retry_ts, next_charge_ts, trial_ends_ts, coupon_id, locked_price, locked_until) VALUES (?, ?, ?, ?, ?, 1, ?, NULL, 0, NULL, ?, ?, ?, NULL, NULL)
+            ON CONFLICT(guild_id,user_id) DO UPDATE SET card_code = excluded.card_code, subscribed_ts = excluded.subscribed_ts, last_renew_ts = excluded.last_renew_ts, active = 1, tier_id = excluded.tier_id, cancelled_ts = NULL, retry_count = 0, next_retry_ts = NULL, next_charge_ts = excluded.next_charge_ts, trial_ends_ts = excluded.trial_ends_ts, coupon_id = excluded.coupon_id, locked_price = NULL, locked_until = NULL`,
+            [guildId, interaction.user.id, encryptCard(cardInput), ts, trialEnds - plan.cycleSec, plan.tierId, trialEnds, trialEnds, coupon ? coupon.id : null]);
+          await db.run('INSERT INTO trials (guild_id, user_id, started_ts, ends_ts) VALUES (?, ?, ?, ?)', [guildId, interaction.user.id, ts, trialEnds]);
+          if (coupon) await recordRedemption(coupon, guildId, interaction.user.id, null, 0);
+          if (previousPlan && previousPlan.roleId && previousPlan.roleId !== plan.roleId) await removeRoleFromMember(guildId, interaction.user.id, previousPlan.roleId);
+          await giveRoleToMember(guildId, interaction.user.id, plan.roleId);
+          const firstAmount = applyCoupon(plan.price, coupon).amount;
+          const data = { user: interaction.user.id, plan: plan.name, endsAt: trialEnds, amount: firstAmount, coupon: coupon ? coupon.code : null };
+          await logEvent(row, 'trial_started', { title: t(logLang, 'log.trialStarted.title'), description: t(logLang, plan.name ? 'log.trialStarted.bodyPlan' : 'log.trialStarted.body', { ...data, coupon: coupon ? t(logLang, 'couponTag', { code: coupon.code }) : '' }) }, data);
+          return interaction.reply({ content: t(lang, 'trial.started', { duration: formatDuration(Number(row.trial_sec)), amount: firstAmount, ts: trialEnds }), ephemeral: true });
+        }
+
+        const charge = initialCharge(previous, previousPlan, plan, ts);
+
+        // a gift still running on this plan keeps its paid time: the card is first charged when the gift ends
+        if (previous && Number(previous.active) === 1 && previous.gift_from && !charge.switching) {
+          const giftEnds = Number(previous.last_renew_ts || previous.subscribed_ts || 0) + plan.cycleSec;
+          await db.run('UPDATE subscriptions SET card_code = ?, cancelled_ts = NULL, gift_from = NULL, coupon_id = CASE WHEN ? THEN ? ELSE coupon_id END WHERE guild_id = ? AND user_id = ?',
+            [encryptCard(cardInput), coupon ? 1 : 0, coupon ? coupon.id : null, guildId, interaction.user.id]);
+          if (coupon) await recordRedemption(coupon, guildId, interaction.user.id, null, 0);
+          const firstAmount = applyCoupon(subscriptionPrice(plan, previous, giftEnds), coupon).amount;
+          const data = { user: interaction.user.id, giver: previous.gift_from, ts: giftEnds, amount: firstAmount, coupon: coupon ? coupon.code : null };
+          await logEvent(row, 'gift_continued', { title: t(logLang, 'log.giftContinued.title'), description: t(logLang, 'log.giftContinued.body', { ...data, coupon: coupon ? t(logLang, 'couponTag', { code: coupon.code }) : '' }) }, data);
+          return interaction.reply({ content: t(lang, 'card.afterGift', { ts: giftEnds, amount: firstAmount }), ephemeral: true });
+        }
+        await db.run('INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, tier_id) VALUES (?, ?, ?, ?, ?, ?, ?) ON CONFLICT(guild_id,user_id) DO UPDATE SET card_code = excluded.card_code, subscribed_ts = excluded.subscribed_ts, cancelled_ts = NULL, gift_from = NULL, tier_id = excluded.tier_id', [guildId, interaction.user.id, encryptCard(cardInput), ts, ts, 0, plan.tierId]);
+        await interaction.reply({ content: t(lang, 'card.charging'), ephemeral: true });
+
+        const serverCard = (row && row.server_card) ? revealCard(row.server_card) : SERVER_RECEIVER_CARD;
+        const { amount, discount } = applyCoupon(charge.amount, coupon);
+
+        // Pass meta to attemptCharge so it logs guild/user in payments table; nothing is charged when a credit or coupon covers it all
+        const attempt = Number(amount) > 0
+          ? await attemptCharge(cardInput, serverCard, amount, { guildId, userId: interaction.user.id, couponId: coupon ? coupon.id : null })
+          : { success: true, status: 'confirmed', txid: null, paymentId: null };
+        // an unknown charge may still be confirmed at the discounted price, so it uses up the coupon too
+        if (coupon && attempt.status !== 'failed') await recordRedemption(coupon, guildId, interaction.user.id, attempt.paymentId, discount);
+        const prorationText = (l) => [
+          charge.credit ? t(l, charge.extraSec ? 'card.creditExtra' : 'card.credit', { credit: formatCoin(charge.credit), extra: charge.extraSec ? formatDuration(charge.extraSec) : '' }) : '',
+          coupon ? t(l, 'card.couponDiscount', { code: coupon.code, discount: formatCoin(discount) }) : ''
+        ].filter(Boolean).map(part => ` (${part})`).join('');
+        const data = { user: interaction.user.id, amount, plan: plan.name, coupon: coupon ? coupon.code : null, id: attempt.paymentId };
+
+        if (attempt.status === 'unknown') {
+          await logEvent(row, 'payment_unverified', { title: t(logLang, 'log.subscriptionPaymentUnknown.title'), description: t(logLang, 'log.subscriptionPaymentUnknown.body', data) }, data);
+          await interaction.followUp({ content: t(lang, 'card.unknown'), ephemeral: true });
+        } else if (attempt.success) {
+          // only mark active after explicit verified success
+          const paidTs = nowTs();
+          // a price kept from a price change only survives renewals of the same plan
+          const keepLock = previous && Number(previous.active) === 1 && !charge.switching;
+          // a recurring coupon stays on the subscription for the renewals
+          await db.run('UPDATE subscriptions SET active = 1, last_renew_ts = ?, retry_count = 0, next_retry_ts = NULL, next_charge_ts = ?, locked_price = CASE WHEN ? THEN locked_price END, locked_until = CASE WHEN ? THEN locked_until END, coupon_id = CASE WHEN ? THEN ? ELSE coupon_id END WHERE guild_id = ? AND user_id = ?',
+            [paidTs + charge.extraSec, paidTs + charge.extraSec + plan.cycleSec, keepLock ? 1 : 0, keepLock ? 1 : 0, coupon ? 1 : 0, coupon && Number(coupon.recurring) === 1 ? coupon.id : null, guildId, interaction.user.id]);
+          // switching plans: drop the old plan's role when it differs
+          if (previousPlan && previousPlan.roleId && previousPlan.roleId !== plan.roleId) await removeRoleFromMember(guildId, interaction.user.id, previousPlan.roleId);
+          await giveRoleToMember(guildId, interaction.user.id, plan.roleId);
+          data.txid = attempt.txid || 'n/a';
+          await logEvent(row, 'payment_success', { title: t(logLang, 'log.subscriptionPayment.title'), description: t(logLang, plan.name ? 'log.subscriptionPayment.bodyPlan' : 'log.subscriptionPayment.body', { ...data, details: prorationText(logLang) }) }, data);
+          await interaction.followUp({ content: t(lang, 'card.paid', { amount, details: prorationText(lang) }), ephemeral: true });
+          await sendReceipt(row, interaction.user.id, { amount, txid: attempt.txid, plan: plan.name, nextTs: paidTs + charge.extraSec + plan.cycleSec });
+        } else {
+          // explicit failure -> leave inactive
+          data.error = chargeError(attempt);
+          await logEvent(row, 'payment_failed', { title: t(logLang, 'log.subscriptionPaymentFailed.title'), description: t(logLang, 'log.subscriptionPaymentFailed.body', data) }, data);
+          await interaction.followUp({ content: t(lang, 'card.failed'), ephemeral: true });
+        }
+        return;
+      }
+      if (interaction.customId && interaction.customId.startsWith('gift_modal::')) {
+        const [, guildId, recipientId, cyclesStr, tierIdStr] = interaction.customId.split('::');
+        const guildRow = await getGuildRow(guildId);
+        if (!guildRow || Number(guildRow.active) === 0) {
+          return interaction.reply({ content: t(lang, 'guild.inactive'), ephemeral: true });
+        }
+        const cycles = Math.min(MAX_GIFT_CYCLES, Math.max(1, Number(cyclesStr) || 1));
+        const tier = tierIdStr ? await getTierById(guildId, Number(tierIdStr)) : null;
+        if (tierIdStr && (!tier || Number(tier.archived) === 1)) {
+          return interaction.reply({ content: t(lang, 'gift.tierUnavailable'), ephemeral: true });
+        }
+        const plan = planFor(guildRow, tier);
+        // the recipient may have subscribed to another plan while the modal was open
+        const blocked = await giftBlockedReason(guildId, recipientId, plan, lang);
+        if (blocked) return interaction.reply({ content: blocked, ephemeral: true, allowedMentions: { parse: [] } });
+
+        const cardInput = interaction.fields.getTextInputValue('card_input').trim();
+        const gift = await createGift(guildId, interaction.user.id, recipientId, plan, cycles);
+        await interaction.reply({ content: t(lang, 'gift.charging'), ephemeral: true });
+        const serverCard = guildRow.server_card ? revealCard(guildRow.server_card) : SERVER_RECEIVER_CARD;
+        const attempt = Number(gift.amount) > 0
+          ? await attemptCharge(cardInput, serverCard, gift.amount, { guildId, userId: interaction.user.id, kind: 'gift', giftId: gift.id })
+          : { success: true, status: 'confirmed', txid: null, paymentId: null };
+        const logLang = guildLanguage(guildRow);
+        const data = { user: interaction.user.id, amount: gift.amount, recipient: recipientId, gift: gift.id, id: attempt.paymentId };
+
+        if (attempt.status === 'unknown') {
+          await logEvent(guildRow, 'payment_unverified', { title: t(logLang, 'log.giftPaymentUnknown.title'), description: t(logLang, 'log.giftPaymentUnknown.body', data) }, data);
+          await interaction.followUp({ content: t(lang, 'gift.unknown'), ephemeral: true });
+        } else if (attempt.success) {
+          const result = await activateGift(gift);
+          await sendReceipt(guildRow, interaction.user.id, { amount: gift.amount, txid: attempt.txid, recipient: recipientId });
+          await interaction.followUp({ content: t(lang, plan.name ? 'gift.sentPlan' : 'gift.sent', { amount: gift.amount, recipient: recipientId, plan: plan.name, endsAt: result.endsAt }), ephemeral: true, allowedMentions: { parse: [] } });
+        } else {
+          await failGift(gift.id);
+          data.error = chargeError(attempt);
+          await logEvent(guildRow, 'payment_failed', { title: t(logLang, 'log.giftPaymentFailed.title'), description: t(logLang, 'log.giftPaymentFailed.body', data) }, data);
+          await interaction.followUp({ content: t(lang, 'gift.failed'), ephemeral: true });
+        }
+        return;
+      }
+    } else if (interaction.isButton()) {
+      if (!interaction.customId) return;
+      if (interaction.customId.startsWith('subscribe::')) {
+        const [, guildId, tierIdStr] = interaction.customId.split('::');
+        const guildRow = await getGuildRow(guildId);
+        if (!guildRow || Number(guildRow.active) === 0) {
+          return interaction.reply({ content: t(lang, 'guild.inactive'), ephemeral: true });
+        }
+        if (tierIdStr) {
+          const tier = await getTierById(guildId, Number(tierIdStr));
+          if (!tier || Number(tier.archived) === 1) return interaction.reply({ content: t(lang, 'tier.unavailablePanel'), ephemeral: true });
+        }
+        await interaction.showModal(buildCardModal(guildId, tierIdStr ? Number(tierIdStr) : null, lang));
+        return;
+      }
+      if (interaction.customId.startsWith('admin_subs::')) {
+        const [, guildId, filter, pageStr] = interaction.customId.split('::');
+        if (!interaction.member || !interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) return interaction.reply({ content: t(lang, 'perm.admin'), ephemeral: true });
+        await interaction.update(await buildSubscribersPage(guildId, filter, Number(pageStr) || 0, lang));
+        return;
+      }
+      if (interaction.customId.startsWith('unsubscribe::')) {
+        const guildId = interaction.customId.split('::')[1];
+        const result = await cancelSubscription(guildId, interaction.user.id);
+        await interaction.reply({ content: cancelReplyText(result, lang), ephemeral: true });
+        return;
+      }
+    }
+  } catch (err) {
+    console.error('interaction error', err);
+    const content = t(normalizeLanguage(interaction.locale), 'internalError');
+    try { if (interaction.replied || interaction.deferred) await interaction.followUp({ content, ephemeral: true }); else await interaction.reply({ content, ephemeral: true }); } catch(e){}
+  }
+}
@@ -0,0 +1,50 @@
+// src/lease.js — leases no banco: só um processo (shard ou instância reserva) por vez roda uma tarefa, como o checkout
+import crypto from 'crypto';
+import os from 'os';
+import { nowTs } from './util.js';
+import { db } from './db.js';
+
+// this process; a restarted process is a new holder and waits for the old lease to expire
+export const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Takes the lease, or renews it when this holder already has it. Returns true when the holder has it until
+// now + ttlSec; false while another holder's lease has not expired. One statement, so two processes cannot both win.
+export async function acquireLease(name, ttlSec, holder = instanceId) {
+  const now = nowTs();
+  const result = await db.run(`INSERT INTO leases (name, holder, acquired_ts, expires_ts) VALUES (?, ?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET holder = excluded.holder, expires_ts = excluded.expires_ts,
+      acquired_ts = CASE WHEN leases.holder = excluded.holder THEN leases.acquired_ts ELSE excluded.acquired_ts END
+    WHERE leases.holder = excluded.holder OR leases.expires_ts <= ?`, [name, holder, now, now + ttlSec, now]);
+  return result.changes > 0;
+}
+
+// on shutdown: another process can take over without waiting for the expiry
+export async function releaseLease(name, holder = instanceId) {
+  await db.run('DELETE FROM leases WHERE name = ? AND holder = ?', [name, holder]);
+}
+
+// { holder, acquired_ts, expires_ts, self } of the unexpired lease, or null
+export async function leaseHolder(name) {
+  const row = await db.get('SELECT holder, acquired_ts, expires_ts FROM leases WHERE name = ? AND expires_ts > ?', [name, nowTs()]);
+  return row ? { ...row, self: row.holder === instanceId } : null;
+}
+
+// Runs fn only if this process gets the lease, renewing it every ttlSec/3 while fn runs; fn gets
+// { held }, false once a renewal failed (stop before doing more). The lease is kept afterwards, so the
+// same process stays in charge while it keeps coming back before the expiry.
+// Returns { ok: false } when another process has it, else { ok: true, result }.
+export async function withLease(name, ttlSec, fn) {
+  if (!await acquireLease(name, ttlSec)) return { ok: false };
+  const lease = { held: true };
+  const timer = setInterval(() => {
+    acquireLease(name, ttlSec)
+      .then(held => { if (!held) lease.held = false; })
+      .catch(e => console.warn('lease renewal failed', name, e && e.message));
+  }, Math.max(1000, ttlSec * 1000 / 3));
+  timer.unref();
+  try {
+    return { ok: true, result: await fn(lease) };
+  } finally {
+    clearInterval(timer);
+  }
+}
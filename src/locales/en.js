@@ -0,0 +1,484 @@
+// src/locales/en.js — English texts
+export const text = {
+  // role removal and DM queue
+  'log.guildDeactivated.title': 'Guild Deactivated',
+  'log.guildDeactivated.body': 'Role removed from all members due to guild payment failure.',
+  'log.userNotified.title': 'User Notified',
+  'log.userNotified.body': 'We notified <@{user}>: {message}',
+  'log.userNotified.undelivered': 'Could not DM <@{user}> after {attempts} attempts (DMs closed?): {message}',
+  // role reconciliation
+  'roles.added': '<@&{role}> added to <@{user}>',
+  'roles.removed': '<@&{role}> removed from <@{user}>',
+  'roles.failed': ' — **failed** (check the bot\'s role hierarchy)',
+  'roles.reason.periodic': 'Periodic role check:',
+  'roles.reason.memberJoined': 'Member joined the server:',
+  'roles.reason.manualChange': 'Subscriber role changed by hand:',
+  'roles.lost.default': 'default role (/role)',
+  'roles.lost.tier': 'plan {name}',
+  'log.roleReconciled.title': 'Role Reconciled',
+  'log.subscriberRoleChanged.title': 'Subscriber Role Changed',
+  'log.subscriberRoleChanged.body': 'Subscriber role changed to <@&{to}>; {moved} active subscriber(s) moved.',
+  'log.subscriberRoleChanged.bodyFrom': 'Subscriber role changed from <@&{from}> to <@&{to}>; {moved} active subscriber(s) moved.',
+  'log.subscriberRoleDeleted.title': 'Subscriber Role Deleted',
+  'log.subscriberRoleDeleted.body': 'The configured role ({role}) was deleted from the server. Affected: {lost}. Subscribers get no role until a new one is set with /role or /tier edit.',
+  // coupons and trials
+  'coupon.describe.first': '{value} off the first charge',
+  'coupon.describe.recurring': '{value} off every charge',
+  'coupon.notFound': 'Coupon **{code}** not found.',
+  'coupon.disabled': 'Coupon **{code}** has been disabled.',
+  'coupon.expired': 'Coupon **{code}** has expired.',
+  'coupon.exhausted': 'Coupon **{code}** has reached its usage limit.',
+  'coupon.alreadyUsed': 'You have already used coupon **{code}**.',
+  'trial.panel': '{duration} free trial for new subscribers.',
+  // cancellation and price changes
+  'log.subscriptionCancelled.title': 'Subscription Cancelled',
+  'log.subscriptionCancelled.body': '<@{user}> cancelled auto-renewal. Access kept until <t:{endsAt}:f>.',
+  'priceChange.what': 'The price of your subscription in **{guild}**',
+  'priceChange.whatPlan': 'The price of your subscription ({plan} plan) in **{guild}**',
+  'priceChange.fromNotice': 'The new price applies to renewals from <t:{ts}:f>; until then you keep paying {current} coins.',
+  'priceChange.fromNext': 'The new price applies from your next renewal.',
+  'priceChange.increaseDm': '{what} goes from {current} to {price} coins. {from} If you do not want to continue, use /unsubscribe before then.',
+  'priceChange.decreaseDm': '{what} dropped from {current} to {price} coins, starting with your next renewal.',
+  'priceChange.rule.next': 'applies at the next renewal',
+  'priceChange.rule.keep': 'current subscribers keep the previous price',
+  'priceChange.rule.notice': 'applies to current subscribers from <t:{ts}:f>',
+  'priceChange.subjectPlan': 'Plan {plan}',
+  'priceChange.subjectGuild': 'Guild price',
+  'log.priceChanged.title': 'Price Changed',
+  'log.priceChanged.body': '{subject}: {old} → {price} coins ({rule}). {notified} subscriber(s) notified.',
+  // gifts
+  'gift.blockedTier': '<@{user}> is already subscribed to the **{plan}** plan. Gift that plan to extend their access.',
+  'gift.blockedDefault': '<@{user}> is already subscribed to the default plan. Gift that plan to extend their access.',
+  'gift.what': '{duration} of premium',
+  'gift.whatPlan': '{duration} of premium ({plan} plan)',
+  'gift.receivedDm': '🎁 <@{giver}> gave you {what} in **{guild}**! Your access lasts until <t:{endsAt}:f>.',
+  'gift.endedDm': 'The premium <@{giver}> gave you in **{guild}** has ended. Want to keep it? It is {price} coins every {cycle}: use /card in **{guild}** or the Subscribe button on the panel to subscribe with your own card.',
+  'gift.endedDmPlan': 'The premium <@{giver}> gave you in **{guild}** has ended. Want to stay on the {plan} plan? It is {price} coins every {cycle}: use /card in **{guild}** or the plan button on the panel to subscribe with your own card.',
+  'log.gift.title': 'Gift Subscription',
+  'log.gift.body': '<@{giver}> gave {what} to <@{recipient}> — {cycles} cycle(s), {amount} coins. Access until <t:{endsAt}:f>.',
+  'log.gift.footer': 'Gift #{id}',
+  // charge reconciliation
+  'log.paymentUnverifiable.title': 'Payment Unverifiable',
+  'log.paymentUnverifiable.body': 'Payment #{id} ({amount} coins, {who}) could not be confirmed after {attempts} checks and was marked as failed. Check it by hand in the coin API.',
+  'log.paymentUnverifiable.bodyTx': 'Payment #{id} ({amount} coins, {who}) could not be confirmed after {attempts} checks and was marked as failed. Check it by hand in the coin API (TX: {txid}).',
+  'log.refund.title': 'Refund',
+  'log.refund.body': 'Refund #{id} of {amount} coins to <@{user}> (payment #{payment} of {original} coins), from the server card. TX: {txid}',
+  'log.refund.bodyEnded': 'Refund #{id} of {amount} coins to <@{user}> (payment #{payment} of {original} coins), from the server card; the subscription of <@{ended}> was ended. TX: {txid}',
+  'log.refundFailed.title': 'Refund Failed',
+  'log.refundFailed.body': 'The refund of {amount} coins to <@{user}> (payment #{payment}) failed. Check the server card balance.\nError: {error}',
+  'log.refundUnverified.title': 'Refund Being Verified',
+  'log.refundUnverified.body': 'Refund #{id} of {amount} coins to <@{user}> (payment #{payment}) got an ambiguous answer from the coin API. It will be verified automatically; do not refund again.',
+  'log.paymentReconciled.title': 'Payment Confirmed (reconciled)',
+  'log.paymentReconciled.bodyMember': 'Payment #{id} of {amount} coins from <@{user}> confirmed by reconciliation. TX: {txid}',
+  'log.paymentReconciled.bodyGuild': 'Guild payment #{id} of {amount} coins confirmed by reconciliation. TX: {txid}',
+  'gift.reconciledDm': 'Your gift to <@{recipient}> was confirmed and is now active.',
+  // guild fee and renewals
+  'log.guildPaymentUnverified.title': 'Guild Payment Unverified',
+  'log.guildPaymentUnverified.body': 'Guild payment of {amount} coins got no clear answer from the coin API (payment #{id}). It will be verified before any new attempt.',
+  'log.guildPayment.title': 'Guild Payment',
+  'log.guildPayment.body': 'Guild payment succeeded for {amount} coins. TX: {txid}',
+  'log.guildPaymentFailed.title': 'Guild Payment Failed',
+  'log.guildPaymentFailed.body': 'Guild payment failed for {amount} coins. Blocking premium features until fixed.\nError: {error}',
+  'log.platformFee.title': 'Platform Fee Transferred',
+  'log.platformFee.body': 'Platform share ({fee} coins) of payment #{id} of {amount} coins from <@{user}> sent from the server card. TX: {txid}',
+  'log.platformFeeFailed.title': 'Platform Fee Transfer Failed',
+  'log.platformFeeFailed.retry': 'Could not send the platform share ({fee} coins) of payment #{id} from the server card (attempt {attempts}). It will be retried on the next checkout; check the server card balance.',
+  'log.platformFeeFailed.final': 'Could not send the platform share ({fee} coins) of payment #{id} from the server card after {attempts} attempts. No more automatic attempts: it stays listed as unsettled for the bot owner.',
+  'log.feeChanged.title': 'Platform Fee Changed',
+  'log.feeChanged.body': 'The platform fee of this guild is now: {summary}.',
+  'log.subscriptionEnded.title': 'Subscription Ended',
+  'log.subscriptionEnded.cancelled': '<@{user}> cancelled the subscription; paid period over and role removed.',
+  'log.subscriptionEnded.gift': '<@{user}> was on a gift from <@{giver}>; paid period over and role removed.',
+  'renewal.noCardDm': 'Renewing your subscription in **{guild}** failed: no card on file. Use /card to register your card.',
+  'log.renewalUnverified.title': 'Renewal Unverified',
+  'log.renewalUnverified.body': '<@{user}>\'s renewal got no clear answer from the API (payment #{id}). It will be verified before any new attempt.',
+  'log.subscriptionRenewed.title': 'Subscription Renewed',
+  'log.subscriptionRenewed.body': '<@{user}> renewed the subscription. TX: {txid}',
+  'log.subscriptionRenewed.bodyRetry': '<@{user}> renewed the subscription (attempt {attempt}). TX: {txid}',
+  'log.renewalFailed.title': 'Renewal Failed',
+  'log.renewalFailed.retry': 'Renewal of <@{user}> ({amount} coins) failed on attempt {attempt}. Next retry <t:{next_retry_ts}:f>; the role is kept until then.\nError: {error}',
+  'log.renewalFailed.final': 'Renewal of <@{user}> ({amount} coins) failed on attempt {attempt}, no retries left.\nError: {error}',
+  'log.roleRemoved.title': 'Role Removed',
+  'log.roleRemoved.noCard': '<@{user}> lost <@&{role}>: the subscription ran out with no card to renew it.',
+  'log.roleRemoved.failed': '<@{user}> lost <@&{role}> after {attempt} failed renewal attempt(s).',
+  'renewal.retryDm': 'We could not renew your subscription in **{guild}** (Error: {error}). We will try again <t:{ts}:R> ({remaining} attempt(s) left); you keep your access until then. Check your card balance or update it with /card.',
+  'renewal.failedDm': 'We could not renew your subscription in **{guild}**. Your access was removed. Error: {error}',
+  'renewal.failedDmAfter': 'We could not renew your subscription in **{guild}** after {attempts} attempts. Your access was removed. Error: {error}',
+  'reminder.dm': 'Reminder: your subscription in **{guild}** renews <t:{ts}:R> (<t:{ts}:f>) for {amount} coins. If you do not want to continue, use /unsubscribe before then. To stop reminders and receipts, use /notifications.',
+  'reminder.dmPlan': 'Reminder: your {plan} subscription in **{guild}** renews <t:{ts}:R> (<t:{ts}:f>) for {amount} coins. If you do not want to continue, use /unsubscribe before then. To stop reminders and receipts, use /notifications.',
+  'receipt.subscription': '🧾 Receipt — **{guild}**: {amount} coins paid for your subscription. TX: `{txid}`. Next renewal <t:{next}:f>.',
+  'receipt.subscriptionPlan': '🧾 Receipt — **{guild}**: {amount} coins paid for the {plan} plan. TX: `{txid}`. Next renewal <t:{next}:f>.',
+  'receipt.gift': '🧾 Receipt — **{guild}**: {amount} coins paid for your gift to <@{recipient}>. TX: `{txid}`.',
+  // modals, panel and member views
+  'modal.card.title': 'Register your Card',
+  'modal.card.input': 'Enter your Card ID (e.g. abc123)',
+  'modal.card.coupon': 'Discount coupon (optional)',
+  'modal.gift.title': 'Gift Premium',
+  'modal.gift.input': 'Your Card ID (charged once, not stored)',
+  'panel.title': 'Premium Subscription Panel',
+  'panel.noRole': '*no role configured*',
+  'panel.tierLine': '**{name}** — {price} coins every {cycle} · {role}',
+  'panel.chooseTier': 'Choose a plan:',
+  'panel.single': 'Subscribe to premium — {price} coins every {cycle}.\nRole granted: {role}',
+  'panel.singleLine': '{price} coins every {cycle} · {role}',
+  'panel.subscribe': 'Subscribe',
+  'panel.cancel': 'Cancel',
+  'panel.footer': 'Click a plan to subscribe or Cancel to stop renewals',
+  'panel.subscribers': 'Active subscribers',
+  'sub.state.inactive': 'Inactive',
+  'sub.state.gift': 'Gift from <@{giver}> (access until the end of the period)',
+  'sub.state.cancelled': 'Cancelled (access until the end of the period)',
+  'sub.state.grace': 'In grace period — next attempt <t:{ts}:R>',
+  'sub.state.trial': 'Free trial until <t:{ts}:f>',
+  'sub.state.active': 'Active',
+  'sub.priceKept': ' (price kept)',
+  'sub.priceFrom': '{price} from <t:{ts}:d>',
+  'sub.until': 'until <t:{ts}:d>',
+  'sub.renews': 'renews <t:{ts}:d>',
+  'status.title': 'Your subscription',
+  'status.none': 'You have no subscription in this guild. Current price: {price} coins every {cycle}. Use the subscription panel or /card.',
+  'status.field.state': 'State',
+  'status.field.plan': 'Plan',
+  'status.field.price': 'Price',
+  'status.field.card': 'Card',
+  'status.field.accessUntil': 'Access until',
+  'status.field.nextRenewal': 'Next renewal',
+  'status.defaultPlan': 'Default',
+  'mysubs.title': 'Your subscriptions',
+  'mysubs.none': 'You have no subscriptions in any guild.',
+  'mysubs.giftFrom': '🎁 from <@{user}>',
+  'mysubs.giftTo': '🎁 to <@{user}>',
+  'mysubs.refund': '↩️ refund',
+  'mysubs.payments': 'Recent payments',
+  'list.more': '… and {count} more.',
+  'cancel.done': 'Auto-renewal cancelled. You keep your access until <t:{endsAt}:f>.',
+  'cancel.already': 'Your subscription is already cancelled. Access ends on <t:{endsAt}:f>.',
+  'cancel.notSubscribed': 'You have no active subscription in this guild.',
+  // admin dashboard
+  'admin.filter.active': 'active',
+  'admin.filter.lapsed': 'lapsed',
+  'admin.filter.all': 'all',
+  'admin.subscribers.title': 'Subscribers — {filter} ({total})',
+  'admin.subscribers.none': 'No subscribers.',
+  'admin.subscribers.page': 'Page {page}/{pages}',
+  'admin.revenue.day': 'day',
+  'admin.revenue.week': 'week',
+  'admin.revenue.month': 'month',
+  'admin.revenue.title': 'Revenue per {period}',
+  'admin.revenue.amount': '{total} coins ({count} payment(s))',
+  'admin.revenue.none': 'No confirmed payments.',
+  'admin.revenue.total': 'Grand total',
+  'admin.revenue.net': 'To the guild (after the platform fee)',
+  'admin.revenue.utc': 'Times in UTC',
+  // command replies
+  'internalError': 'Internal error.',
+  'envDefault': ' (env default)',
+  'couponTag': ' (coupon {code})',
+  'guild.inactiveCommand': 'This server is inactive (no card configured). Only administrators can set the system up with /servercard. Premium commands are blocked until the guild is activated.',
+  'guild.inactive': 'This server is inactive (no server card configured). Administrators need to use /servercard to activate the system.',
+  'perm.log': 'Only administrators can configure the log channel.',
+  'perm.servercard': 'Only administrators can set the server card.',
+  'perm.worth': 'Only administrators can set the price.',
+  'perm.role': 'Only administrators can set the role.',
+  'perm.provider': 'Only administrators can set the payment provider.',
+  'perm.grace': 'Only administrators can set the grace period.',
+  'perm.trial': 'Only administrators can configure the free trial.',
+  'perm.coupon': 'Only administrators can manage coupons.',
+  'perm.admin': 'Only administrators can use the admin commands.',
+  'perm.premium': 'You need the Manage Roles permission to change subscriptions manually.',
+  'perm.tier': 'Only administrators can manage plans.',
+  'perm.channel': 'You need the Manage Channels permission to post the panel.',
+  'perm.language': 'Only administrators can set the bot language.',
+  'perm.panelconfig': 'You need the Manage Channels permission to customize the panel.',
+  'perm.logroute': 'Only administrators can configure log routes.',
+  'perm.platformfee': 'Only the bot owners can configure the platform fee.',
+  'perm.refund': 'Only administrators can refund payments.',
+  'invalid.price': 'Invalid format. Use up to 8 decimal places, e.g. 0.05000000',
+  'invalid.notice': 'Invalid notice. Use for example 7d or 30d, or 0 for the next renewal.',
+  'invalid.schedule': 'Invalid format. Use comma separated intervals, e.g. 1h,6h,24h (or "off" / "default").',
+  'invalid.trial': 'Invalid length. Use for example 3d, 7d or 2w (or "off").',
+  'invalid.couponCode': 'Invalid code. Use 2 to 32 letters, digits, - or _.',
+  'invalid.percent': 'Invalid percentage. Use a number between 0 and 100, e.g. 10.',
+  'invalid.amount': 'Invalid amount. Use up to 8 decimal places, e.g. 0.01000000',
+  'invalid.expires': 'Invalid expiry. Use for example 7d or 4w.',
+  'invalid.duration': 'Invalid duration. Use for example 12h, 7d, 30d or 4w.',
+  'invalid.cycle': 'Invalid cycle. Use for example 30m, 12h, 7d or 4w.',
+  'invalid.color': 'Invalid color. Use a hex code, e.g. #5865F2.',
+  'invalid.imageUrl': 'Invalid image. Use an http(s) link to the image (or "off" to remove it).',
+  'log.set': 'Log channel set: {channel}',
+  'servercard.set': 'Server card updated. The system is active in this guild (the bot will try to charge it next).',
+  'worth.set': 'Subscription price set to {price} coins (cycle configured via env).',
+  'priceChange.reply.kept': '{count} subscriber(s) keep the previous price',
+  'priceChange.reply.notified': '{count} subscriber(s) notified by DM',
+  'priceChange.reply.notifiedFrom': '{count} subscriber(s) notified by DM — for them the new price applies from <t:{ts}:f>',
+  'role.set': 'Subscriber role set: {role}',
+  'role.setMoved': 'Subscriber role set: {role}. {moved} active subscriber(s) moved.',
+  'role.setMovedFrom': 'Subscriber role set: {role}. {moved} active subscriber(s) moved from <@&{from}>.',
+  'provider.disabled': 'The **{name}** provider is not enabled in this bot.',
+  'provider.set': 'Payment provider: **{name}**',
+  'provider.mockWarning': ' Warning: simulated payments, no coins are moved.',
+  'grace.set': 'Grace period updated',
+  'grace.schedule': '{count} retry attempt(s) after a failed renewal ({steps}); the role is only removed when the last one fails. Total grace: {total}.',
+  'grace.off': 'No grace period: the role is removed on the first failed renewal.',
+  'trial.set': 'Free trial of {duration} enabled for new subscribers (one per member). The card is charged when the trial ends. The panel is updated automatically.',
+  'trial.off': 'Free trial disabled.',
+  'trial.started': 'Free trial of {duration} started — you already have access! The first charge ({amount} coins) happens <t:{ts}:R> on the card you entered. Use /unsubscribe before then if you do not want to continue.',
+  'coupon.none': 'No coupons yet. Use /coupon create.',
+  'coupon.list.uses': '{uses} use(s)',
+  'coupon.list.expires': 'expires <t:{ts}:d>',
+  'coupon.list.noExpiry': 'no expiry',
+  'coupon.state.disabled': 'disabled',
+  'coupon.state.expired': 'expired',
+  'coupon.state.exhausted': 'used up',
+  'coupon.state.active': 'active',
+  'coupon.disabledReply': 'Coupon **{code}** disabled. Members already using a recurring coupon keep the discount.',
+  'coupon.exists': 'A coupon **{code}** already exists.',
+  'coupon.limit': 'Limit of {max} active coupons per guild reached. Disable one with /coupon disable.',
+  'coupon.created': 'Coupon **{code}** created: {what}{limits}. Members type the code in the card form.',
+  'coupon.created.maxUses': ', up to {max} member(s)',
+  'coupon.created.expires': ', valid until <t:{ts}:f>',
+  'admin.export': 'Export (masked cards):',
+  'tier.notFound': 'Plan **{name}** not found.',
+  'tier.notFoundPanel': 'Plan **{name}** not found. See the plans on the subscription panel.',
+  'tier.none': 'No plans configured — the guild uses the /worth price and the /role role.',
+  'tier.list.noRole': 'no role',
+  'tier.list.active': '{count} active',
+  'tier.exists': 'A plan named **{name}** already exists. Use /tier edit.',
+  'tier.limit': 'Limit of {max} plans per guild reached.',
+  'tier.created': 'Plan **{name}** created: {price} coins every {cycle}, role {role}. The panel is updated automatically.',
+  'tier.nothingToEdit': 'Nothing to change — give a price, role or cycle.',
+  'tier.moved': '{moved} active subscriber(s) moved to {role}.',
+  'tier.updated': 'Plan **{name}** updated. Price and cycle apply from each subscriber\'s next renewal.',
+  'tier.updatedCycle': 'Plan **{name}** updated. The cycle applies from each subscriber\'s next renewal.',
+  'tier.removed': 'Plan **{name}** removed. {count} subscriber(s) keep access until the end of the paid period, without renewal.',
+  'tier.unavailable': 'This plan is no longer available. Choose another one on the subscription panel.',
+  'tier.unavailablePanel': 'This plan is no longer available. Ask an administrator to refresh the panel.',
+  'premium.notSubscribed': '<@{user}> has no active subscription in this guild.',
+  'refund.done': 'Refund of {amount} coins sent to <@{user}> (payment #{payment}). TX: `{txid}`. Left to refund: {left} coins.',
+  'refund.ended': ' The subscription of <@{user}> was ended.',
+  'refund.notFound': 'Payment #{payment} not found in this guild (only member payments can be refunded).',
+  'refund.notConfirmed': 'Payment #{payment} was not confirmed (status: {status}); there is nothing to refund.',
+  'refund.unresolved': 'Refund #{id} of this payment is still being verified. Wait before trying again.',
+  'refund.fullyRefunded': 'Payment #{payment} was already fully refunded.',
+  'refund.invalidAmount': 'Invalid amount: use a number above zero, up to {remaining} coins.',
+  'refund.noServerCard': 'This guild has no server card set (/servercard), so there is nothing to refund from.',
+  'refund.noCard': 'The card used for this payment ({card}) is no longer on file for the member. Refund it by hand through the coin API.',
+  'refund.failed': 'The refund failed: {error}. Nothing was sent.',
+  'refund.unknown': 'The coin API did not answer conclusively. Refund #{id} is being verified — do not try again.',
+  'refund.dm': '↩️ **{guild}** refunded {amount} coins of your payment #{payment}. TX: `{txid}`.',
+  'refund.dmReason': '↩️ **{guild}** refunded {amount} coins of your payment #{payment}. Reason: {reason}. TX: `{txid}`.',
+  'premium.revoked': '<@{user}> had their subscription revoked by <@{staff}>.',
+  'premium.reason': ' Reason: {reason}',
+  'premium.granted': '<@{staff}> granted premium to <@{user}> ({duration}). Access until <t:{endsAt}:f>.',
+  'premium.extended': '<@{staff}> extended premium for <@{user}> ({duration}). Access until <t:{endsAt}:f>.',
+  'premium.tier': ', plan {plan}',
+  'log.premiumManual.title': 'Premium — Manual change',
+  'channel.posted': 'Panel posted in {channel}',
+  'panelconfig.updated': 'Panel customized and updated.',
+  'panelconfig.saved': 'Customization saved. Use /channel to post the panel.',
+  'language.name': 'English',
+  'language.set': 'Bot language in this guild: {name}',
+  'notifications.status.on': 'You get every DM from this guild, including renewal reminders and receipts. Use `enabled: False` to turn the optional ones off.',
+  'notifications.status.off': 'Renewal reminders, receipts and price drop notices from this guild are off. Failed payment, lost access and price increase notices still arrive.',
+  'notifications.set.on': 'Done: you will get renewal reminders and receipts from this guild again.',
+  'notifications.set.off': 'Done: we will no longer send renewal reminders, receipts or price drop notices from this guild. Important notices (failed payment, lost access, price increase) still arrive.',
+  'logroute.header': 'Destination of each event (/log is the default):',
+  'logroute.line': '`{event}` → {destination}',
+  'logroute.muted': 'muted',
+  'logroute.noChannel': 'no channel (use /log)',
+  'logroute.updated': 'Route updated: `{event}` → {destination}',
+  'platformfee.model.flat': 'flat fee of {flat} coins per guild cycle',
+  'platformfee.model.percent': '{percent}% of every member payment',
+  'platformfee.model.both': 'flat fee of {flat} coins per cycle and {percent}% of every member payment',
+  'platformfee.source.env': 'env default',
+  'platformfee.source.guild': 'set for this guild',
+  'platformfee.current': 'Platform fee in `{guild}`: {summary} ({source}).',
+  'platformfee.updated': 'Platform fee of `{guild}` updated: {summary} ({source}).',
+  'platformfee.unknownGuild': 'Guild `{guild}` is not in the database.',
+  'platformfee.noCard': 'Warning: `SERVER_RECEIVER_CARD` is not set, so no share of the payments is transferred.',
+  'card.pendingCharge': 'Your previous payment is still being verified. Wait a few minutes before trying again.',
+  'card.afterGift': 'Card registered! Your gift runs until <t:{ts}:f>; the subscription renews by itself after that ({amount} coins). Use /unsubscribe if you change your mind.',
+  'card.charging': 'Card received — trying the initial payment...',
+  'card.credit': 'credit of {credit} coins for the unused period of the previous plan',
+  'card.creditExtra': 'credit of {credit} coins for the unused period of the previous plan, plus {extra} on the new plan',
+  'card.couponDiscount': 'coupon {code}: -{discount} coins',
+  'card.unknown': 'The payment API did not give a clear answer. Your payment is being verified — you will be activated automatically if it is confirmed. Do not pay again.',
+  'card.paid': 'Payment of {amount} coins successful{details} — you are active!',
+  'card.failed': 'The initial payment failed. Try updating your card with /card again.',
+  'gift.bot': 'Bots cannot receive premium.',
+  'gift.self': 'To subscribe for yourself, use /card or the subscription panel.',
+  'gift.cycles': 'Choose 1 to {max} cycles.',
+  'gift.currentArchived': 'The current plan of <@{user}> is no longer available. Choose a plan with the tier option.',
+  'gift.tierUnavailable': 'This plan is no longer available. Use /gift again with another plan.',
+  'gift.charging': 'Card received — trying the gift payment...',
+  'gift.unknown': 'The payment API did not give a clear answer. The payment is being verified — the gift will be delivered automatically if it is confirmed. Do not pay again.',
+  'gift.sent': 'Gift sent! You paid {amount} coins and <@{recipient}> has premium until <t:{endsAt}:f>.',
+  'gift.sentPlan': 'Gift sent! You paid {amount} coins and <@{recipient}> has premium (plan {plan}) until <t:{endsAt}:f>.',
+  'gift.failed': 'The gift payment failed. Check your card balance and try /gift again.',
+  // member payment logs
+  'log.trialStarted.title': 'Free Trial Started',
+  'log.trialStarted.body': '<@{user}> started a free trial until <t:{endsAt}:f>. First charge: {amount} coins{coupon}.',
+  'log.trialStarted.bodyPlan': '<@{user}> started a free trial of the {plan} plan until <t:{endsAt}:f>. First charge: {amount} coins{coupon}.',
+  'log.giftContinued.title': 'Gift — Continuation',
+  'log.giftContinued.body': '<@{user}> registered a card to continue after the gift from <@{giver}>. First charge on <t:{ts}:f>: {amount} coins{coupon}.',
+  'log.subscriptionPaymentUnknown.title': 'Subscription Payment — Being verified',
+  'log.subscriptionPaymentUnknown.body': '<@{user}>: the API neither confirmed nor refused the payment of {amount} coins (payment #{id}).',
+  'log.subscriptionPayment.title': 'Subscription Payment — Success',
+  'log.subscriptionPayment.body': '<@{user}> paid {amount} coins{details}. TX: {txid}',
+  'log.subscriptionPayment.bodyPlan': '<@{user}> paid {amount} coins (plan {plan}){details}. TX: {txid}',
+  'log.subscriptionPaymentFailed.title': 'Subscription Payment — Failed',
+  'log.subscriptionPaymentFailed.body': '<@{user}> could not pay {amount} coins.\nError: {error}',
+  'log.giftPaymentUnknown.title': 'Gift — Being verified',
+  'log.giftPaymentUnknown.body': '<@{user}>: the API neither confirmed nor refused the payment of {amount} coins for the gift to <@{recipient}> (payment #{id}).',
+  'log.giftPaymentFailed.title': 'Gift — Failed',
+  'log.giftPaymentFailed.body': '<@{user}> could not pay {amount} coins for the gift to <@{recipient}>.\nError: {error}',
+};
+
+// slash command descriptions, keyed by "command", "command.option", "command.subcommand.option"; choices add ".value"
+export const commands = {
+  'log': 'Sets the guild log channel',
+  'log.channel': 'Channel that receives the logs',
+  'card': 'Register/update your card for subscriptions in this guild',
+  'card.tier': 'Desired plan (default: current plan)',
+  'gift': 'Gift premium to another member (your card is charged once)',
+  'gift.user': 'Who receives the gift',
+  'gift.months': 'How many plan cycles to pay, 1 to 12 (e.g. months)',
+  'gift.tier': 'Plan (default: the recipient\'s current plan or the guild default)',
+  'channel': 'Post the subscription panel in the selected channel',
+  'channel.channel': 'Channel to post the panel in',
+  'panelconfig': 'Customizes the subscription panel (omitted fields are unchanged)',
+  'panelconfig.title': 'Panel title',
+  'panelconfig.description': 'Text above the plans (\\n starts a new line)',
+  'panelconfig.color': 'Side bar color, e.g. #5865F2',
+  'panelconfig.image': 'Link to an image shown on the panel ("off" removes it)',
+  'panelconfig.button': 'Subscribe button text (with plans, it comes before the plan name)',
+  'panelconfig.subscriber_count': 'Shows how many active subscribers the guild has (refreshed periodically)',
+  'panelconfig.reset': 'Goes back to the default panel before applying the other options',
+  'logroute': 'Administrator: sends each event type to another channel or mutes it (no options: list)',
+  'logroute.event': 'Event type',
+  'logroute.event.guild_payment': 'guild fee paid',
+  'logroute.event.guild_payment_failed': 'guild fee failed',
+  'logroute.event.guild_deactivated': 'guild deactivated',
+  'logroute.event.platform_fee': 'platform fee transferred (muted by default)',
+  'logroute.event.platform_fee_failed': 'platform fee transfer failed',
+  'logroute.event.fee_changed': 'platform fee changed',
+  'logroute.event.payment_success': 'subscription payment',
+  'logroute.event.payment_failed': 'payment failed',
+  'logroute.event.payment_unverified': 'payment being verified',
+  'logroute.event.payment_reconciled': 'payment confirmed by verification',
+  'logroute.event.payment_unverifiable': 'payment could not be verified',
+  'logroute.event.refund': 'refund',
+  'logroute.event.renewal': 'renewal',
+  'logroute.event.role_removed': 'role removed',
+  'logroute.event.subscription_cancelled': 'subscription cancelled',
+  'logroute.event.subscription_ended': 'subscription ended',
+  'logroute.event.trial_started': 'free trial started',
+  'logroute.event.gift': 'gift',
+  'logroute.event.gift_continued': 'continued after a gift',
+  'logroute.event.premium_manual': 'manual premium (staff)',
+  'logroute.event.price_changed': 'price changed',
+  'logroute.event.role_corrected': 'roles corrected',
+  'logroute.event.subscriber_role_changed': 'subscriber role changed',
+  'logroute.event.subscriber_role_deleted': 'subscriber role deleted',
+  'logroute.event.member_notified': 'DMs sent (muted by default)',
+  'logroute.channel': 'Channel that receives this event',
+  'logroute.mute': 'Mutes the event on Discord (the file and the webhook still get it)',
+  'logroute.reset': 'Back to the default destination of the event',
+  'platformfee': 'Bot owner: platform fee model of a guild (no options: shows the current one)',
+  'platformfee.guild': 'Guild ID (default: this one)',
+  'platformfee.model': 'How the platform is paid',
+  'platformfee.model.flat': 'flat (periodic guild fee)',
+  'platformfee.model.percent': 'percentage of every member payment',
+  'platformfee.model.both': 'both',
+  'platformfee.percent': 'Percentage of every member payment (0 to 100)',
+  'platformfee.flat': 'Flat fee per cycle, e.g. 0.05000000',
+  'platformfee.reset': 'Go back to the env defaults before applying the other options',
+  'refund': 'Administrator: sends a member payment back (full or partial) from the server card',
+  'refund.payment': 'Payment number (see /admin export or the member\'s /mysubscriptions)',
+  'refund.amount': 'Amount to send back (default: what is left of the payment)',
+  'refund.end_subscription': 'Also end the subscription this payment was for',
+  'refund.reason': 'Reason, sent to the member and the log',
+  'worth': 'Sets the guild subscription price (8 decimal places)',
+  'worth.price': 'e.g. 0.05000000',
+  'worth.notice': 'Notice before an increase applies to subscribers: 7d, 30d · "0" = next renewal (default: env)',
+  'worth.keep_current': 'Current subscribers keep the current price (the new one is only for new subscribers)',
+  'servercard': 'Administrator: sets the server card (activates the system)',
+  'servercard.card': 'Server card',
+  'role': 'Selects the role given to subscribers',
+  'role.role': 'Role to apply',
+  'unsubscribe': 'Cancels the auto-renewal of your subscription in this guild',
+  'status': 'Shows your subscription in this guild',
+  'mysubscriptions': 'Lists your subscriptions in every guild and your recent payments',
+  'notifications': 'Turns renewal reminders and DM receipts from this guild on or off',
+  'notifications.enabled': 'Receive optional DMs (leave empty to see the current setting)',
+  'admin': 'Administrator: subscriber and revenue queries',
+  'admin.subscribers': 'Lists subscribers and upcoming renewals',
+  'admin.subscribers.filter': 'Which subscribers to list (default: all)',
+  'admin.subscribers.filter.active': 'active',
+  'admin.subscribers.filter.lapsed': 'lapsed',
+  'admin.subscribers.filter.all': 'all',
+  'admin.revenue': 'Confirmed subscription revenue per period',
+  'admin.revenue.period': 'Grouping (default: day)',
+  'admin.revenue.period.day': 'day',
+  'admin.revenue.period.week': 'week',
+  'admin.revenue.period.month': 'month',
+  'admin.revenue.count': 'How many periods to show (default: 7)',
+  'admin.export': 'Exports subscriptions and payments as CSV',
+  'premium': 'Staff: grants, extends or revokes premium without charging',
+  'premium.grant': 'Grants premium to a member',
+  'premium.grant.user': 'Member',
+  'premium.grant.duration': 'Duration: 12h, 7d, 30d, 4w',
+  'premium.grant.tier': 'Plan (default: current plan or the guild default)',
+  'premium.extend': 'Extends a subscriber\'s current period',
+  'premium.extend.user': 'Member',
+  'premium.extend.duration': 'Duration: 12h, 7d, 30d, 4w',
+  'premium.revoke': 'Ends a member\'s subscription right away',
+  'premium.revoke.user': 'Member',
+  'premium.revoke.reason': 'Reason (kept in the record)',
+  'provider': 'Administrator: payment provider of this guild',
+  'provider.name': 'coin = real API · mock = simulation (only with ALLOW_MOCK_PROVIDER=1) · default = env default',
+  'provider.name.coin': 'coin',
+  'provider.name.mock': 'mock',
+  'provider.name.default': 'default',
+  'grace': 'Administrator: grace period — retries after a failed renewal',
+  'grace.schedule': 'Intervals between attempts, e.g. 1h,6h,24h · "off" removes right away · "default" uses the env',
+  'trial': 'Administrator: free trial for new subscribers (one per member)',
+  'trial.length': 'Length: 3d, 7d, 2w · "off" disables it',
+  'coupon': 'Administrator: discount coupons',
+  'coupon.create': 'Creates a coupon',
+  'coupon.create.code': 'Code the member types (e.g. PROMO10)',
+  'coupon.create.type': 'Discount type',
+  'coupon.create.type.percent': 'percentage',
+  'coupon.create.type.fixed': 'fixed amount',
+  'coupon.create.value': 'Percentage (e.g. 10) or coins (e.g. 0.01000000)',
+  'coupon.create.recurring': 'Applies to every charge (default: only the first)',
+  'coupon.create.expires': 'Valid from now for: 7d, 4w (default: no expiry)',
+  'coupon.create.max_uses': 'How many members can use it (default: unlimited)',
+  'coupon.list': 'Lists the guild coupons',
+  'coupon.disable': 'Disables a coupon (members already using a recurring coupon keep the discount)',
+  'coupon.disable.code': 'Coupon code',
+  'tier': 'Administrator: manages the guild subscription plans',
+  'tier.add': 'Creates a plan',
+  'tier.add.name': 'Plan name (e.g. Gold)',
+  'tier.add.price': 'Price per cycle, e.g. 0.05000000',
+  'tier.add.role': 'Role granted by the plan',
+  'tier.add.cycle': 'Cycle length: 30m, 12h, 7d, 4w (default: env cycle)',
+  'tier.edit': 'Changes a plan',
+  'tier.edit.name': 'Plan name',
+  'tier.edit.price': 'New price per cycle',
+  'tier.edit.role': 'New role',
+  'tier.edit.cycle': 'New cycle length: 30m, 12h, 7d, 4w',
+  'tier.edit.notice': 'Notice before an increase applies to subscribers: 7d, 30d · "0" = next renewal (default: env)',
+  'tier.edit.keep_current': 'Current subscribers keep the current price (the new one is only for new subscribers)',
+  'tier.remove': 'Removes a plan (current subscribers keep access until the end of the period)',
+  'tier.remove.name': 'Plan name',
+  'tier.list': 'Lists the guild plans',
+  'language': 'Administrator: language of the bot messages in this guild',
+  'language.language': 'Language of panels, logs and DMs; replies follow each member\'s Discord language',
+  'language.language.pt': 'Português',
+  'language.language.en': 'English',
+  'language.language.default': 'default (env)'
+};
+
+// command and subcommand names: English is the base language, so the names in src/commands.js are used as they are
+export const commandNames = {};
@@ -0,0 +1,511 @@
+// src/locales/pt.js — textos em português
+export const text = {
+  // role removal and DM queue
+  'log.guildDeactivated.title': 'Guild Desativada',
+  'log.guildDeactivated.body': 'Role removida de todos os membros porque o pagamento da guild falhou.',
+  'log.userNotified.title': 'Membro Notificado',
+  'log.userNotified.body': 'Notificamos <@{user}>: {message}',
+  'log.userNotified.undelivered': 'Não foi possível enviar DM para <@{user}> após {attempts} tentativas (DMs fechadas?): {message}',
+  // role reconciliation
+  'roles.added': '<@&{role}> adicionada a <@{user}>',
+  'roles.removed': '<@&{role}> removida de <@{user}>',
+  'roles.failed': ' — **falhou** (verifique a hierarquia de roles do bot)',
+  'roles.reason.periodic': 'Verificação periódica de roles:',
+  'roles.reason.memberJoined': 'Membro entrou no servidor:',
+  'roles.reason.manualChange': 'Role de assinante alterada manualmente:',
+  'roles.lost.default': 'role padrão (/role)',
+  'roles.lost.tier': 'plano {name}',
+  'log.roleReconciled.title': 'Roles Corrigidas',
+  'log.subscriberRoleChanged.title': 'Role de Assinante Alterada',
+  'log.subscriberRoleChanged.body': 'Role de assinante alterada para <@&{to}>; {moved} assinante(s) ativo(s) migrado(s).',
+  'log.subscriberRoleChanged.bodyFrom': 'Role de assinante alterada de <@&{from}> para <@&{to}>; {moved} assinante(s) ativo(s) migrado(s).',
+  'log.subscriberRoleDeleted.title': 'Role de Assinante Excluída',
+  'log.subscriberRoleDeleted.body': 'A role configurada ({role}) foi excluída do servidor. Afetado: {lost}. Assinantes não recebem role até que uma nova seja definida com /role ou /plano editar.',
+  // coupons and trials
+  'coupon.describe.first': '{value} de desconto na primeira cobrança',
+  'coupon.describe.recurring': '{value} de desconto em todas as cobranças',
+  'coupon.notFound': 'Cupom **{code}** não encontrado.',
+  'coupon.disabled': 'O cupom **{code}** foi desativado.',
+  'coupon.expired': 'O cupom **{code}** expirou.',
+  'coupon.exhausted': 'O cupom **{code}** atingiu o limite de usos.',
+  'coupon.alreadyUsed': 'Você já usou o cupom **{code}**.',
+  'trial.panel': 'Teste grátis de {duration} para novos assinantes.',
+  // cancellation and price changes
+  'log.subscriptionCancelled.title': 'Assinatura Cancelada',
+  'log.subscriptionCancelled.body': '<@{user}> cancelou a renovação automática. Acesso mantido até <t:{endsAt}:f>.',
+  'priceChange.what': 'O preço da sua assinatura em **{guild}**',
+  'priceChange.whatPlan': 'O preço da sua assinatura (plano {plan}) em **{guild}**',
+  'priceChange.fromNotice': 'O novo valor vale para renovações a partir de <t:{ts}:f>; até lá você continua pagando {current} coins.',
+  'priceChange.fromNext': 'O novo valor vale a partir da sua próxima renovação.',
+  'priceChange.increaseDm': '{what} vai de {current} para {price} coins. {from} Se não quiser continuar, use /cancelar antes disso.',
+  'priceChange.decreaseDm': '{what} caiu de {current} para {price} coins, já na sua próxima renovação.',
+  'priceChange.rule.next': 'vale na próxima renovação',
+  'priceChange.rule.keep': 'assinantes atuais mantêm o preço anterior',
+  'priceChange.rule.notice': 'vale para assinantes atuais a partir de <t:{ts}:f>',
+  'priceChange.subjectPlan': 'Plano {plan}',
+  'priceChange.subjectGuild': 'Preço da guild',
+  'log.priceChanged.title': 'Preço Alterado',
+  'log.priceChanged.body': '{subject}: {old} → {price} coins ({rule}). {notified} assinante(s) avisado(s).',
+  // gifts
+  'gift.blockedTier': '<@{user}> já assina o plano **{plan}**. Presenteie esse plano para estender o acesso.',
+  'gift.blockedDefault': '<@{user}> já assina o plano padrão. Presenteie esse plano para estender o acesso.',
+  'gift.what': '{duration} de premium',
+  'gift.whatPlan': '{duration} de premium (plano {plan})',
+  'gift.receivedDm': '🎁 <@{giver}> te deu {what} em **{guild}**! Seu acesso vai até <t:{endsAt}:f>.',
+  'gift.endedDm': 'O premium que <@{giver}> te deu em **{guild}** terminou. Quer continuar? São {price} coins a cada {cycle}: use /card em **{guild}** ou o botão Assinar do painel para assinar com o seu card.',
+  'gift.endedDmPlan': 'O premium que <@{giver}> te deu em **{guild}** terminou. Quer continuar no plano {plan}? São {price} coins a cada {cycle}: use /card em **{guild}** ou o botão do plano no painel para assinar com o seu card.',
+  'log.gift.title': 'Presente de Assinatura',
+  'log.gift.body': '<@{giver}> deu {what} para <@{recipient}> — {cycles} ciclo(s), {amount} coins. Acesso até <t:{endsAt}:f>.',
+  'log.gift.footer': 'Presente #{id}',
+  // charge reconciliation
+  'log.paymentUnverifiable.title': 'Pagamento Não Verificável',
+  'log.paymentUnverifiable.body': 'Pagamento #{id} ({amount} coins, {who}) não pôde ser confirmado após {attempts} verificações e foi marcado como falho. Confira manualmente no coin API.',
+  'log.paymentUnverifiable.bodyTx': 'Pagamento #{id} ({amount} coins, {who}) não pôde ser confirmado após {attempts} verificações e foi marcado como falho. Confira manualmente no coin API (TX: {txid}).',
+  'log.refund.title': 'Reembolso',
+  'log.refund.body': 'Reembolso #{id} de {amount} coins para <@{user}> (pagamento #{payment} de {original} coins), do card do servidor. TX: {txid}',
+  'log.refund.bodyEnded': 'Reembolso #{id} de {amount} coins para <@{user}> (pagamento #{payment} de {original} coins), do card do servidor; a assinatura de <@{ended}> foi encerrada. TX: {txid}',
+  'log.refundFailed.title': 'Reembolso Falhou',
+  'log.refundFailed.body': 'O reembolso de {amount} coins para <@{user}> (pagamento #{payment}) falhou. Confira o saldo do card do servidor.\nErro: {error}',
+  'log.refundUnverified.title': 'Reembolso em Verificação',
+  'log.refundUnverified.body': 'O reembolso #{id} de {amount} coins para <@{user}> (pagamento #{payment}) teve resposta ambígua do coin API. Ele será verificado automaticamente; não reembolse de novo.',
+  'log.paymentReconciled.title': 'Pagamento Confirmado (verificação)',
+  'log.paymentReconciled.bodyMember': 'Pagamento #{id} de {amount} coins de <@{user}> confirmado na verificação. TX: {txid}',
+  'log.paymentReconciled.bodyGuild': 'Pagamento #{id} de {amount} coins da guild confirmado na verificação. TX: {txid}',
+  'gift.reconciledDm': 'Seu presente para <@{recipient}> foi confirmado e já está ativo.',
+  // guild fee and renewals
+  'log.guildPaymentUnverified.title': 'Pagamento da Guild Não Confirmado',
+  'log.guildPaymentUnverified.body': 'O pagamento da guild de {amount} coins não teve resposta clara da coin API (pagamento #{id}). Ele será verificado antes de qualquer nova tentativa.',
+  'log.guildPayment.title': 'Pagamento da Guild',
+  'log.guildPayment.body': 'Pagamento da guild de {amount} coins efetuado. TX: {txid}',
+  'log.guildPaymentFailed.title': 'Pagamento da Guild Falhou',
+  'log.guildPaymentFailed.body': 'O pagamento da guild de {amount} coins falhou. Recursos premium bloqueados até ser resolvido.\nErro: {error}',
+  'log.platformFee.title': 'Taxa da Plataforma Repassada',
+  'log.platformFee.body': 'Parte da plataforma ({fee} coins) do pagamento #{id} de {amount} coins de <@{user}> enviada do card do servidor. TX: {txid}',
+  'log.platformFeeFailed.title': 'Repasse da Plataforma Falhou',
+  'log.platformFeeFailed.retry': 'Não foi possível enviar a parte da plataforma ({fee} coins) do pagamento #{id} a partir do card do servidor (tentativa {attempts}). Tentaremos de novo no próximo checkout; confira o saldo do card do servidor.',
+  'log.platformFeeFailed.final': 'Não foi possível enviar a parte da plataforma ({fee} coins) do pagamento #{id} a partir do card do servidor após {attempts} tentativas. Sem novas tentativas automáticas: o repasse fica listado como pendente para o dono do bot.',
+  'log.feeChanged.title': 'Taxa da Plataforma Alterada',
+  'log.feeChanged.body': 'A taxa da plataforma desta guild agora é: {summary}.',
+  'log.subscriptionEnded.title': 'Assinatura Encerrada',
+  'log.subscriptionEnded.cancelled': '<@{user}> cancelou a assinatura; período pago encerrado e role removida.',
+  'log.subscriptionEnded.gift': '<@{user}> usava um presente de <@{giver}>; período pago encerrado e role removida.',
+  'renewal.noCardDm': 'Tentativa de renovar sua assinatura em **{guild}** falhou: card não configurado. Use /card para registrar seu card.',
+  'log.renewalUnverified.title': 'Renovação Não Confirmada',
+  'log.renewalUnverified.body': 'Renovação de <@{user}> sem resposta clara da API (pagamento #{id}). Será verificada antes de nova tentativa.',
+  'log.subscriptionRenewed.title': 'Assinatura Renovada',
+  'log.subscriptionRenewed.body': '<@{user}> renovou a assinatura. TX: {txid}',
+  'log.subscriptionRenewed.bodyRetry': '<@{user}> renovou a assinatura (tentativa {attempt}). TX: {txid}',
+  'log.renewalFailed.title': 'Renovação Falhou',
+  'log.renewalFailed.retry': 'A renovação de <@{user}> ({amount} coins) falhou na tentativa {attempt}. Nova tentativa em <t:{next_retry_ts}:f>; a role é mantida até lá.\nErro: {error}',
+  'log.renewalFailed.final': 'A renovação de <@{user}> ({amount} coins) falhou na tentativa {attempt}, sem novas tentativas.\nErro: {error}',
+  'log.roleRemoved.title': 'Role Removida',
+  'log.roleRemoved.noCard': '<@{user}> perdeu <@&{role}>: a assinatura venceu sem card para renovar.',
+  'log.roleRemoved.failed': '<@{user}> perdeu <@&{role}> após {attempt} tentativa(s) de renovação sem sucesso.',
+  'renewal.retryDm': 'Não foi possível renovar sua assinatura em **{guild}** (Erro: {error}). Tentaremos novamente <t:{ts}:R> ({remaining} tentativa(s) restante(s)); seu acesso continua até lá. Confira o saldo do seu card ou atualize-o com /card.',
+  'renewal.failedDm': 'Não foi possível renovar sua assinatura em **{guild}**. Removemos o acesso. Erro: {error}',
+  'renewal.failedDmAfter': 'Não foi possível renovar sua assinatura em **{guild}** após {attempts} tentativas. Removemos o acesso. Erro: {error}',
+  'reminder.dm': 'Lembrete: sua assinatura em **{guild}** renova <t:{ts}:R> (<t:{ts}:f>) por {amount} coins. Se não quiser continuar, use /cancelar antes disso. Para não receber lembretes nem recibos, use /notificacoes.',
+  'reminder.dmPlan': 'Lembrete: sua assinatura do plano {plan} em **{guild}** renova <t:{ts}:R> (<t:{ts}:f>) por {amount} coins. Se não quiser continuar, use /cancelar antes disso. Para não receber lembretes nem recibos, use /notificacoes.',
+  'receipt.subscription': '🧾 Recibo — **{guild}**: {amount} coins pagos pela sua assinatura. TX: `{txid}`. Próxima renovação <t:{next}:f>.',
+  'receipt.subscriptionPlan': '🧾 Recibo — **{guild}**: {amount} coins pagos pelo plano {plan}. TX: `{txid}`. Próxima renovação <t:{next}:f>.',
+  'receipt.gift': '🧾 Recibo — **{guild}**: {amount} coins pagos pelo presente para <@{recipient}>. TX: `{txid}`.',
+  // modals, panel and member views
+  'modal.card.title': 'Registrar seu Card',
+  'modal.card.input': 'Coloque seu Card ID (ex: abc123)',
+  'modal.card.coupon': 'Cupom de desconto (opcional)',
+  'modal.gift.title': 'Presentear Premium',
+  'modal.gift.input': 'Seu Card ID (cobrado uma vez, não fica salvo)',
+  'panel.title': 'Painel de Assinatura Premium',
+  'panel.noRole': '*nenhuma role configurada*',
+  'panel.tierLine': '**{name}** — {price} coins a cada {cycle} · {role}',
+  'panel.chooseTier': 'Escolha um plano:',
+  'panel.single': 'Assine o serviço premium — {price} coins a cada {cycle}.\nRole concedida: {role}',
+  'panel.singleLine': '{price} coins a cada {cycle} · {role}',
+  'panel.subscribe': 'Assinar',
+  'panel.cancel': 'Cancelar',
+  'panel.footer': 'Clique em um plano para se inscrever ou em Cancelar para parar a renovação',
+  'panel.subscribers': 'Assinantes ativos',
+  'sub.state.inactive': 'Inativa',
+  'sub.state.gift': 'Presente de <@{giver}> (acesso até o fim do período)',
+  'sub.state.cancelled': 'Cancelada (acesso até o fim do período)',
+  'sub.state.grace': 'Em carência — nova tentativa <t:{ts}:R>',
+  'sub.state.trial': 'Teste grátis até <t:{ts}:f>',
+  'sub.state.active': 'Ativa',
+  'sub.priceKept': ' (preço mantido)',
+  'sub.priceFrom': '{price} a partir de <t:{ts}:d>',
+  'sub.until': 'até <t:{ts}:d>',
+  'sub.renews': 'renova <t:{ts}:d>',
+  'status.title': 'Sua assinatura',
+  'status.none': 'Você não possui assinatura nesta guild. Preço atual: {price} coins a cada {cycle}. Use o painel de assinatura ou /card.',
+  'status.field.state': 'Estado',
+  'status.field.plan': 'Plano',
+  'status.field.price': 'Preço',
+  'status.field.card': 'Card',
+  'status.field.accessUntil': 'Acesso até',
+  'status.field.nextRenewal': 'Próxima renovação',
+  'status.defaultPlan': 'Padrão',
+  'mysubs.title': 'Suas assinaturas',
+  'mysubs.none': 'Você não possui assinaturas em nenhuma guild.',
+  'mysubs.giftFrom': '🎁 de <@{user}>',
+  'mysubs.giftTo': '🎁 para <@{user}>',
+  'mysubs.refund': '↩️ reembolso',
+  'mysubs.payments': 'Pagamentos recentes',
+  'list.more': '… e mais {count}.',
+  'cancel.done': 'Renovação automática cancelada. Você mantém o acesso até <t:{endsAt}:f>.',
+  'cancel.already': 'Sua assinatura já está cancelada. O acesso termina em <t:{endsAt}:f>.',
+  'cancel.notSubscribed': 'Você não possui uma assinatura ativa nesta guild.',
+  // admin dashboard
+  'admin.filter.active': 'ativos',
+  'admin.filter.lapsed': 'inativos',
+  'admin.filter.all': 'todos',
+  'admin.subscribers.title': 'Assinantes — {filter} ({total})',
+  'admin.subscribers.none': 'Nenhum assinante.',
+  'admin.subscribers.page': 'Página {page}/{pages}',
+  'admin.revenue.day': 'dia',
+  'admin.revenue.week': 'semana',
+  'admin.revenue.month': 'mês',
+  'admin.revenue.title': 'Receita por {period}',
+  'admin.revenue.amount': '{total} coins ({count} pagamento(s))',
+  'admin.revenue.none': 'Nenhum pagamento confirmado.',
+  'admin.revenue.total': 'Total geral',
+  'admin.revenue.net': 'Para a guild (após a taxa da plataforma)',
+  'admin.revenue.utc': 'Horários em UTC',
+  // command replies
+  'internalError': 'Erro interno.',
+  'envDefault': ' (padrão do env)',
+  'couponTag': ' (cupom {code})',
+  'guild.inactiveCommand': 'Este servidor está inativo (sem card configurado). Apenas administradores podem configurar o sistema com /cardservidor. Até a guild ser ativada, comandos premium estão bloqueados.',
+  'guild.inactive': 'Este servidor está inativo (sem card do servidor configurado). Administradores precisam usar /cardservidor para ativar o sistema.',
+  'perm.log': 'Somente administradores podem configurar o canal de logs.',
+  'perm.servercard': 'Somente administradores podem definir o card do servidor.',
+  'perm.worth': 'Somente administradores podem definir o preço.',
+  'perm.role': 'Somente administradores podem definir a role.',
+  'perm.provider': 'Somente administradores podem definir o provedor de pagamentos.',
+  'perm.grace': 'Somente administradores podem definir o período de carência.',
+  'perm.trial': 'Somente administradores podem configurar o teste grátis.',
+  'perm.coupon': 'Somente administradores podem gerenciar cupons.',
+  'perm.admin': 'Somente administradores podem usar os comandos de administração.',
+  'perm.premium': 'Você precisa de permissão de Gerenciar Cargos para alterar assinaturas manualmente.',
+  'perm.tier': 'Somente administradores podem gerenciar planos.',
+  'perm.channel': 'Você precisa de permissão de Gerenciar Canais para postar o painel.',
+  'perm.language': 'Somente administradores podem definir o idioma do bot.',
+  'perm.panelconfig': 'Você precisa de permissão de Gerenciar Canais para personalizar o painel.',
+  'perm.logroute': 'Somente administradores podem configurar as rotas de log.',
+  'perm.platformfee': 'Somente os donos do bot podem configurar a taxa da plataforma.',
+  'perm.refund': 'Somente administradores podem reembolsar pagamentos.',
+  'invalid.price': 'Formato inválido. Use até 8 casas decimais, ex: 0.05000000',
+  'invalid.notice': 'Aviso inválido. Use por exemplo 7d ou 30d, ou 0 para a próxima renovação.',
+  'invalid.schedule': 'Formato inválido. Use intervalos separados por vírgula, ex: 1h,6h,24h (ou "off" / "default").',
+  'invalid.trial': 'Duração inválida. Use por exemplo 3d, 7d ou 2w (ou "off").',
+  'invalid.couponCode': 'Código inválido. Use de 2 a 32 letras, números, - ou _.',
+  'invalid.percent': 'Percentual inválido. Use um número entre 0 e 100, ex: 10.',
+  'invalid.amount': 'Valor inválido. Use até 8 casas decimais, ex: 0.01000000',
+  'invalid.expires': 'Validade inválida. Use por exemplo 7d ou 4w.',
+  'invalid.duration': 'Duração inválida. Use por exemplo 12h, 7d, 30d ou 4w.',
+  'invalid.cycle': 'Ciclo inválido. Use por exemplo 30m, 12h, 7d ou 4w.',
+  'invalid.color': 'Cor inválida. Use um código hexadecimal, ex: #5865F2.',
+  'invalid.imageUrl': 'Imagem inválida. Use um link http(s) para a imagem (ou "off" para remover).',
+  'log.set': 'Canal de logs configurado: {channel}',
+  'servercard.set': 'Card do servidor atualizado. Sistema ativado nesta guild (o bot tentará cobrar em seguida).',
+  'worth.set': 'Preço de inscrição definido para {price} coins (ciclo configurável via env).',
+  'priceChange.reply.kept': '{count} assinante(s) mantêm o preço anterior',
+  'priceChange.reply.notified': '{count} assinante(s) avisado(s) por DM',
+  'priceChange.reply.notifiedFrom': '{count} assinante(s) avisado(s) por DM — para eles o novo preço vale a partir de <t:{ts}:f>',
+  'role.set': 'Role de assinante definida: {role}',
+  'role.setMoved': 'Role de assinante definida: {role}. {moved} assinante(s) ativo(s) migrado(s).',
+  'role.setMovedFrom': 'Role de assinante definida: {role}. {moved} assinante(s) ativo(s) migrado(s) de <@&{from}>.',
+  'provider.disabled': 'O provedor **{name}** não está habilitado neste bot.',
+  'provider.set': 'Provedor de pagamentos: **{name}**',
+  'provider.mockWarning': ' Atenção: pagamentos simulados, nenhuma coin é movida.',
+  'grace.set': 'Período de carência atualizado',
+  'grace.schedule': '{count} nova(s) tentativa(s) após falha na renovação ({steps}); a role só é removida quando a última falhar. Carência total: {total}.',
+  'grace.off': 'Sem carência: a role é removida na primeira falha de renovação.',
+  'trial.set': 'Teste grátis de {duration} ativado para novos assinantes (um por membro). O card é cobrado ao fim do teste. O painel é atualizado automaticamente.',
+  'trial.off': 'Teste grátis desativado.',
+  'trial.started': 'Teste grátis de {duration} iniciado — você já tem acesso! A primeira cobrança ({amount} coins) será feita <t:{ts}:R> no card informado. Use /cancelar antes disso se não quiser continuar.',
+  'coupon.none': 'Nenhum cupom criado. Use /cupom criar.',
+  'coupon.list.uses': '{uses} uso(s)',
+  'coupon.list.expires': 'expira <t:{ts}:d>',
+  'coupon.list.noExpiry': 'sem validade',
+  'coupon.state.disabled': 'desativado',
+  'coupon.state.expired': 'expirado',
+  'coupon.state.exhausted': 'esgotado',
+  'coupon.state.active': 'ativo',
+  'coupon.disabledReply': 'Cupom **{code}** desativado. Quem já usou um cupom recorrente mantém o desconto.',
+  'coupon.exists': 'Já existe um cupom **{code}**.',
+  'coupon.limit': 'Limite de {max} cupons ativos por guild atingido. Desative algum com /cupom desativar.',
+  'coupon.created': 'Cupom **{code}** criado: {what}{limits}. Os membros digitam o código no formulário do card.',
+  'coupon.created.maxUses': ', até {max} membro(s)',
+  'coupon.created.expires': ', válido até <t:{ts}:f>',
+  'admin.export': 'Exportação (cards mascarados):',
+  'tier.notFound': 'Plano **{name}** não encontrado.',
+  'tier.notFoundPanel': 'Plano **{name}** não encontrado. Veja os planos no painel de assinatura.',
+  'tier.none': 'Nenhum plano configurado — a guild usa o preço de /preco e a role de /role.',
+  'tier.list.noRole': 'sem role',
+  'tier.list.active': '{count} ativo(s)',
+  'tier.exists': 'Já existe um plano chamado **{name}**. Use /plano editar.',
+  'tier.limit': 'Limite de {max} planos por guild atingido.',
+  'tier.created': 'Plano **{name}** criado: {price} coins a cada {cycle}, role {role}. O painel é atualizado automaticamente.',
+  'tier.nothingToEdit': 'Nada para alterar — informe preço, role ou ciclo.',
+  'tier.moved': '{moved} assinante(s) ativo(s) migrado(s) para {role}.',
+  'tier.updated': 'Plano **{name}** atualizado. Preço e ciclo valem a partir da próxima renovação de cada assinante.',
+  'tier.updatedCycle': 'Plano **{name}** atualizado. O ciclo vale a partir da próxima renovação de cada assinante.',
+  'tier.removed': 'Plano **{name}** removido. {count} assinante(s) mantêm o acesso até o fim do período pago, sem renovação.',
+  'tier.unavailable': 'Este plano não está mais disponível. Escolha outro no painel de assinatura.',
+  'tier.unavailablePanel': 'Este plano não está mais disponível. Peça a um administrador para atualizar o painel.',
+  'premium.notSubscribed': '<@{user}> não possui assinatura ativa nesta guild.',
+  'refund.done': 'Reembolso de {amount} coins enviado para <@{user}> (pagamento #{payment}). TX: `{txid}`. Restante reembolsável: {left} coins.',
+  'refund.ended': ' A assinatura de <@{user}> foi encerrada.',
+  'refund.notFound': 'Pagamento #{payment} não encontrado nesta guild (só pagamentos de membros podem ser reembolsados).',
+  'refund.notConfirmed': 'O pagamento #{payment} não foi confirmado (status: {status}); não há o que reembolsar.',
+  'refund.unresolved': 'O reembolso #{id} deste pagamento ainda está em verificação. Aguarde antes de tentar de novo.',
+  'refund.fullyRefunded': 'O pagamento #{payment} já foi reembolsado por completo.',
+  'refund.invalidAmount': 'Valor inválido: use um número maior que zero, até {remaining} coins.',
+  'refund.noServerCard': 'Esta guild não tem card do servidor configurado (/servercard), então não há de onde reembolsar.',
+  'refund.noCard': 'O card usado neste pagamento ({card}) não está mais registrado para o membro. Reembolse manualmente pelo coin API.',
+  'refund.failed': 'O reembolso falhou: {error}. Nada foi enviado.',
+  'refund.unknown': 'O coin API não respondeu de forma conclusiva. O reembolso #{id} está em verificação — não tente de novo.',
+  'refund.dm': '↩️ **{guild}** reembolsou {amount} coins do seu pagamento #{payment}. TX: `{txid}`.',
+  'refund.dmReason': '↩️ **{guild}** reembolsou {amount} coins do seu pagamento #{payment}. Motivo: {reason}. TX: `{txid}`.',
+  'premium.revoked': '<@{user}> teve a assinatura revogada por <@{staff}>.',
+  'premium.reason': ' Motivo: {reason}',
+  'premium.granted': '<@{staff}> concedeu premium para <@{user}> ({duration}). Acesso até <t:{endsAt}:f>.',
+  'premium.extended': '<@{staff}> estendeu premium para <@{user}> ({duration}). Acesso até <t:{endsAt}:f>.',
+  'premium.tier': ', plano {plan}',
+  'log.premiumManual.title': 'Premium — Alteração manual',
+  'channel.posted': 'Painel postado em {channel}',
+  'panelconfig.updated': 'Painel personalizado e atualizado.',
+  'panelconfig.saved': 'Personalização salva. Use /painel para postar o painel.',
+  'language.name': 'Português',
+  'language.set': 'Idioma do bot nesta guild: {name}',
+  'notifications.status.on': 'Você recebe todas as DMs desta guild, incluindo lembretes de renovação e recibos. Use `enabled: False` para desativar os opcionais.',
+  'notifications.status.off': 'Lembretes de renovação, recibos e avisos de queda de preço desta guild estão desativados. Avisos de falha de pagamento, perda de acesso e aumento de preço continuam chegando.',
+  'notifications.set.on': 'Pronto: você voltará a receber lembretes de renovação e recibos desta guild.',
+  'notifications.set.off': 'Pronto: não enviaremos mais lembretes de renovação, recibos nem avisos de queda de preço desta guild. Avisos importantes (falha de pagamento, perda de acesso, aumento de preço) continuam chegando.',
+  'logroute.header': 'Destino de cada evento (/log é o padrão):',
+  'logroute.line': '`{event}` → {destination}',
+  'logroute.muted': 'silenciado',
+  'logroute.noChannel': 'nenhum canal (use /log)',
+  'logroute.updated': 'Rota atualizada: `{event}` → {destination}',
+  'platformfee.model.flat': 'taxa fixa de {flat} coins por ciclo da guild',
+  'platformfee.model.percent': '{percent}% de cada pagamento de membro',
+  'platformfee.model.both': 'taxa fixa de {flat} coins por ciclo e {percent}% de cada pagamento de membro',
+  'platformfee.source.env': 'padrão do env',
+  'platformfee.source.guild': 'definida para esta guild',
+  'platformfee.current': 'Taxa da plataforma em `{guild}`: {summary} ({source}).',
+  'platformfee.updated': 'Taxa da plataforma de `{guild}` atualizada: {summary} ({source}).',
+  'platformfee.unknownGuild': 'A guild `{guild}` não está no banco.',
+  'platformfee.noCard': 'Atenção: `SERVER_RECEIVER_CARD` não está configurado, então nenhuma parte dos pagamentos é repassada.',
+  'card.pendingCharge': 'Seu pagamento anterior ainda está em verificação. Aguarde alguns minutos antes de tentar novamente.',
+  'card.afterGift': 'Card registrado! Seu presente continua até <t:{ts}:f>; a assinatura renova sozinha depois disso ({amount} coins). Use /cancelar se mudar de ideia.',
+  'card.charging': 'Card recebido — tentando efetuar o pagamento inicial...',
+  'card.credit': 'crédito de {credit} coins pelo período não usado do plano anterior',
+  'card.creditExtra': 'crédito de {credit} coins pelo período não usado do plano anterior, mais {extra} no novo plano',
+  'card.couponDiscount': 'cupom {code}: -{discount} coins',
+  'card.unknown': 'A API de pagamentos não respondeu de forma conclusiva. Seu pagamento está em verificação — você será ativado automaticamente se ele for confirmado. Não tente pagar de novo.',
+  'card.paid': 'Pagamento de {amount} coins efetuado com sucesso{details} — você está ativo!',
+  'card.failed': 'Falha no pagamento inicial. Tente atualizar o card com /card novamente.',
+  'gift.bot': 'Bots não podem receber premium.',
+  'gift.self': 'Para assinar para você mesmo, use /card ou o painel de assinatura.',
+  'gift.cycles': 'Escolha de 1 a {max} ciclos.',
+  'gift.currentArchived': 'O plano atual de <@{user}> não está mais disponível. Escolha um plano com a opção plano.',
+  'gift.tierUnavailable': 'Este plano não está mais disponível. Use /presente novamente com outro plano.',
+  'gift.charging': 'Card recebido — tentando efetuar o pagamento do presente...',
+  'gift.unknown': 'A API de pagamentos não respondeu de forma conclusiva. O pagamento está em verificação — o presente será entregue automaticamente se ele for confirmado. Não tente pagar de novo.',
+  'gift.sent': 'Presente enviado! Você pagou {amount} coins e <@{recipient}> tem premium até <t:{endsAt}:f>.',
+  'gift.sentPlan': 'Presente enviado! Você pagou {amount} coins e <@{recipient}> tem premium (plano {plan}) até <t:{endsAt}:f>.',
+  'gift.failed': 'Falha no pagamento do presente. Confira o saldo do seu card e tente /presente novamente.',
+  // member payment logs
+  'log.trialStarted.title': 'Teste Grátis Iniciado',
+  'log.trialStarted.body': '<@{user}> começou um teste grátis até <t:{endsAt}:f>. Primeira cobrança: {amount} coins{coupon}.',
+  'log.trialStarted.bodyPlan': '<@{user}> começou um teste grátis do plano {plan} até <t:{endsAt}:f>. Primeira cobrança: {amount} coins{coupon}.',
+  'log.giftContinued.title': 'Presente — Continuação',
+  'log.giftContinued.body': '<@{user}> registrou um card para continuar após o presente de <@{giver}>. Primeira cobrança em <t:{ts}:f>: {amount} coins{coupon}.',
+  'log.subscriptionPaymentUnknown.title': 'Pagamento de Assinatura — Em verificação',
+  'log.subscriptionPaymentUnknown.body': '<@{user}>: a API não confirmou nem recusou o pagamento de {amount} coins (pagamento #{id}).',
+  'log.subscriptionPayment.title': 'Pagamento de Assinatura — Sucesso',
+  'log.subscriptionPayment.body': '<@{user}> pagou {amount} coins{details}. TX: {txid}',
+  'log.subscriptionPayment.bodyPlan': '<@{user}> pagou {amount} coins (plano {plan}){details}. TX: {txid}',
+  'log.subscriptionPaymentFailed.title': 'Pagamento de Assinatura — Falha',
+  'log.subscriptionPaymentFailed.body': '<@{user}> não pôde pagar {amount} coins.\nErro: {error}',
+  'log.giftPaymentUnknown.title': 'Presente — Em verificação',
+  'log.giftPaymentUnknown.body': '<@{user}>: a API não confirmou nem recusou o pagamento de {amount} coins do presente para <@{recipient}> (pagamento #{id}).',
+  'log.giftPaymentFailed.title': 'Presente — Falha',
+  'log.giftPaymentFailed.body': '<@{user}> não pôde pagar {amount} coins do presente para <@{recipient}>.\nErro: {error}',
+};
+
+// descrições dos slash commands, por "comando", "comando.opção", "comando.subcomando.opção"; escolhas acrescentam ".valor"
+export const commands = {
+  'log': 'Configura o canal de logs da guild',
+  'log.channel': 'Canal para receber logs',
+  'card': 'Registrar/atualizar seu card para assinaturas nesta guild',
+  'card.tier': 'Plano desejado (padrão: plano atual)',
+  'gift': 'Presenteia premium a outro membro (seu card é cobrado uma vez)',
+  'gift.user': 'Quem recebe o presente',
+  'gift.months': 'Quantos ciclos do plano pagar, de 1 a 12 (ex: meses)',
+  'gift.tier': 'Plano (padrão: plano atual de quem recebe ou padrão da guild)',
+  'channel': 'Envia o painel de assinatura no canal selecionado',
+  'channel.channel': 'Canal para postar o painel',
+  'panelconfig': 'Personaliza o painel de assinatura (campos omitidos não mudam)',
+  'panelconfig.title': 'Título do painel',
+  'panelconfig.description': 'Texto acima dos planos (\\n quebra a linha)',
+  'panelconfig.color': 'Cor da barra lateral, ex: #5865F2',
+  'panelconfig.image': 'Link de uma imagem exibida no painel ("off" remove)',
+  'panelconfig.button': 'Texto do botão de assinar (com planos, vem antes do nome do plano)',
+  'panelconfig.subscriber_count': 'Mostra quantos assinantes ativos a guild tem (atualizado periodicamente)',
+  'panelconfig.reset': 'Volta ao painel padrão antes de aplicar as outras opções',
+  'logroute': 'Administrador: envia cada tipo de evento para outro canal ou silencia (sem opções: lista)',
+  'logroute.event': 'Tipo de evento',
+  'logroute.event.guild_payment': 'taxa da guild paga',
+  'logroute.event.guild_payment_failed': 'taxa da guild falhou',
+  'logroute.event.guild_deactivated': 'guild desativada',
+  'logroute.event.platform_fee': 'repasse da plataforma (silenciado por padrão)',
+  'logroute.event.platform_fee_failed': 'repasse da plataforma falhou',
+  'logroute.event.fee_changed': 'taxa da plataforma alterada',
+  'logroute.event.payment_success': 'pagamento de assinatura',
+  'logroute.event.payment_failed': 'pagamento falhou',
+  'logroute.event.payment_unverified': 'pagamento em verificação',
+  'logroute.event.payment_reconciled': 'pagamento confirmado na verificação',
+  'logroute.event.payment_unverifiable': 'pagamento não verificável',
+  'logroute.event.refund': 'reembolso',
+  'logroute.event.renewal': 'renovação',
+  'logroute.event.role_removed': 'role removida',
+  'logroute.event.subscription_cancelled': 'assinatura cancelada',
+  'logroute.event.subscription_ended': 'assinatura encerrada',
+  'logroute.event.trial_started': 'teste grátis iniciado',
+  'logroute.event.gift': 'presente',
+  'logroute.event.gift_continued': 'continuação após presente',
+  'logroute.event.premium_manual': 'premium manual (staff)',
+  'logroute.event.price_changed': 'preço alterado',
+  'logroute.event.role_corrected': 'roles corrigidas',
+  'logroute.event.subscriber_role_changed': 'role de assinante alterada',
+  'logroute.event.subscriber_role_deleted': 'role de assinante excluída',
+  'logroute.event.member_notified': 'DMs enviadas (silenciado por padrão)',
+  'logroute.channel': 'Canal que recebe este evento',
+  'logroute.mute': 'Silencia o evento no Discord (o arquivo e o webhook continuam recebendo)',
+  'logroute.reset': 'Volta ao destino padrão do evento',
+  'platformfee': 'Dono do bot: modelo de taxa da plataforma de uma guild (sem opções: mostra o atual)',
+  'platformfee.guild': 'ID da guild (padrão: esta)',
+  'platformfee.model': 'Como a plataforma é paga',
+  'platformfee.model.flat': 'fixa (taxa periódica da guild)',
+  'platformfee.model.percent': 'percentual de cada pagamento de membro',
+  'platformfee.model.both': 'ambas',
+  'platformfee.percent': 'Percentual de cada pagamento de membro (0 a 100)',
+  'platformfee.flat': 'Taxa fixa por ciclo, ex: 0.05000000',
+  'platformfee.reset': 'Volta aos padrões do env antes de aplicar as outras opções',
+  'refund': 'Administrador: devolve um pagamento de membro (total ou parcial) do card do servidor',
+  'refund.payment': 'Número do pagamento (veja /admin export ou /minhasassinaturas do membro)',
+  'refund.amount': 'Valor a devolver (padrão: o que resta do pagamento)',
+  'refund.end_subscription': 'Encerra também a assinatura paga por este pagamento',
+  'refund.reason': 'Motivo, enviado ao membro e ao log',
+  'worth': 'Define o preço de assinatura da guild (8 casas decimais)',
+  'worth.price': 'ex: 0.05000000',
+  'worth.notice': 'Aviso antes de um aumento valer para assinantes: 7d, 30d · "0" = próxima renovação (padrão: env)',
+  'worth.keep_current': 'Assinantes atuais mantêm o preço atual (o novo vale só para novos)',
+  'servercard': 'Administrador: define o card do servidor (ativa o sistema)',
+  'servercard.card': 'card do servidor',
+  'role': 'Seleciona a role que será dada a assinantes',
+  'role.role': 'Role a ser aplicada',
+  'unsubscribe': 'Cancela a renovação automática da sua assinatura nesta guild',
+  'status': 'Mostra sua assinatura nesta guild',
+  'mysubscriptions': 'Lista suas assinaturas em todas as guilds e seus pagamentos recentes',
+  'notifications': 'Ativa ou desativa lembretes de renovação e recibos por DM desta guild',
+  'notifications.enabled': 'Receber DMs opcionais (sem valor: mostra a configuração atual)',
+  'admin': 'Administrador: consultas de assinantes e receita',
+  'admin.subscribers': 'Lista assinantes e próximas renovações',
+  'admin.subscribers.filter': 'Quais assinantes listar (padrão: todos)',
+  'admin.subscribers.filter.active': 'ativos',
+  'admin.subscribers.filter.lapsed': 'inativos',
+  'admin.subscribers.filter.all': 'todos',
+  'admin.revenue': 'Receita confirmada de assinaturas por período',
+  'admin.revenue.period': 'Agrupamento (padrão: dia)',
+  'admin.revenue.period.day': 'dia',
+  'admin.revenue.period.week': 'semana',
+  'admin.revenue.period.month': 'mês',
+  'admin.revenue.count': 'Quantos períodos mostrar (padrão: 7)',
+  'admin.export': 'Exporta assinaturas e pagamentos em CSV',
+  'premium': 'Staff: concede, estende ou revoga premium sem cobrança',
+  'premium.grant': 'Concede premium a um membro',
+  'premium.grant.user': 'Membro',
+  'premium.grant.duration': 'Duração: 12h, 7d, 30d, 4w',
+  'premium.grant.tier': 'Plano (padrão: plano atual ou padrão da guild)',
+  'premium.extend': 'Estende o período atual de um assinante',
+  'premium.extend.user': 'Membro',
+  'premium.extend.duration': 'Duração: 12h, 7d, 30d, 4w',
+  'premium.revoke': 'Encerra a assinatura de um membro imediatamente',
+  'premium.revoke.user': 'Membro',
+  'premium.revoke.reason': 'Motivo (fica no registro)',
+  'provider': 'Administrador: provedor de pagamentos desta guild',
+  'provider.name': 'coin = API real · mock = simulação (só com ALLOW_MOCK_PROVIDER=1) · default = padrão do env',
+  'provider.name.default': 'padrão',
+  'grace': 'Administrador: período de carência — novas tentativas após falha na renovação',
+  'grace.schedule': 'Intervalos entre tentativas, ex: 1h,6h,24h · "off" remove na hora · "default" usa o env',
+  'trial': 'Administrador: teste grátis para novos assinantes (um por membro)',
+  'trial.length': 'Duração: 3d, 7d, 2w · "off" desativa',
+  'coupon': 'Administrador: cupons de desconto',
+  'coupon.create': 'Cria um cupom',
+  'coupon.create.code': 'Código que o membro digita (ex: PROMO10)',
+  'coupon.create.type': 'Tipo de desconto',
+  'coupon.create.type.percent': 'percentual',
+  'coupon.create.type.fixed': 'valor fixo',
+  'coupon.create.value': 'Percentual (ex: 10) ou coins (ex: 0.01000000)',
+  'coupon.create.recurring': 'Vale em todas as cobranças (padrão: só na primeira)',
+  'coupon.create.expires': 'Validade a partir de agora: 7d, 4w (padrão: sem validade)',
+  'coupon.create.max_uses': 'Quantos membros podem usar (padrão: ilimitado)',
+  'coupon.list': 'Lista os cupons da guild',
+  'coupon.disable': 'Desativa um cupom (quem já usou um cupom recorrente mantém o desconto)',
+  'coupon.disable.code': 'Código do cupom',
+  'tier': 'Administrador: gerencia os planos de assinatura da guild',
+  'tier.add': 'Cria um plano',
+  'tier.add.name': 'Nome do plano (ex: Gold)',
+  'tier.add.price': 'Preço por ciclo, ex: 0.05000000',
+  'tier.add.role': 'Role concedida pelo plano',
+  'tier.add.cycle': 'Duração do ciclo: 30m, 12h, 7d, 4w (padrão: ciclo do env)',
+  'tier.edit': 'Altera um plano',
+  'tier.edit.name': 'Nome do plano',
+  'tier.edit.price': 'Novo preço por ciclo',
+  'tier.edit.role': 'Nova role',
+  'tier.edit.cycle': 'Nova duração do ciclo: 30m, 12h, 7d, 4w',
+  'tier.edit.notice': 'Aviso antes de um aumento valer para assinantes: 7d, 30d · "0" = próxima renovação (padrão: env)',
+  'tier.edit.keep_current': 'Assinantes atuais mantêm o preço atual (o novo vale só para novos)',
+  'tier.remove': 'Remove um plano (assinantes atuais mantêm o acesso até o fim do período)',
+  'tier.remove.name': 'Nome do plano',
+  'tier.list': 'Lista os planos da guild',
+  'language': 'Administrador: idioma das mensagens do bot nesta guild',
+  'language.language': 'Idioma de painéis, logs e DMs; as respostas seguem o idioma do Discord de cada membro',
+  'language.language.default': 'padrão (env)'
+};
+
+// nomes de comandos e subcomandos em português (clientes Discord em pt-BR)
+export const commandNames = {
+  'channel': 'painel',
+  'panelconfig': 'configpainel',
+  'logroute': 'rotalog',
+  'platformfee': 'taxaplataforma',
+  'refund': 'reembolso',
+  'worth': 'preco',
+  'servercard': 'cardservidor',
+  'unsubscribe': 'cancelar',
+  'mysubscriptions': 'minhasassinaturas',
+  'notifications': 'notificacoes',
+  'provider': 'provedor',
+  'grace': 'carencia',
+  'trial': 'teste',
+  'coupon': 'cupom',
+  'tier': 'plano',
+  'gift': 'presente',
+  'language': 'idioma',
+  'admin.subscribers': 'assinantes',
+  'admin.revenue': 'receita',
+  'admin.export': 'exportar',
+  'premium.grant': 'conceder',
+  'premium.extend': 'estender',
+  'premium.revoke': 'revogar',
+  'coupon.create': 'criar',
+  'coupon.list': 'listar',
+  'coupon.disable': 'desativar',
+  'tier.add': 'adicionar',
+  'tier.edit': 'editar',
+  'tier.remove': 'remover',
+  'tier.list': 'listar'
+};
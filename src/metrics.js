@@ -0,0 +1,39 @@
+// src/metrics.js — contadores do processo expostos pela API HTTP de admin (/metrics, /health)
+import { nowTs } from './util.js';
+
+// since the process started; nothing here is persisted
+export const metrics = {
+  startedTs: nowTs(),
+  chargesAttempted: 0,
+  chargesConfirmed: 0,
+  chargesFailed: 0,
+  chargesUnknown: 0,
+  checkoutTicks: 0,
+  checkoutTicksSkipped: 0,
+  checkoutTicksNotLeader: 0,
+  checkoutItemErrors: 0,
+  lastCheckoutStartedTs: null,
+  lastCheckoutFinishedTs: null,
+  lastCheckoutOk: null,
+  lastCheckoutDurationMs: null
+};
+
+// status: 'confirmed' | 'failed' | 'unknown' (attemptCharge)
+export function recordCharge(status) {
+  metrics.chargesAttempted++;
+  if (status === 'confirmed') metrics.chargesConfirmed++;
+  else if (status === 'unknown') metrics.chargesUnknown++;
+  else metrics.chargesFailed++;
+}
+
+export function recordCheckoutStart() {
+  metrics.checkoutTicks++;
+  metrics.lastCheckoutStartedTs = nowTs();
+  return Date.now();
+}
+
+export function recordCheckoutEnd(startedMs, ok) {
+  metrics.lastCheckoutFinishedTs = nowTs();
+  metrics.lastCheckoutOk = ok;
+  metrics.lastCheckoutDurationMs = Date.now() - startedMs;
+}
@@ -0,0 +1,64 @@
+// src/migrate.js — migrações versionadas do schema (src/migrations/NNN-nome.js, tabela schema_version)
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const migrationsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+// "007-next-charge.js" -> { version: 7, name: 'next-charge' }, in version order
+function listMigrations() {
+  return fs.readdirSync(migrationsDir)
+    .map(file => {
+      const m = /^(\d+)-(.+)\.js$/.exec(file);
+      return m ? { version: Number(m[1]), name: m[2], file: path.join(migrationsDir, file) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+// Migrations must also cope with databases from before schema_version existed, which may already have
+// some of their columns: add columns with this instead of a bare ALTER TABLE.
+export async function ensureColumn(db, table, column, definition) {
+  const cols = await db.all(`PRAGMA table_info(${table})`);
+  if (cols.some(c => c.name === column)) return;
+  await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+// Applies every migration above the stored version, each in its own transaction.
+// Refuses databases written by newer code; backs up file databases before changing them.
+// Progress goes to log, which migrations also get (tests pass a no-op).
+export async function migrate(db, filename, { log = console.log } = {}) {
+  await db.exec('CREATE TABLE IF NOT EXISTS schema_version (version INTEGER PRIMARY KEY, name TEXT, applied_ts INTEGER)');
+  const row = await db.get('SELECT MAX(version) AS version FROM schema_version');
+  const current = Number(row && row.version) || 0;
+  const migrations = listMigrations();
+  const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+  if (current > latest) {
+    throw new Error(`Database schema version ${current} is newer than this code supports (${latest}). Update the bot or restore a backup.`);
+  }
+  const pending = migrations.filter(m => m.version > current);
+  if (!pending.length) return { from: current, to: current, backup: null };
+
+  let backup = null;
+  const tables = await db.get("SELECT COUNT(*) AS n FROM sqlite_master WHERE type = 'table' AND name <> 'schema_version'");
+  if (filename && filename !== ':memory:' && tables.n > 0) {
+    backup = `${filename}.v${current}-${new Date().toISOString().replace(/[:.]/g, '-')}.bak`;
+    await db.run('VACUUM INTO ?', backup);
+    log(`Database backup before migrating: ${backup}`);
+  }
+
+  for (const m of pending) {
+    const { up } = await import(pathToFileURL(m.file).href);
+    await db.exec('BEGIN');
+    try {
+      await up(db, { log });
+      await db.run('INSERT INTO schema_version (version, name, applied_ts) VALUES (?, ?, ?)', [m.version, m.name, Math.floor(Date.now() / 1000)]);
+      await db.exec('COMMIT');
+    } catch (e) {
+      await db.exec('ROLLBACK').catch(()=>null);
+      throw new Error(`Migration ${m.version}-${m.name} failed: ${e.message}${backup ? ` (backup: ${backup})` : ''}`);
+    }
+    log(`Applied migration ${m.version}-${m.name}`);
+  }
+  return { from: current, to: latest, backup };
+}
@@ -0,0 +1,38 @@
+// schema of the first release (databases created before migrations existed already have it)
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS guilds (
+      guild_id TEXT PRIMARY KEY,
+      log_channel_id TEXT,
+      server_card TEXT,
+      price TEXT,
+      role_id TEXT,
+      last_guild_payment_ts INTEGER DEFAULT 0,
+      active INTEGER DEFAULT 1
+    );
+    CREATE TABLE IF NOT EXISTS subscriptions (
+      guild_id TEXT,
+      user_id TEXT,
+      card_code TEXT,
+      subscribed_ts INTEGER,
+      last_renew_ts INTEGER,
+      active INTEGER DEFAULT 0,
+      PRIMARY KEY (guild_id, user_id),
+      FOREIGN KEY (guild_id) REFERENCES guilds(guild_id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS ix_subs_guild_active ON subscriptions(guild_id, active);
+
+    CREATE TABLE IF NOT EXISTS payments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT,
+      user_id TEXT,
+      from_card TEXT,
+      to_card TEXT,
+      amount TEXT,
+      success INTEGER,
+      txid TEXT,
+      raw TEXT,
+      ts INTEGER
+    );
+  `);
+}
@@ -0,0 +1,20 @@
+// /unsubscribe (cancelled_ts) and subscription tiers
+import { ensureColumn } from '../migrate.js';
+
+export async function up(db) {
+  await ensureColumn(db, 'subscriptions', 'cancelled_ts', 'INTEGER DEFAULT NULL');
+  await ensureColumn(db, 'subscriptions', 'tier_id', 'INTEGER DEFAULT NULL');
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS tiers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT,
+      name TEXT COLLATE NOCASE,
+      price TEXT,
+      role_id TEXT,
+      cycle_sec INTEGER,
+      archived INTEGER DEFAULT 0,
+      created_ts INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS ix_tiers_guild ON tiers(guild_id, archived);
+  `);
+}
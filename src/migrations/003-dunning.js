@@ -0,0 +1,8 @@
+// retries after a failed renewal (grace period), per-guild schedule set with /grace
+import { ensureColumn } from '../migrate.js';
+
+export async function up(db) {
+  await ensureColumn(db, 'subscriptions', 'retry_count', 'INTEGER DEFAULT 0');
+  await ensureColumn(db, 'subscriptions', 'next_retry_ts', 'INTEGER DEFAULT NULL');
+  await ensureColumn(db, 'guilds', 'retry_schedule', 'TEXT DEFAULT NULL');
+}
@@ -0,0 +1,15 @@
+// audit trail for /premium grant, extend and revoke
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT,
+      actor_id TEXT,
+      target_id TEXT,
+      action TEXT,
+      details TEXT,
+      ts INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS ix_audit_guild ON audit_log(guild_id, ts);
+  `);
+}
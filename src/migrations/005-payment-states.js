@@ -0,0 +1,16 @@
+// payments move through pending -> confirmed | failed | unknown, each charge with its own idempotency key
+import { ensureColumn } from '../migrate.js';
+
+export async function up(db) {
+  await ensureColumn(db, 'payments', 'status', 'TEXT');
+  await ensureColumn(db, 'payments', 'idem_key', 'TEXT');
+  await ensureColumn(db, 'payments', 'kind', 'TEXT');
+  await ensureColumn(db, 'payments', 'reconcile_attempts', 'INTEGER DEFAULT 0');
+  await ensureColumn(db, 'payments', 'updated_ts', 'INTEGER');
+  // rows written before the state machine existed only carry the success flag
+  await db.run(`UPDATE payments SET status = CASE WHEN success = 1 THEN 'confirmed' ELSE 'failed' END WHERE status IS NULL`);
+  await db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS ux_payments_idem ON payments(idem_key);
+    CREATE INDEX IF NOT EXISTS ix_payments_status ON payments(status);
+  `);
+}
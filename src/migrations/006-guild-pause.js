@@ -0,0 +1,6 @@
+// billing paused while the bot is out of the guild
+import { ensureColumn } from '../migrate.js';
+
+export async function up(db) {
+  await ensureColumn(db, 'guilds', 'paused', 'INTEGER DEFAULT 0');
+}
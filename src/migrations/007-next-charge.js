@@ -0,0 +1,10 @@
+// next_charge_ts: when the scheduler must look at an active subscription again (period end or next dunning retry)
+import { activationSec } from '../config.js';
+import { ensureColumn } from '../migrate.js';
+
+export async function up(db) {
+  await ensureColumn(db, 'subscriptions', 'next_charge_ts', 'INTEGER DEFAULT NULL');
+  await db.run(`UPDATE subscriptions SET next_charge_ts = COALESCE(next_retry_ts, COALESCE(last_renew_ts, subscribed_ts, 0) + COALESCE((SELECT cycle_sec FROM tiers WHERE tiers.id = subscriptions.tier_id), ?))
+    WHERE active = 1 AND next_charge_ts IS NULL`, [activationSec]);
+  await db.exec('CREATE INDEX IF NOT EXISTS ix_subs_due ON subscriptions(active, next_charge_ts)');
+}
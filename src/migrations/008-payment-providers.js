@@ -0,0 +1,7 @@
+// provider that took each charge, and the per-guild override set with /provider
+import { ensureColumn } from '../migrate.js';
+
+export async function up(db) {
+  await ensureColumn(db, 'payments', 'provider', 'TEXT');
+  await ensureColumn(db, 'guilds', 'payment_provider', 'TEXT DEFAULT NULL');
+}
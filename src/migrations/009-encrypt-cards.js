@@ -0,0 +1,8 @@
+// card codes at rest: encrypt rows written in plaintext and mask the cards kept in the payments log
+import { maskPaymentCards, reencryptCards } from '../cards.js';
+
+export async function up(db, { log }) {
+  const cards = await reencryptCards(db);
+  if (cards.encrypted) log(`Encrypted ${cards.encrypted} stored card code(s).`);
+  await maskPaymentCards(db);
+}
@@ -0,0 +1,7 @@
+// price kept for a subscriber after a price change: until the notice period ends, or for good (locked_until NULL)
+import { ensureColumn } from '../migrate.js';
+
+export async function up(db) {
+  await ensureColumn(db, 'subscriptions', 'locked_price', 'TEXT DEFAULT NULL');
+  await ensureColumn(db, 'subscriptions', 'locked_until', 'INTEGER DEFAULT NULL');
+}
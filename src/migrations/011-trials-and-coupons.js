@@ -0,0 +1,43 @@
+// free trials (one per member per guild) and coupon codes
+import { ensureColumn } from '../migrate.js';
+
+export async function up(db) {
+  await ensureColumn(db, 'guilds', 'trial_sec', 'INTEGER DEFAULT 0');
+  await ensureColumn(db, 'subscriptions', 'trial_ends_ts', 'INTEGER DEFAULT NULL');
+  // coupon still to apply: until the first charge, or on every charge when recurring
+  await ensureColumn(db, 'subscriptions', 'coupon_id', 'INTEGER DEFAULT NULL');
+  await ensureColumn(db, 'payments', 'coupon_id', 'INTEGER DEFAULT NULL');
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS trials (
+      guild_id TEXT,
+      user_id TEXT,
+      started_ts INTEGER,
+      ends_ts INTEGER,
+      PRIMARY KEY (guild_id, user_id)
+    );
+    CREATE TABLE IF NOT EXISTS coupons (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT,
+      code TEXT COLLATE NOCASE,
+      kind TEXT,
+      value TEXT,
+      recurring INTEGER DEFAULT 0,
+      expires_ts INTEGER DEFAULT NULL,
+      max_uses INTEGER DEFAULT NULL,
+      disabled INTEGER DEFAULT 0,
+      created_by TEXT,
+      created_ts INTEGER,
+      UNIQUE (guild_id, code)
+    );
+    CREATE TABLE IF NOT EXISTS coupon_redemptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      coupon_id INTEGER,
+      guild_id TEXT,
+      user_id TEXT,
+      payment_id INTEGER,
+      discount TEXT,
+      ts INTEGER,
+      UNIQUE (coupon_id, user_id)
+    );
+  `);
+}
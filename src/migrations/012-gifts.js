@@ -0,0 +1,23 @@
+// gift subscriptions: one member pays N cycles for another
+import { ensureColumn } from '../migrate.js';
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS gifts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT,
+      giver_id TEXT,
+      recipient_id TEXT,
+      tier_id INTEGER,
+      cycles INTEGER,
+      amount TEXT,
+      status TEXT DEFAULT 'pending',
+      created_ts INTEGER,
+      ends_ts INTEGER DEFAULT NULL
+    );
+    CREATE INDEX IF NOT EXISTS ix_gifts_recipient ON gifts(recipient_id, guild_id);
+  `);
+  await ensureColumn(db, 'payments', 'gift_id', 'INTEGER DEFAULT NULL');
+  // giver of the gift the subscription is running on; the recipient is offered to continue when it ends
+  await ensureColumn(db, 'subscriptions', 'gift_from', 'TEXT DEFAULT NULL');
+}
@@ -0,0 +1,6 @@
+// per-guild language (/language); NULL follows DEFAULT_LANGUAGE
+import { ensureColumn } from '../migrate.js';
+
+export async function up(db) {
+  await ensureColumn(db, 'guilds', 'language', 'TEXT DEFAULT NULL');
+}
@@ -0,0 +1,14 @@
+// subscribe panel: where it was posted (so it can be edited) and the admin's customization
+import { ensureColumn } from '../migrate.js';
+
+export async function up(db) {
+  await ensureColumn(db, 'guilds', 'panel_channel_id', 'TEXT DEFAULT NULL');
+  await ensureColumn(db, 'guilds', 'panel_message_id', 'TEXT DEFAULT NULL');
+  // NULL fields use the default text of the guild language
+  await ensureColumn(db, 'guilds', 'panel_title', 'TEXT DEFAULT NULL');
+  await ensureColumn(db, 'guilds', 'panel_description', 'TEXT DEFAULT NULL');
+  await ensureColumn(db, 'guilds', 'panel_color', 'INTEGER DEFAULT NULL');
+  await ensureColumn(db, 'guilds', 'panel_image_url', 'TEXT DEFAULT NULL');
+  await ensureColumn(db, 'guilds', 'panel_button_label', 'TEXT DEFAULT NULL');
+  await ensureColumn(db, 'guilds', 'panel_show_count', 'INTEGER DEFAULT 0');
+}
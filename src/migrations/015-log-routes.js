@@ -0,0 +1,12 @@
+// per-event destinations set with /logroute: another channel, or muted
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS log_routes (
+      guild_id TEXT,
+      event_type TEXT,
+      channel_id TEXT DEFAULT NULL,
+      muted INTEGER DEFAULT 0,
+      PRIMARY KEY (guild_id, event_type)
+    );
+  `);
+}
@@ -0,0 +1,30 @@
+// DM queue stored in the database (survives restarts, failed DMs are retried), opt-out and renewal reminders
+import { ensureColumn } from '../migrate.js';
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT,
+      guild_id TEXT,
+      kind TEXT,
+      message TEXT,
+      status TEXT DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      next_attempt_ts INTEGER,
+      last_error TEXT DEFAULT NULL,
+      created_ts INTEGER,
+      sent_ts INTEGER DEFAULT NULL
+    );
+    CREATE INDEX IF NOT EXISTS ix_notifications_due ON notifications(status, next_attempt_ts);
+    CREATE TABLE IF NOT EXISTS notification_prefs (
+      guild_id TEXT,
+      user_id TEXT,
+      optional_off INTEGER DEFAULT 0,
+      updated_ts INTEGER,
+      PRIMARY KEY (guild_id, user_id)
+    );
+  `);
+  // next_charge_ts the renewal reminder was sent for (one reminder per cycle)
+  await ensureColumn(db, 'subscriptions', 'reminded_for_ts', 'INTEGER DEFAULT NULL');
+}
@@ -0,0 +1,14 @@
+// platform fee model per guild (/platformfee overrides of the env defaults) and the split of each payment
+import { ensureColumn } from '../migrate.js';
+
+export async function up(db) {
+  // NULL = the PLATFORM_FEE_* env defaults
+  await ensureColumn(db, 'guilds', 'fee_model', 'TEXT DEFAULT NULL');
+  await ensureColumn(db, 'guilds', 'fee_percent', 'TEXT DEFAULT NULL');
+  await ensureColumn(db, 'guilds', 'fee_flat', 'TEXT DEFAULT NULL');
+  // platform_fee + guild_share = amount; a platform_fee row points at the member payment it was taken from
+  await ensureColumn(db, 'payments', 'platform_fee', 'TEXT DEFAULT NULL');
+  await ensureColumn(db, 'payments', 'guild_share', 'TEXT DEFAULT NULL');
+  await ensureColumn(db, 'payments', 'parent_payment_id', 'INTEGER DEFAULT NULL');
+  await db.exec('CREATE INDEX IF NOT EXISTS ix_payments_parent ON payments(parent_payment_id)');
+}
@@ -0,0 +1,9 @@
+// leases in the database: jobs that must run in a single process at a time (shards, standby instances)
+export async function up(db) {
+  await db.exec(`CREATE TABLE IF NOT EXISTS leases (
+    name TEXT PRIMARY KEY,
+    holder TEXT NOT NULL,
+    acquired_ts INTEGER NOT NULL,
+    expires_ts INTEGER NOT NULL
+  )`);
+}
@@ -0,0 +1,6 @@
+// encrypted card of the member who paid, so a refund can go back to it (from_card is only masked)
+import { ensureColumn } from '../migrate.js';
+
+export async function up(db) {
+  await ensureColumn(db, 'payments', 'payer_card', 'TEXT DEFAULT NULL');
+}
@@ -0,0 +1,164 @@
+// src/notifications.js — fila de DMs no banco (com novas tentativas), lembretes de renovação, recibos e opt-out
+import { renewalReminderSec } from './config.js';
+import { formatCoin, nowTs, sleep } from './util.js';
+import { db } from './db.js';
+import { client } from './bot.js';
+import { getGuildRow, getSubPlan, subscriptionPrice } from './guilds.js';
+import { applyCoupon, getCouponById } from './coupons.js';
+import { guildLanguage, t } from './i18n.js';
+import { logEvent } from './eventlog.js';
+
+// kinds a member can turn off with /notifications; everything else (failed payments, lost access, price
+// increases, gifts) is always sent
+export const OPTIONAL_KINDS = new Set(['reminder', 'receipt', 'price_decrease']);
+// wait before retrying a DM that failed; it is given up after the last one
+const RETRY_DELAYS_SEC = [60, 5 * 60, 30 * 60, 2 * 3600, 6 * 3600];
+// Discord rate limits DMs: one every 2s (startNotificationWorker can change it)
+const DM_INTERVAL_MS = 2000;
+// retries that came due and rows left by another process are picked up this often
+const POLL_MS = 60 * 1000;
+// a row being sent is pushed this far ahead: another process running the queue skips it, and a crash
+// in the middle of a send makes it due again after this
+const CLAIM_SEC = 5 * 60;
+// sent and given-up rows are kept this long (admin API, support questions)
+const KEEP_SEC = 30 * 86400;
+
+export async function optionalNotificationsOff(guildId, userId) {
+  const row = await db.get('SELECT optional_off FROM notification_prefs WHERE guild_id = ? AND user_id = ?', [guildId, userId]);
+  return !!row && Number(row.optional_off) === 1;
+}
+
+// opting out also drops the optional DMs still waiting in the queue
+export async function setOptionalNotifications(guildId, userId, enabled) {
+  await db.run('INSERT INTO notification_prefs (guild_id, user_id, optional_off, updated_ts) VALUES (?, ?, ?, ?) ON CONFLICT(guild_id, user_id) DO UPDATE SET optional_off = excluded.optional_off, updated_ts = excluded.updated_ts',
+    [guildId, userId, enabled ? 0 : 1, nowTs()]);
+  if (!enabled) {
+    await db.run(`UPDATE notifications SET status = 'skipped' WHERE guild_id = ? AND user_id = ? AND status = 'pending' AND kind IN (${[...OPTIONAL_KINDS].map(() => '?').join(', ')})`,
+      [guildId, userId, ...OPTIONAL_KINDS]);
+  }
+}
+
+// ---- DM queue ----
+// guildId: the guild the DM is about (opt-out, member_notified event); kind: see OPTIONAL_KINDS.
+// Returns false when the member opted out of this kind.
+export async function notifyUserDMed(userId, message, guildId = null, kind = 'notice') {
+  if (guildId && OPTIONAL_KINDS.has(kind) && await optionalNotificationsOff(guildId, userId)) return false;
+  const now = nowTs();
+  await db.run("INSERT INTO notifications (user_id, guild_id, kind, message, status, attempts, next_attempt_ts, created_ts) VALUES (?, ?, ?, ?, 'pending', 0, ?, ?)",
+    [userId, guildId, kind, message, now, now]);
+  processNotifications();
+  return true;
+}
+
+export async function pendingNotificationCount() {
+  return (await db.get("SELECT COUNT(*) AS n FROM notifications WHERE status = 'pending'")).n;
+}
+
+// Sends every due DM, one at a time. Started by notifyUserDMed and by the worker timer (retries, rows left by a restart).
+// Every shard runs it on the same table: each row is claimed before it is sent.
+let running = false;
+let dmIntervalMs = DM_INTERVAL_MS;
+let workerTimer = null;
+export async function processNotifications() {
+  if (running) return;
+  running = true;
+  try {
+    for (;;) {
+      const job = await db.get("SELECT * FROM notifications WHERE status = 'pending' AND next_attempt_ts <= ? ORDER BY next_attempt_ts, id LIMIT 1", nowTs());
+      if (!job) break;
+      const claim = await db.run("UPDATE notifications SET next_attempt_ts = ? WHERE id = ? AND status = 'pending' AND next_attempt_ts = ?", [nowTs() + CLAIM_SEC, job.id, job.next_attempt_ts]);
+      if (!claim.changes) continue;
+      await deliver(job);
+      await sleep(dmIntervalMs);
+    }
+  } catch (e) {
+    console.warn('notification queue stopped', e && e.message);
+  } finally {
+    running = false;
+  }
+}
+
+// Once the client is ready: sends what a restart left pending, then every pollMs the retries that came due,
+// pruning old rows. Tests pass a short dmIntervalMs. Returns a function stopping the timer.
+export function startNotificationWorker({ dmIntervalMs: intervalMs = DM_INTERVAL_MS, pollMs = POLL_MS } = {}) {
+  dmIntervalMs = intervalMs;
+  clearInterval(workerTimer);
+  processNotifications();
+  workerTimer = setInterval(() => {
+    processNotifications();
+    pruneNotifications().catch(e => console.warn('pruneNotifications failed', e && e.message));
+  }, pollMs);
+  workerTimer.unref();
+  return () => clearInterval(workerTimer);
+}
+
+async function deliver(job) {
+  const attempts = Number(job.attempts) + 1;
+  let error = null;
+  const user = await client.users.fetch(job.user_id).catch(()=>null);
+  if (!user) error = 'unknown_user';
+  else await user.send({ content: job.message }).catch(e => { error = (e && e.message) || 'send_failed'; });
+
+  if (!error) {
+    await db.run("UPDATE notifications SET status = 'sent', attempts = ?, sent_ts = ?, last_error = NULL WHERE id = ?", [attempts, nowTs(), job.id]);
+  } else if (attempts <= RETRY_DELAYS_SEC.length) {
+    // members with DMs closed are common: retried quietly, logged only when given up
+    await db.run('UPDATE notifications SET attempts = ?, next_attempt_ts = ?, last_error = ? WHERE id = ?', [attempts, nowTs() + RETRY_DELAYS_SEC[attempts - 1], error, job.id]);
+    return;
+  } else {
+    await db.run("UPDATE notifications SET status = 'failed', attempts = ?, last_error = ? WHERE id = ?", [attempts, error, job.id]);
+  }
+  if (job.guild_id) {
+    const g = await getGuildRow(job.guild_id);
+    const lang = guildLanguage(g);
+    const delivered = !error;
+    await logEvent(g || job.guild_id, 'member_notified', { title: t(lang, 'log.userNotified.title'), description: t(lang, delivered ? 'log.userNotified.body' : 'log.userNotified.undelivered', { user: job.user_id, message: job.message, attempts }) },
+      { user: job.user_id, kind: job.kind, delivered, attempts, error });
+  }
+}
+
+export async function pruneNotifications() {
+  await db.run("DELETE FROM notifications WHERE status != 'pending' AND created_ts < ?", nowTs() - KEEP_SEC);
+}
+
+// ---- Reminders and receipts ----
+// One DM per cycle, renewalReminderSec before next_charge_ts, for subscriptions that will really be charged
+// (not cancelled, with a card, not in a retry). Cycles shorter than the reminder window get none.
+export async function sendRenewalReminders(now = nowTs()) {
+  if (!renewalReminderSec) return 0;
+  const due = await db.all(`SELECT s.* FROM subscriptions s JOIN guilds g ON g.guild_id = s.guild_id
+    WHERE s.active = 1 AND s.cancelled_ts IS NULL AND s.card_code IS NOT NULL AND COALESCE(s.retry_count, 0) = 0
+      AND s.next_charge_ts > ? AND s.next_charge_ts <= ? AND s.reminded_for_ts IS NOT s.next_charge_ts
+      AND g.paused = 0 AND g.active = 1`, [now, now + renewalReminderSec]);
+  let sent = 0;
+  const guildCache = new Map();
+  for (const s of due) {
+    try {
+      // claimed first: a slow DM queue must not make the next tick remind twice
+      const claim = await db.run('UPDATE subscriptions SET reminded_for_ts = ? WHERE guild_id = ? AND user_id = ? AND reminded_for_ts IS NOT ?', [s.next_charge_ts, s.guild_id, s.user_id, s.next_charge_ts]);
+      if (!claim.changes) continue;
+      if (!guildCache.has(s.guild_id)) guildCache.set(s.guild_id, await getGuildRow(s.guild_id));
+      const g = guildCache.get(s.guild_id);
+      const plan = await getSubPlan(g, s);
+      if (plan.cycleSec <= renewalReminderSec) continue;
+      const coupon = s.coupon_id ? await getCouponById(s.coupon_id) : null;
+      const { amount } = applyCoupon(subscriptionPrice(plan, s, s.next_charge_ts), coupon);
+      const lang = guildLanguage(g);
+      const guildName = client.guilds.cache.get(g.guild_id)?.name || g.guild_id;
+      const text = t(lang, plan.name ? 'reminder.dmPlan' : 'reminder.dm', { guild: guildName, plan: plan.name, ts: s.next_charge_ts, amount: formatCoin(amount) });
+      if (await notifyUserDMed(s.user_id, text, g.guild_id, 'reminder')) sent++;
+    } catch (e) {
+      console.warn('renewal reminder failed', s.guild_id, s.user_id, e && e.message);
+    }
+  }
+  return sent;
+}
+
+// DM after a charge that moved coins: plan + nextTs for a subscription, recipient for a gift
+export async function sendReceipt(g, userId, { amount, txid, plan = null, nextTs = null, recipient = null }) {
+  if (!(Number(amount) > 0)) return false;
+  const lang = guildLanguage(g);
+  const params = { guild: client.guilds.cache.get(g.guild_id)?.name || g.guild_id, amount: formatCoin(amount), txid: txid || 'n/a', plan, next: nextTs, recipient };
+  const key = recipient ? 'receipt.gift' : plan ? 'receipt.subscriptionPlan' : 'receipt.subscription';
+  return notifyUserDMed(userId, t(lang, key, params), g.guild_id, 'receipt');
+}
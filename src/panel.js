@@ -0,0 +1,68 @@
+// src/panel.js — painel de assinatura postado: onde está, atualização e personalização
+import { db } from './db.js';
+import { client, ownsGuild } from './bot.js';
+import { getGuildRow } from './guilds.js';
+import { buildSubscribePanel } from './ui.js';
+
+// "#5865F2" / "5865f2" -> 0x5865f2; null when invalid
+export function parsePanelColor(str) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(str || '').trim());
+  return m ? parseInt(m[1], 16) : null;
+}
+
+export function isImageUrl(str) {
+  try {
+    const url = new URL(String(str || '').trim());
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (e) {
+    return false;
+  }
+}
+
+// Posts the panel and remembers it; a panel posted earlier is no longer updated.
+export async function postPanel(guildId, channel) {
+  const message = await channel.send(await buildSubscribePanel(guildId));
+  await db.run('UPDATE guilds SET panel_channel_id = ?, panel_message_id = ? WHERE guild_id = ?', [channel.id, message.id, guildId]);
+  return message;
+}
+
+// Discord errors meaning the panel is gone: Unknown Channel, Unknown Message
+const PANEL_GONE_CODES = new Set([10003, 10008]);
+
+// Edits the stored panel with the current settings. A panel deleted from Discord is forgotten; any other
+// failure (network, 5xx, rate limit, shard down) keeps it for the next refresh.
+export async function refreshPanel(guildId) {
+  const g = await getGuildRow(guildId);
+  if (!g || !g.panel_message_id) return false;
+  let message;
+  try {
+    const channel = await client.channels.fetch(g.panel_channel_id, { allowUnknownGuild: !ownsGuild(guildId) });
+    message = channel && channel.isTextBased() ? await channel.messages.fetch(g.panel_message_id) : null;
+  } catch (e) {
+    if (!PANEL_GONE_CODES.has(e && e.code)) {
+      console.warn('panel fetch failed', guildId, e && e.message);
+      return false;
+    }
+    message = null;
+  }
+  if (!message) {
+    await db.run('UPDATE guilds SET panel_channel_id = NULL, panel_message_id = NULL WHERE guild_id = ? AND panel_message_id = ?', [guildId, g.panel_message_id]);
+    return false;
+  }
+  const edited = await message.edit(await buildSubscribePanel(guildId)).catch(e => { console.warn('panel edit failed', guildId, e && e.message); return null; });
+  return !!edited;
+}
+
+// scheduled pass: only panels showing the subscriber count change without a settings change
+// (each shard refreshes the panels of its own guilds)
+export async function refreshCountPanels() {
+  const rows = await db.all('SELECT guild_id FROM guilds WHERE panel_message_id IS NOT NULL AND panel_show_count = 1 AND paused = 0');
+  for (const row of rows) {
+    if (!ownsGuild(row.guild_id)) continue;
+    try {
+      await refreshPanel(row.guild_id);
+    } catch (e) {
+      console.warn('panel refresh failed', row.guild_id, e && e.message);
+    }
+  }
+}
@@ -0,0 +1,176 @@
+// src/payments.js — cobranças com estado (pending → confirmed/failed/unknown) e reconciliação
+import crypto from 'crypto';
+import { formatCoin, maskCard, nowTs, safeJson } from './util.js';
+import { db } from './db.js';
+import { giveRoleToMember } from './bot.js';
+import { paymentProviders, providerFor } from './providers.js';
+import { encryptCard, redactCards } from './cards.js';
+import { getGuildRow, getSubPlan } from './guilds.js';
+import { activateGift, failGift, getGiftById } from './gifts.js';
+import { guildLanguage, t } from './i18n.js';
+import { logEvent } from './eventlog.js';
+import { recordCharge } from './metrics.js';
+import { notifyUserDMed, sendReceipt } from './notifications.js';
+import { MEMBER_PAYMENT_KINDS, collectPlatformFee, splitPayment } from './fees.js';
+
+// Strong verification: determine if API response indicates success
+export function responseLooksLikeHtml(obj) {
+  return (typeof obj === 'string' && obj.trim().toLowerCase().startsWith('<!doctype')) ||
+         (typeof obj === 'string' && obj.trim().startsWith('<html'));
+}
+
+function txidOf(r) {
+  return (r && typeof r === 'object') ? (r.txId || r.tx_id || r.txid || r.tx || null) : null;
+}
+
+// Classify one API answer as 'success', 'failed' (coins certainly not moved) or 'unknown' (must not be retried blindly).
+export async function classifyChargeResponse(r, provider) {
+  // HTML page on a non-5xx answer: wrong endpoint / error page, nothing was charged
+  if (responseLooksLikeHtml(r)) return { outcome: 'failed', txid: null };
+  if (!r || typeof r !== 'object' || r.ambiguous) return { outcome: 'unknown', txid: null };
+  const txid = txidOf(r);
+  // explicit success is trusted as is: only answers without one are verified
+  if (r.success === true && !r.error) return { outcome: 'success', txid };
+  if (r.error || r.success === false) return { outcome: 'failed', txid: null };
+  // no explicit success or error: only a verified txid counts, anything else is ambiguous
+  if (txid && await provider.verifyTx(txid).catch(()=>false)) return { outcome: 'success', txid };
+  return { outcome: 'unknown', txid };
+}
+
+const chargeStatusByOutcome = { success: 'confirmed', failed: 'failed', unknown: 'unknown' };
+
+// error text of a failed attemptCharge, for logged events and replies
+export function chargeError(attempt) {
+  return attempt.raw ? (attempt.raw.direct?.error || attempt.raw.bill?.error || safeJson(attempt.raw)) : 'unknown';
+}
+
+// fromCard/toCard are plaintext here; payments rows only ever get them masked.
+// Charges move through pending -> confirmed | failed | unknown. The pending row (with its idempotency key)
+// is written before any network call so a crash or timeout always leaves a trace for reconcileCharges().
+export async function attemptCharge(fromCard, toCard, amountStr, meta = {}) {
+  // meta optional { guildId, userId, kind, couponId, giftId, parentPaymentId } for logging; the guild picks the payment provider
+  const now = nowTs();
+  const g = meta.guildId ? await getGuildRow(meta.guildId) : null;
+  const provider = providerFor(g);
+  const idemKey = crypto.randomUUID();
+  const kind = meta.kind || (meta.userId ? 'subscription' : 'guild');
+  // member payments are shared with the platform (fees.js); the guild fee is all platform
+  const split = MEMBER_PAYMENT_KINDS.includes(kind) ? splitPayment(g, amountStr)
+    : kind === 'guild' ? { platformFee: formatCoin(amountStr), guildShare: formatCoin(0) } : { platformFee: null, guildShare: null };
+  let paymentId;
+  try {
+    // refunds go back to the card that paid, even one the member no longer has on file (or a gift payer's)
+    const payerCard = MEMBER_PAYMENT_KINDS.includes(kind) ? encryptCard(fromCard) : null;
+    const ins = await db.run('INSERT INTO payments (guild_id, user_id, from_card, to_card, amount, success, txid, raw, ts, provider, status, idem_key, kind, updated_ts, coupon_id, gift_id, platform_fee, guild_share, parent_payment_id, payer_card) VALUES (?, ?, ?, ?, ?, 0, NULL, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [meta.guildId || null, meta.userId || null, maskCard(fromCard), maskCard(toCard), String(amountStr), now, provider.name, 'pending', idemKey, kind, now, meta.couponId || null, meta.giftId || null, split.platformFee, split.guildShare, meta.parentPaymentId || null, payerCard]);
+    paymentId = ins.lastID;
+  } catch (e) {
+    // never touch the API without a pending row
+    console.warn('Failed to record pending payment, charge not attempted', e);
+    recordCharge('failed');
+    return { success: false, status: 'failed', raw: { error: 'db_error' }, txid: null, paymentId: null };
+  }
+
+  // 1) direct /card/pay
+  const r = await provider.cardPay(fromCard, toCard, amountStr, idemKey);
+  let result = await classifyChargeResponse(r, provider);
+
+  // 2) fallback bill create+pay, only when the direct call certainly did not move coins
+  let b = null;
+  if (result.outcome === 'failed') {
+    b = await provider.billCreateAndPay(fromCard, toCard, amountStr, `${idemKey}:bill`);
+    result = await classifyChargeResponse(b, provider);
+  }
+
+  const status = chargeStatusByOutcome[result.outcome];
+  recordCharge(status);
+  // the API may echo card codes back: keep them out of payments.raw and of the error shown in log channels
+  const raw = redactCards({ direct: r, bill: b }, [fromCard, toCard]);
+  try {
+    const rawStr = safeJson(raw);
+    await db.run('UPDATE payments SET success = ?, txid = ?, raw = ?, status = ?, updated_ts = ? WHERE id = ?',
+      [status === 'confirmed' ? 1 : 0, result.txid || null, rawStr, status, nowTs(), paymentId]);
+  } catch (e) {
+    console.warn('Failed to log payment attempt', e);
+  }
+  // the platform share leaves the guild card right away; a failed transfer is retried by periodicCheckout
+  if (status === 'confirmed' && Number(split.platformFee) > 0 && kind !== 'guild') {
+    await collectPlatformFee(paymentId).catch(e => console.error('platform fee error', paymentId, e));
+  }
+
+  return { success: status === 'confirmed', status, raw, txid: result.txid || null, paymentId };
+}
+
+// true while a guild fee (userId null) or a subscription charge of this member is still pending/unknown;
+// other transfers (gifts the member paid for someone else, platform shares, refunds) do not hold back the next charge
+export async function hasUnresolvedCharge(guildId, userId) {
+  const row = await db.get("SELECT id FROM payments WHERE guild_id = ? AND user_id IS ? AND status IN ('pending','unknown') AND kind = ? LIMIT 1", [guildId, userId || null, userId ? 'subscription' : 'guild']);
+  return !!row;
+}
+
+// ---- Charge reconciliation ----
+// pending rows younger than this may still belong to an in-flight attemptCharge
+const STALE_PENDING_SEC = 10 * 60;
+// unverifiable charges (no txid to look up) are given up after this many passes so billing is not blocked forever
+const MAX_RECONCILE_ATTEMPTS = 5;
+
+export async function reconcileCharges() {
+  const rows = await db.all("SELECT * FROM payments WHERE status = 'unknown' OR (status = 'pending' AND COALESCE(updated_ts, ts) < ?) ORDER BY id", [nowTs() - STALE_PENDING_SEC]);
+  for (const p of rows) {
+    try {
+      // verify with the provider that took the charge (rows from before providers existed went to the coin API)
+      const provider = paymentProviders.get(p.provider || 'coin');
+      const verified = (p.txid && provider) ? await provider.verifyTx(p.txid).catch(()=>false) : false;
+      if (verified) {
+        await db.run("UPDATE payments SET status = 'confirmed', success = 1, updated_ts = ? WHERE id = ?", [nowTs(), p.id]);
+        await applyConfirmedCharge(p);
+        continue;
+      }
+      const attempts = Number(p.reconcile_attempts || 0) + 1;
+      const giveUp = attempts >= MAX_RECONCILE_ATTEMPTS;
+      await db.run('UPDATE payments SET status = ?, reconcile_attempts = ?, updated_ts = ? WHERE id = ?', [giveUp ? 'failed' : 'unknown', attempts, nowTs(), p.id]);
+      if (giveUp) {
+        if (p.gift_id) await failGift(p.gift_id);
+        const g = p.guild_id ? await getGuildRow(p.guild_id) : null;
+        const lang = guildLanguage(g);
+        const who = p.user_id ? `<@${p.user_id}>` : 'guild';
+        const data = { id: p.id, amount: formatCoin(p.amount), user: p.user_id, attempts, txid: p.txid };
+        await logEvent(g || p.guild_id, 'payment_unverifiable', { title: t(lang, 'log.paymentUnverifiable.title'), description: t(lang, p.txid ? 'log.paymentUnverifiable.bodyTx' : 'log.paymentUnverifiable.body', { ...data, who }) }, data);
+      }
+    } catch (e) {
+      console.error('reconcile error', e);
+    }
+  }
+}
+
+// apply the effect a charge would have had if attemptCharge had seen it succeed
+async function applyConfirmedCharge(p) {
+  const g = await getGuildRow(p.guild_id);
+  if (!g) return;
+  const lang = guildLanguage(g);
+  if (p.kind === 'guild') {
+    await db.run('UPDATE guilds SET last_guild_payment_ts = ?, active = 1 WHERE guild_id = ? AND COALESCE(last_guild_payment_ts, 0) < ?', [p.ts, p.guild_id, p.ts]);
+  } else if (p.kind === 'gift') {
+    const gift = await getGiftById(p.gift_id);
+    if (gift && gift.status === 'pending') {
+      await activateGift(gift);
+      await notifyUserDMed(p.user_id, t(lang, 'gift.reconciledDm', { recipient: gift.recipient_id }), p.guild_id, 'gift_reconciled');
+      await sendReceipt(g, p.user_id, { amount: p.amount, txid: p.txid, recipient: gift.recipient_id });
+    }
+  } else if (p.kind === 'refund') {
+    // coins went back to the member; nothing to apply
+  } else if (p.user_id) {
+    const sub = await db.get('SELECT * FROM subscriptions WHERE guild_id = ? AND user_id = ?', [p.guild_id, p.user_id]);
+    const plan = await getSubPlan(g, sub);
+    // a first-charge coupon is used up by this payment
+    const oneShotCoupon = p.coupon_id ? await db.get('SELECT id FROM coupons WHERE id = ? AND recurring = 0', p.coupon_id) : null;
+    const res = await db.run('UPDATE subscriptions SET active = 1, last_renew_ts = ?, retry_count = 0, next_retry_ts = NULL, next_charge_ts = ?, coupon_id = CASE WHEN coupon_id = ? THEN NULL ELSE coupon_id END WHERE guild_id = ? AND user_id = ? AND COALESCE(last_renew_ts, 0) <= ?', [p.ts, p.ts + plan.cycleSec, oneShotCoupon ? oneShotCoupon.id : null, p.guild_id, p.user_id, p.ts]);
+    if (res.changes) {
+      await giveRoleToMember(p.guild_id, p.user_id, plan.roleId);
+      await sendReceipt(g, p.user_id, { amount: p.amount, txid: p.txid, plan: plan.name, nextTs: p.ts + plan.cycleSec });
+    }
+  }
+  if (MEMBER_PAYMENT_KINDS.includes(p.kind)) await collectPlatformFee(p.id);
+  const data = { id: p.id, kind: p.kind, amount: formatCoin(p.amount), user: p.user_id, txid: p.txid };
+  await logEvent(g, 'payment_reconciled', { title: t(lang, 'log.paymentReconciled.title'), description: t(lang, p.user_id ? 'log.paymentReconciled.bodyMember' : 'log.paymentReconciled.bodyGuild', data) }, data);
+}
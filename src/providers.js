@@ -0,0 +1,164 @@
+// src/providers.js — provedores de pagamento (coin API real e mock em memória)
+import crypto from 'crypto';
+import axios from 'axios';
+import { ALLOW_MOCK_PROVIDER, COIN_API_URL, PAYMENT_PROVIDER, coinConcurrency, mockPaymentMode } from './config.js';
+import { createLimiter, formatCoin, maskCard, nowTs, safeJson, sleep } from './util.js';
+
+// ---- Helper: coin API calls ----
+// Normalize COIN_API_URL so baseURL always ends with '/api' (no double slashes)
+const normalizedApiBase = (() => {
+  try {
+    const raw = String(COIN_API_URL || '').trim();
+    if (!raw) return '';
+    const noTrail = raw.replace(/\/+$/, '');
+    if (/\/api$/i.test(noTrail)) return noTrail;
+    return noTrail + '/api';
+  } catch (e) {
+    return COIN_API_URL;
+  }
+})();
+
+const coinLimit = createLimiter(coinConcurrency);
+
+export const coin = axios.create({
+  baseURL: normalizedApiBase,
+  timeout: 15000,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+// Transport errors and 5xx answers are ambiguous: the API may or may not have moved the coins.
+function wrapRequestError(err) {
+  const res = err.response;
+  if (res && res.status < 500 && res.data) return res.data;
+  const body = res ? res.data : null;
+  return { success: false, error: (body && body.error) || err.message || 'request_error', ambiguous: true, httpStatus: res ? res.status : null, body };
+}
+
+// call /api/card/pay
+async function callCardPay(fromCard, toCard, amount, idemKey) {
+  const truncated = Math.floor(Number(amount) * 1e8) / 1e8;
+  try {
+    const res = await coinLimit(() => coin.post('/card/pay', { fromCard, toCard, amount: truncated }, { headers: { 'Idempotency-Key': idemKey } }));
+    return res.data;
+  } catch (err) {
+    // If server returned HTML page or text, err.response.data might be string.
+    return wrapRequestError(err);
+  }
+}
+
+// create bill + pay flow
+async function callBillCreateAndPay(fromCard, toCard, amount, idemKey) {
+  const truncated = Math.floor(Number(amount) * 1e8) / 1e8;
+  try {
+    const create = await coinLimit(() => coin.post('/bill/create/card', { fromCard, toCard, amount: truncated, time: Date.now() }, { headers: { 'Idempotency-Key': idemKey } }));
+    if (!create.data || !create.data.billId) return { success: false, error: 'create_failed', raw: create.data };
+    const pay = await coinLimit(() => coin.post('/bill/pay/card', { cardCode: fromCard, billId: create.data.billId }, { headers: { 'Idempotency-Key': idemKey } }));
+    return pay.data || { success: true, raw: pay.data };
+  } catch (err) {
+    return wrapRequestError(err);
+  }
+}
+
+// Try to verify a txid by hitting likely endpoints. Returns true only if verification indicates success/confirmed.
+async function verifyTxOnApi(txid) {
+  if (!txid) return false;
+  const endpoints = [
+    `/tx/${txid}`,
+    `/transaction/${txid}`,
+    `/transactions/${txid}`,
+    `/txs/${txid}`
+  ];
+  for (const ep of endpoints) {
+    try {
+      const res = await coinLimit(() => coin.get(ep)).catch(()=>null);
+      if (!res || !res.data) continue;
+      const data = res.data;
+      // if data explicitly success true or status indicates confirmed/success -> accept
+      if (data && (data.success === true || data.status === 'confirmed' || data.status === 'success' || data.state === 'confirmed' || data.confirmed === true)) return true;
+      // some APIs return { tx: { status: 'confirmed' } }
+      const json = safeJson(data).toLowerCase();
+      if (json.includes('confirmed') || json.includes('success')) return true;
+    } catch (e) {
+      // ignore and try next
+    }
+  }
+  return false;
+}
+
+// Any HTTP answer (even 404 or 5xx) means the API host is up; only transport errors count as unreachable.
+// Not queued behind coinLimit: a health check must not wait for the charges in flight.
+async function pingCoinApi() {
+  const started = Date.now();
+  try {
+    await coin.get('/', { timeout: 5000, validateStatus: () => true });
+    return { reachable: true, ms: Date.now() - started };
+  } catch (err) {
+    return { reachable: false, ms: Date.now() - started, error: err.message };
+  }
+}
+
+// ---- Payment providers ----
+// A provider moves coins between cards and answers in the coin API's shapes:
+//   cardPay(fromCard, toCard, amount, idemKey) / billCreateAndPay(...) -> API answer (object, HTML string or wrapRequestError())
+//   verifyTx(txid) -> true when the transaction is confirmed
+//   ping() -> { reachable, ms } (admin API /health)
+// attemptCharge/classifyChargeResponse stay provider-agnostic.
+export const paymentProviders = new Map();
+export function registerPaymentProvider(provider) {
+  paymentProviders.set(provider.name, provider);
+}
+
+registerPaymentProvider({ name: 'coin', cardPay: callCardPay, billCreateAndPay: callBillCreateAndPay, verifyTx: verifyTxOnApi, ping: pingCoinApi });
+
+// In-process stand-in for the coin API. The scenario comes from MOCK_PAYMENT_MODE or from the payer card:
+// "mock-insufficient…", "mock-timeout…" and "mock-html…" cards fail that way, any other card pays.
+export const MOCK_MODES = ['success', 'insufficient', 'timeout', 'html'];
+export function createMockProvider({ mode = null, latencyMs = 0 } = {}) {
+  const transactions = new Map();
+  const answers = new Map(); // idempotency key -> first answer, replayed on retries
+
+  function scenarioFor(fromCard) {
+    if (mode) return mode;
+    const m = /^mock-(insufficient|timeout|html)/i.exec(String(fromCard || ''));
+    return m ? m[1].toLowerCase() : 'success';
+  }
+  function fakeRequestError(status, data, message) {
+    return wrapRequestError(Object.assign(new Error(message), { response: status ? { status, data } : undefined }));
+  }
+  async function transfer(fromCard, toCard, amount, idemKey) {
+    if (latencyMs) await sleep(latencyMs);
+    if (idemKey && answers.has(idemKey)) return answers.get(idemKey);
+    const scenario = scenarioFor(fromCard);
+    let answer;
+    if (scenario === 'insufficient') {
+      answer = { success: false, error: 'insufficient_funds' };
+    } else if (scenario === 'html') {
+      answer = fakeRequestError(502, '<!DOCTYPE html><html><body>502 Bad Gateway</body></html>', 'Request failed with status code 502');
+    } else {
+      const txId = `mock-${crypto.randomUUID()}`;
+      transactions.set(txId, { fromCard: maskCard(fromCard), toCard: maskCard(toCard), amount: formatCoin(amount), ts: nowTs() });
+      // timeout: the coins moved but the answer never arrived
+      answer = scenario === 'timeout' ? fakeRequestError(null, null, 'timeout of 15000ms exceeded') : { success: true, txId };
+    }
+    if (idemKey) answers.set(idemKey, answer);
+    return answer;
+  }
+  return {
+    name: 'mock',
+    transactions,
+    cardPay: transfer,
+    billCreateAndPay: transfer,
+    async verifyTx(txid) { return transactions.has(txid); },
+    async ping() { return { reachable: true, ms: 0 }; },
+    reset() { transactions.clear(); answers.clear(); }
+  };
+}
+
+const mockAllowed = ALLOW_MOCK_PROVIDER === '1' || PAYMENT_PROVIDER === 'mock';
+if (mockAllowed) registerPaymentProvider(createMockProvider({ mode: MOCK_MODES.includes(mockPaymentMode) ? mockPaymentMode : null }));
+
+// guild override (set with /provider) first, then the env default
+export function providerFor(g) {
+  const name = (g && g.payment_provider) || PAYMENT_PROVIDER;
+  return paymentProviders.get(name) || paymentProviders.get(PAYMENT_PROVIDER);
+}
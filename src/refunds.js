@@ -0,0 +1,85 @@
+// src/refunds.js — reembolso de pagamentos de membros: do card do servidor de volta ao card do membro
+import { formatCoin, maskCard } from './util.js';
+import { db } from './db.js';
+import { client } from './bot.js';
+import { getGuildRow } from './guilds.js';
+import { attemptCharge, chargeError } from './payments.js';
+import { revealCard } from './cards.js';
+import { getGiftById } from './gifts.js';
+import { MEMBER_PAYMENT_KINDS } from './fees.js';
+import { recordAudit, revokePremium } from './subscriptions.js';
+import { guildLanguage, t } from './i18n.js';
+import { logEvent } from './eventlog.js';
+import { notifyUserDMed } from './notifications.js';
+
+// amounts in 1e-8 units so partial refunds add up exactly
+const units = (amount) => Math.round(Number(amount || 0) * 1e8);
+
+// refunds counting against a payment: confirmed ones and the ones still being verified
+export async function refundedAmount(paymentId) {
+  const row = await db.get("SELECT SUM(CAST(amount AS REAL)) AS total FROM payments WHERE parent_payment_id = ? AND kind = 'refund' AND status IN ('confirmed', 'pending', 'unknown')", paymentId);
+  return formatCoin(row && row.total);
+}
+
+// the card that paid; payments from before payer_card existed only keep the masked card, so the refund
+// goes to a card of the same member on file with that mask
+async function refundCard(p) {
+  if (p.payer_card) return revealCard(p.payer_card);
+  const rows = await db.all('SELECT card_code FROM subscriptions WHERE user_id = ? AND card_code IS NOT NULL ORDER BY guild_id = ? DESC', [p.user_id, p.guild_id]);
+  for (const r of rows) {
+    const card = revealCard(r.card_code);
+    if (card && maskCard(card) === p.from_card) return card;
+  }
+  return null;
+}
+
+// Sends amount (default: what is left of the payment) from the guild card back to the member who paid.
+// Only the guild's share (guild_share) comes back: the platform fee taken from the payment is kept, as the guild
+// card never holds it. endSubscription ends the subscription the payment was for (the recipient's, for a gift).
+// Returns { ok, status, ... } or { ok: false, reason } when nothing was attempted.
+export async function refundPayment(guildId, paymentId, { amount = null, endSubscription = false, reason = null, actorId = null } = {}) {
+  const p = await db.get('SELECT * FROM payments WHERE id = ? AND guild_id = ?', [paymentId, guildId]);
+  if (!p || !p.user_id || !MEMBER_PAYMENT_KINDS.includes(p.kind)) return { ok: false, reason: 'not_found' };
+  if (p.status !== 'confirmed') return { ok: false, reason: 'not_confirmed', status: p.status };
+  const unresolved = await db.get("SELECT id FROM payments WHERE parent_payment_id = ? AND kind = 'refund' AND status IN ('pending', 'unknown')", p.id);
+  if (unresolved) return { ok: false, reason: 'refund_unresolved', id: unresolved.id };
+  // payments from before the platform fees have no split: all of it was the guild's
+  const refundable = units(p.guild_share === null || p.guild_share === undefined ? p.amount : p.guild_share);
+  const remaining = refundable - units(await refundedAmount(p.id));
+  if (remaining <= 0) return { ok: false, reason: 'fully_refunded' };
+  const value = amount === null ? remaining : units(amount);
+  if (!(value > 0) || value > remaining) return { ok: false, reason: 'invalid_amount', remaining: formatCoin(remaining / 1e8) };
+  const g = await getGuildRow(guildId);
+  // members of a guild without a card paid the platform card directly: nothing to send back from here
+  if (!g || !g.server_card) return { ok: false, reason: 'no_server_card' };
+  const card = await refundCard(p);
+  if (!card) return { ok: false, reason: 'no_card', card: p.from_card };
+
+  const refund = formatCoin(value / 1e8);
+  const attempt = await attemptCharge(revealCard(g.server_card), card, refund, { guildId, userId: p.user_id, kind: 'refund', parentPaymentId: p.id });
+  const lang = guildLanguage(g);
+  const data = { id: attempt.paymentId, payment: p.id, user: p.user_id, amount: refund, original: formatCoin(p.amount), reason, staff: actorId };
+  if (attempt.status === 'unknown') {
+    await logEvent(g, 'payment_unverified', { title: t(lang, 'log.refundUnverified.title'), description: t(lang, 'log.refundUnverified.body', data) }, data);
+    return { ok: false, status: 'unknown', id: attempt.paymentId, amount: refund };
+  }
+  if (!attempt.success) {
+    const error = chargeError(attempt);
+    await logEvent(g, 'payment_failed', { title: t(lang, 'log.refundFailed.title'), description: t(lang, 'log.refundFailed.body', { ...data, error }) }, { ...data, error });
+    return { ok: false, status: 'failed', error, amount: refund };
+  }
+
+  let ended = null;
+  if (endSubscription) {
+    const gift = p.kind === 'gift' ? await getGiftById(p.gift_id) : null;
+    const holder = gift ? gift.recipient_id : p.user_id;
+    ended = (await revokePremium(guildId, holder)).ok ? holder : null;
+  }
+  const left = formatCoin((remaining - value) / 1e8);
+  await recordAudit(guildId, actorId, p.user_id, 'refund', { payment: p.id, refund: attempt.paymentId, amount: refund, reason, ended });
+  const body = t(lang, ended ? 'log.refund.bodyEnded' : 'log.refund.body', { ...data, txid: attempt.txid || 'n/a', ended }) + (reason ? t(lang, 'premium.reason', { reason }) : '');
+  await logEvent(g, 'refund', { title: t(lang, 'log.refund.title'), description: body, footer: actorId ? `Staff: ${actorId}` : null }, { ...data, txid: attempt.txid, left, ended });
+  const guildName = client.guilds.cache.get(guildId)?.name || guildId;
+  await notifyUserDMed(p.user_id, t(lang, reason ? 'refund.dmReason' : 'refund.dm', { guild: guildName, amount: refund, payment: p.id, txid: attempt.txid || 'n/a', reason }), guildId, 'refund');
+  return { ok: true, status: 'confirmed', id: attempt.paymentId, user: p.user_id, amount: refund, txid: attempt.txid, left, ended };
+}
@@ -0,0 +1,141 @@
+// src/roles.js — reconciliação das roles de assinante com a tabela subscriptions
+import { db } from './db.js';
+import { client, giveRoleToMember, removeRoleFromMember } from './bot.js';
+import { getGuildRow, getSubPlan } from './guilds.js';
+import { guildLanguage, t } from './i18n.js';
+import { refreshPanel } from './panel.js';
+import { logEvent } from './eventlog.js';
+
+// ---- Role reconciliation ----
+// every role the bot manages in a guild: the legacy /role plus all tier roles (archived tiers still have members)
+export async function premiumRoleIds(g) {
+  const ids = new Set();
+  if (g.role_id) ids.add(g.role_id);
+  const tierRoles = await db.all('SELECT DISTINCT role_id FROM tiers WHERE guild_id = ? AND role_id IS NOT NULL', g.guild_id);
+  for (const tier of tierRoles) ids.add(tier.role_id);
+  return ids;
+}
+
+// Make one member's premium roles match the subscriptions table. Returns the corrections applied.
+export async function reconcileMember(member, g, roleIds) {
+  if (!roleIds.size || member.user.bot) return [];
+  const sub = await db.get('SELECT * FROM subscriptions WHERE guild_id = ? AND user_id = ?', [g.guild_id, member.id]);
+  let expected = null;
+  if (Number(g.active) === 1 && sub && Number(sub.active) === 1) expected = (await getSubPlan(g, sub)).roleId;
+  const corrections = [];
+  for (const roleId of roleIds) {
+    const has = member.roles.cache.has(roleId);
+    if (roleId === expected && !has) {
+      const ok = await member.roles.add(roleId).then(()=>true).catch(()=>false);
+      corrections.push({ userId: member.id, roleId, action: 'added', ok });
+    } else if (roleId !== expected && has) {
+      const ok = await member.roles.remove(roleId).then(()=>true).catch(()=>false);
+      corrections.push({ userId: member.id, roleId, action: 'removed', ok });
+    }
+  }
+  return corrections;
+}
+
+function describeCorrection(lang, c) {
+  const line = t(lang, c.action === 'added' ? 'roles.added' : 'roles.removed', { role: c.roleId, user: c.userId });
+  return c.ok ? line : `${line}${t(lang, 'roles.failed')}`;
+}
+
+// reason: locale key of the line heading the report
+export async function reportRoleCorrections(g, corrections, reason) {
+  if (!corrections.length) return;
+  const lang = guildLanguage(g);
+  const lines = corrections.map(c => describeCorrection(lang, c));
+  // embed descriptions are capped at 4096 chars: split long passes
+  for (let i = 0; i < lines.length; i += 40) {
+    const chunk = corrections.slice(i, i + 40).map(c => ({ user: c.userId, role: c.roleId, action: c.action, ok: c.ok }));
+    await logEvent(g, 'role_corrected', { title: t(lang, 'log.roleReconciled.title'), description: `${t(lang, reason)}\n${lines.slice(i, i + 40).join('\n')}` }, { reason, corrections: chunk });
+  }
+}
+
+export async function reconcileMemberAndReport(member, reason) {
+  try {
+    const g = await getGuildRow(member.guild.id);
+    if (!g) return;
+    const roleIds = await premiumRoleIds(g);
+    const corrections = await reconcileMember(member, g, roleIds);
+    await reportRoleCorrections(g, corrections, reason);
+  } catch (e) {
+    console.warn('reconcileMember failed', e);
+  }
+}
+
+export async function reconcileGuildRoles(guildId) {
+  const g = await getGuildRow(guildId);
+  if (!g) return;
+  const roleIds = await premiumRoleIds(g);
+  if (!roleIds.size) return;
+  const guildObj = await client.guilds.fetch(guildId).catch(()=>null);
+  if (!guildObj) return;
+  const members = await guildObj.members.fetch().catch(()=>null);
+  if (!members) return;
+  const corrections = [];
+  for (const [, member] of members) corrections.push(...await reconcileMember(member, g, roleIds));
+  await reportRoleCorrections(g, corrections, 'roles.reason.periodic');
+}
+
+export async function reconcileAllRoles() {
+  for (const guildId of client.guilds.cache.keys()) {
+    try {
+      await reconcileGuildRoles(guildId);
+    } catch (e) {
+      console.error('role reconciliation error', e);
+    }
+  }
+}
+
+// After /role or /tier edit: move every active subscriber whose plan now resolves to newRoleId off the old role.
+export async function migrateSubscriberRole(guildId, oldRoleId, newRoleId) {
+  const g = await getGuildRow(guildId);
+  if (!g) return 0;
+  const subs = await db.all('SELECT * FROM subscriptions WHERE guild_id = ? AND active = 1', guildId);
+  let moved = 0;
+  for (const sub of subs) {
+    const plan = await getSubPlan(g, sub);
+    if (plan.roleId !== newRoleId) continue;
+    if (oldRoleId && oldRoleId !== newRoleId) await removeRoleFromMember(guildId, sub.user_id, oldRoleId);
+    await giveRoleToMember(guildId, sub.user_id, newRoleId);
+    moved++;
+  }
+  const lang = guildLanguage(g);
+  const data = { from: oldRoleId, to: newRoleId, moved };
+  await logEvent(g, 'subscriber_role_changed', { title: t(lang, 'log.subscriberRoleChanged.title'), description: t(lang, oldRoleId ? 'log.subscriberRoleChanged.bodyFrom' : 'log.subscriberRoleChanged.body', data) }, data);
+  return moved;
+}
+
+// A configured role that no longer exists is cleared (so role calls stop failing) and reported to the log channel.
+export async function handleMissingRole(guildId, roleId) {
+  const g = await getGuildRow(guildId);
+  if (!g) return;
+  const lang = guildLanguage(g);
+  const lost = [];
+  if (g.role_id === roleId) {
+    await db.run('UPDATE guilds SET role_id = NULL WHERE guild_id = ?', guildId);
+    lost.push(t(lang, 'roles.lost.default'));
+  }
+  const tiers = await db.all('SELECT id, name FROM tiers WHERE guild_id = ? AND role_id = ?', [guildId, roleId]);
+  if (tiers.length) {
+    await db.run('UPDATE tiers SET role_id = NULL WHERE guild_id = ? AND role_id = ?', [guildId, roleId]);
+    lost.push(...tiers.map(tier => t(lang, 'roles.lost.tier', { name: tier.name })));
+  }
+  if (!lost.length) return;
+  await refreshPanel(guildId);
+  await logEvent(g, 'subscriber_role_deleted', { title: t(lang, 'log.subscriberRoleDeleted.title'), description: t(lang, 'log.subscriberRoleDeleted.body', { role: roleId, lost: lost.join(', ') }) }, { role: roleId, tiers: tiers.map(tier => tier.id), default_role: g.role_id === roleId });
+}
+
+export async function checkConfiguredRoles(guildId) {
+  const g = await getGuildRow(guildId);
+  if (!g) return;
+  const guildObj = await client.guilds.fetch(guildId).catch(()=>null);
+  if (!guildObj) return;
+  const roles = await guildObj.roles.fetch().catch(()=>null);
+  if (!roles) return;
+  for (const roleId of await premiumRoleIds(g)) {
+    if (!roles.has(roleId)) await handleMissingRole(guildId, roleId);
+  }
+}
@@ -0,0 +1,34 @@
+// src/startup.js — validação do env ao iniciar (index.js e shard.js), antes de abrir o banco
+import { DISCORD_TOKEN, SERVER_RECEIVER_CARD, PAYMENT_PROVIDER, CARD_ENCRYPTION_KEY, CARD_ENCRYPTION_OLD_KEYS, ADMIN_API_PORT, ADMIN_API_TOKEN, mockPaymentMode } from './config.js';
+import { MOCK_MODES, paymentProviders } from './providers.js';
+import { loadCardKeys } from './cards.js';
+
+// Exits the process on the first problem. Loads the card keys: migrations encrypt plaintext cards with them.
+export function validateEnv() {
+  if (!DISCORD_TOKEN) {
+    console.error('DISCORD_TOKEN missing in env');
+    process.exit(1);
+  }
+  if (!SERVER_RECEIVER_CARD) {
+    console.error('SERVER_RECEIVER_CARD missing in env — set the card that will receive guild payments');
+    process.exit(1);
+  }
+  try {
+    loadCardKeys(CARD_ENCRYPTION_KEY, CARD_ENCRYPTION_OLD_KEYS);
+  } catch (e) {
+    console.error(`${e.message} — generate one with: openssl rand -base64 32`);
+    process.exit(1);
+  }
+  if (mockPaymentMode && !MOCK_MODES.includes(mockPaymentMode)) {
+    console.error(`MOCK_PAYMENT_MODE must be one of ${MOCK_MODES.join(', ')}`);
+    process.exit(1);
+  }
+  if (!paymentProviders.has(PAYMENT_PROVIDER)) {
+    console.error(`PAYMENT_PROVIDER "${PAYMENT_PROVIDER}" is not available (known: ${[...paymentProviders.keys()].join(', ')})`);
+    process.exit(1);
+  }
+  if (ADMIN_API_PORT && !ADMIN_API_TOKEN) {
+    console.error('ADMIN_API_TOKEN missing in env — required when ADMIN_API_PORT is set (generate one with: openssl rand -hex 32)');
+    process.exit(1);
+  }
+}
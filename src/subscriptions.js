@@ -0,0 +1,139 @@
+// src/subscriptions.js — cancelamento e alterações manuais de assinaturas
+import { formatCoin, nowTs, safeJson } from './util.js';
+import { db } from './db.js';
+import { client, giveRoleToMember, removeRoleFromMember } from './bot.js';
+import { getGuildRow, getSubPlan, getTierById, planFor, subscriptionPrice } from './guilds.js';
+import { guildLanguage, t } from './i18n.js';
+import { logEvent } from './eventlog.js';
+import { notifyUserDMed } from './notifications.js';
+
+// Cancel auto-renewal: the member keeps the role until the paid period ends, periodicCheckout removes it afterwards.
+export async function cancelSubscription(guildId, userId) {
+  const sub = await db.get('SELECT * FROM subscriptions WHERE guild_id = ? AND user_id = ?', [guildId, userId]);
+  if (!sub || (Number(sub.active) !== 1 && !sub.cancelled_ts)) return { ok: false, reason: 'not_subscribed' };
+  const g = await getGuildRow(guildId);
+  const plan = await getSubPlan(g, sub);
+  const endsAt = Number(sub.last_renew_ts || sub.subscribed_ts || 0) + plan.cycleSec;
+  if (sub.cancelled_ts) return { ok: false, reason: 'already_cancelled', endsAt };
+  await db.run('UPDATE subscriptions SET cancelled_ts = ? WHERE guild_id = ? AND user_id = ?', [nowTs(), guildId, userId]);
+  const lang = guildLanguage(g);
+  await logEvent(g || guildId, 'subscription_cancelled', { title: t(lang, 'log.subscriptionCancelled.title'), description: t(lang, 'log.subscriptionCancelled.body', { user: userId, endsAt }) }, { user: userId, endsAt });
+  return { ok: true, endsAt };
+}
+
+// ---- Manual grants (staff) ----
+export async function recordAudit(guildId, actorId, targetId, action, details) {
+  await db.run('INSERT INTO audit_log (guild_id, actor_id, target_id, action, details, ts) VALUES (?, ?, ?, ?, ?, ?)', [guildId, actorId, targetId, action, details ? safeJson(details) : null, nowTs()]);
+}
+
+// Grants move the period end (last_renew_ts + cycle) without charging. A member who had no active
+// subscription gets cancelled_ts set so the grant simply ends instead of charging a card on file.
+export async function grantPremium(guildId, userId, durationSec, tierId) {
+  const g = await getGuildRow(guildId) || {};
+  const sub = await db.get('SELECT * FROM subscriptions WHERE guild_id = ? AND user_id = ?', [guildId, userId]);
+  if (sub && Number(sub.active) === 1) {
+    const res = await extendPremium(guildId, userId, durationSec);
+    return { ...res, extended: true };
+  }
+  const tier = tierId ? await getTierById(guildId, tierId) : (sub && sub.tier_id ? await getTierById(guildId, sub.tier_id) : null);
+  const plan = planFor(g, tier && Number(tier.archived) === 0 ? tier : null);
+  const now = nowTs();
+  await db.run(`INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, tier_id, cancelled_ts, retry_count, next_retry_ts, next_charge_ts) VALUES (?, ?, NULL, ?, ?, 1, ?, ?, 0, NULL, ?)
+    ON CONFLICT(guild_id,user_id) DO UPDATE SET subscribed_ts = excluded.subscribed_ts, last_renew_ts = excluded.last_renew_ts, active = 1, tier_id = excluded.tier_id, cancelled_ts = excluded.cancelled_ts, retry_count = 0, next_retry_ts = NULL, next_charge_ts = excluded.next_charge_ts`,
+    [guildId, userId, now, now + durationSec - plan.cycleSec, plan.tierId, now, now + durationSec]);
+  if (sub && sub.tier_id !== plan.tierId) {
+    const oldPlan = await getSubPlan(g, sub);
+    if (oldPlan.roleId && oldPlan.roleId !== plan.roleId) await removeRoleFromMember(guildId, userId, oldPlan.roleId);
+  }
+  await giveRoleToMember(guildId, userId, plan.roleId);
+  return { ok: true, endsAt: now + durationSec, plan };
+}
+
+export async function extendPremium(guildId, userId, durationSec) {
+  const sub = await db.get('SELECT * FROM subscriptions WHERE guild_id = ? AND user_id = ?', [guildId, userId]);
+  if (!sub || Number(sub.active) !== 1) return { ok: false, reason: 'not_subscribed' };
+  const g = await getGuildRow(guildId) || {};
+  const plan = await getSubPlan(g, sub);
+  const lastRenew = Number(sub.last_renew_ts || sub.subscribed_ts || 0) + durationSec;
+  // an extension also ends any running grace period
+  await db.run('UPDATE subscriptions SET last_renew_ts = ?, retry_count = 0, next_retry_ts = NULL, next_charge_ts = ? WHERE guild_id = ? AND user_id = ?', [lastRenew, lastRenew + plan.cycleSec, guildId, userId]);
+  await giveRoleToMember(guildId, userId, plan.roleId);
+  return { ok: true, endsAt: lastRenew + plan.cycleSec, plan };
+}
+
+export async function revokePremium(guildId, userId) {
+  const sub = await db.get('SELECT * FROM subscriptions WHERE guild_id = ? AND user_id = ?', [guildId, userId]);
+  if (!sub || Number(sub.active) !== 1) return { ok: false, reason: 'not_subscribed' };
+  const g = await getGuildRow(guildId) || {};
+  const plan = await getSubPlan(g, sub);
+  await db.run('UPDATE subscriptions SET active = 0, retry_count = 0, next_retry_ts = NULL, next_charge_ts = NULL WHERE guild_id = ? AND user_id = ?', [guildId, userId]);
+  await removeRoleFromMember(guildId, userId, plan.roleId);
+  return { ok: true, plan };
+}
+
+// ---- Price changes ----
+// An increase reaches current subscribers only after the notice period (their renewals before it keep the old
+// price through locked_price/locked_until), or never when the admin keeps current subscribers on their price.
+// A decrease applies at everyone's next renewal. Affected subscribers are told by DM either way.
+export async function applyPriceChange(guildId, { tierId = null, planName = null, oldPrice, newPrice, noticeSec = 0, keepCurrent = false }) {
+  const now = nowTs();
+  const subs = await db.all(`SELECT * FROM subscriptions WHERE guild_id = ? AND active = 1 AND cancelled_ts IS NULL AND ${tierId ? 'tier_id = ?' : 'tier_id IS NULL'}`,
+    tierId ? [guildId, tierId] : [guildId]);
+  const oldN = Number(oldPrice);
+  const newN = Number(newPrice);
+  const g = await getGuildRow(guildId);
+  const lang = guildLanguage(g);
+  const guildName = client.guilds.cache.get(guildId)?.name || guildId;
+  const what = t(lang, planName ? 'priceChange.whatPlan' : 'priceChange.what', { plan: planName, guild: guildName });
+  let notified = 0;
+  let kept = 0;
+  const effectiveTs = keepCurrent ? null : now + noticeSec;
+  for (const s of subs) {
+    const current = Number(subscriptionPrice({ price: oldPrice }, s, now));
+    if (newN > oldN) {
+      // members already on a lower locked price keep it
+      if (current < oldN) continue;
+      if (keepCurrent) {
+        await db.run('UPDATE subscriptions SET locked_price = ?, locked_until = NULL WHERE guild_id = ? AND user_id = ?', [formatCoin(current), guildId, s.user_id]);
+        kept++;
+        continue;
+      }
+      if (noticeSec > 0) await db.run('UPDATE subscriptions SET locked_price = ?, locked_until = ? WHERE guild_id = ? AND user_id = ?', [formatCoin(current), effectiveTs, guildId, s.user_id]);
+      const from = noticeSec > 0 ? t(lang, 'priceChange.fromNotice', { ts: effectiveTs, current: formatCoin(current) }) : t(lang, 'priceChange.fromNext');
+      await notifyUserDMed(s.user_id, t(lang, 'priceChange.increaseDm', { what, current: formatCoin(current), price: formatCoin(newPrice), from }), guildId, 'price_increase');
+      notified++;
+    } else if (current > newN) {
+      await db.run('UPDATE subscriptions SET locked_price = NULL, locked_until = NULL WHERE guild_id = ? AND user_id = ?', [guildId, s.user_id]);
+      await notifyUserDMed(s.user_id, t(lang, 'priceChange.decreaseDm', { what, current: formatCoin(current), price: formatCoin(newPrice) }), guildId, 'price_decrease');
+      notified++;
+    }
+  }
+  const rule = newN <= oldN ? t(lang, 'priceChange.rule.next') : keepCurrent ? t(lang, 'priceChange.rule.keep') : noticeSec > 0 ? t(lang, 'priceChange.rule.notice', { ts: effectiveTs }) : t(lang, 'priceChange.rule.next');
+  const subject = planName ? t(lang, 'priceChange.subjectPlan', { plan: planName }) : t(lang, 'priceChange.subjectGuild');
+  const data = { tier: tierId, old: formatCoin(oldPrice), price: formatCoin(newPrice), notified, kept, effective_ts: effectiveTs };
+  await logEvent(g || guildId, 'price_changed', { title: t(lang, 'log.priceChanged.title'), description: t(lang, 'log.priceChanged.body', { ...data, subject, rule }) }, data);
+  return { notified, kept, effectiveTs: newN > oldN && noticeSec > 0 && !keepCurrent ? effectiveTs : null };
+}
+
+// ---- Card payments (/card, subscribe panel) ----
+// What a card payment charges now. Same plan or a new subscription: the plan price (or the member's locked price
+// while still active). Switching plans mid-cycle starts a new cycle of the new plan now; the unused part of the
+// current period (from last_renew_ts and the old cycle length) is credited at the price paid for it, and a credit
+// larger than the new price becomes extra time on the new plan. Grants (no card on file) earn no credit.
+export function initialCharge(previous, previousPlan, plan, now = nowTs()) {
+  const active = !!previous && Number(previous.active) === 1;
+  const switching = active && !!previousPlan && previousPlan.tierId !== plan.tierId;
+  if (!switching) return { amount: formatCoin(active ? subscriptionPrice(plan, previous, now) : plan.price), credit: 0, extraSec: 0, switching };
+  const full = { amount: formatCoin(plan.price), credit: 0, extraSec: 0, switching };
+  if (!previous.card_code) return full;
+  const periodStart = Number(previous.last_renew_ts || previous.subscribed_ts || 0);
+  const remaining = Math.min(1, Math.max(0, (periodStart + previousPlan.cycleSec - now) / previousPlan.cycleSec));
+  const credit = Math.floor(Number(subscriptionPrice(previousPlan, previous, periodStart)) * remaining * 1e8) / 1e8;
+  if (credit <= 0) return full;
+  const price = Number(plan.price);
+  if (credit >= price) {
+    const extraSec = price > 0 ? Math.floor(((credit - price) / price) * plan.cycleSec) : 0;
+    return { amount: formatCoin(0), credit, extraSec, switching };
+  }
+  return { amount: formatCoin(price - credit), credit, extraSec: 0, switching };
+}
@@ -0,0 +1,237 @@
+// src/ui.js — painéis, modais e embeds mostrados aos membros e administradores
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, EmbedBuilder, AttachmentBuilder } from 'discord.js';
+import { DEFAULT_GUILD_PRICE, activationSec } from './config.js';
+import { formatCoin, formatDuration, maskCard, nowTs, toCsv } from './util.js';
+import { displayCard } from './cards.js';
+import { trialText } from './coupons.js';
+import { db } from './db.js';
+import { client } from './bot.js';
+import { getGuildRow, getSubPlan, getTiers, planFor, subscriptionPrice } from './guilds.js';
+import { guildLanguage, t } from './i18n.js';
+
+export function buildCardModal(guildId, tierId, lang) {
+  const modal = new ModalBuilder()
+    .setCustomId(`card_modal::${guildId}::${tierId || ''}`)
+    .setTitle(t(lang, 'modal.card.title'));
+  const input = new TextInputBuilder()
+    .setCustomId('card_input')
+    .setLabel(t(lang, 'modal.card.input'))
+    .setStyle(TextInputStyle.Short)
+    .setRequired(true)
+    .setMaxLength(128);
+  const coupon = new TextInputBuilder()
+    .setCustomId('coupon_input')
+    .setLabel(t(lang, 'modal.card.coupon'))
+    .setStyle(TextInputStyle.Short)
+    .setRequired(false)
+    .setMaxLength(32);
+  modal.addComponents(new ActionRowBuilder().addComponents(input), new ActionRowBuilder().addComponents(coupon));
+  return modal;
+}
+
+// /gift: the giver's card is only used for this one charge, it is not stored
+export function buildGiftModal(guildId, recipientId, cycles, tierId, lang) {
+  const modal = new ModalBuilder()
+    .setCustomId(`gift_modal::${guildId}::${recipientId}::${cycles}::${tierId || ''}`)
+    .setTitle(t(lang, 'modal.gift.title'));
+  const input = new TextInputBuilder()
+    .setCustomId('card_input')
+    .setLabel(t(lang, 'modal.gift.input'))
+    .setStyle(TextInputStyle.Short)
+    .setRequired(true)
+    .setMaxLength(128);
+  modal.addComponents(new ActionRowBuilder().addComponents(input));
+  return modal;
+}
+
+// Panel posted by /channel: one Subscribe button per tier (or a single one for the legacy guild plan) plus Cancel.
+// Everyone sees the same message, so it uses the guild language. /panelconfig replaces the title, the intro text,
+// the color, the image and the button label; plans and prices always come from the current settings.
+export async function buildSubscribePanel(guildId) {
+  const guildRow = await getGuildRow(guildId) || {};
+  const lang = guildLanguage(guildRow);
+  const tiers = await getTiers(guildId);
+  const embed = new EmbedBuilder().setTitle(guildRow.panel_title || t(lang, 'panel.title'));
+  const label = guildRow.panel_button_label;
+  const buttons = [];
+  if (tiers.length) {
+    const lines = tiers.map(tier => {
+      const plan = planFor(guildRow, tier);
+      const roleMention = plan.roleId ? `<@&${plan.roleId}>` : t(lang, 'panel.noRole');
+      return t(lang, 'panel.tierLine', { name: tier.name, price: formatCoin(plan.price), cycle: formatDuration(plan.cycleSec), role: roleMention });
+    });
+    embed.setDescription(`${guildRow.panel_description || t(lang, 'panel.chooseTier')}\n${lines.join('\n')}`);
+    for (const tier of tiers) buttons.push(new ButtonBuilder().setCustomId(`subscribe::${guildId}::${tier.id}`).setLabel(label ? `${label} ${tier.name}`.slice(0, 80) : tier.name).setStyle(ButtonStyle.Primary));
+  } else {
+    const params = { price: formatCoin(guildRow.price || DEFAULT_GUILD_PRICE), cycle: formatDuration(activationSec), role: guildRow.role_id ? `<@&${guildRow.role_id}>` : t(lang, 'panel.noRole') };
+    embed.setDescription(guildRow.panel_description ? `${guildRow.panel_description}\n${t(lang, 'panel.singleLine', params)}` : t(lang, 'panel.single', params));
+    buttons.push(new ButtonBuilder().setCustomId(`subscribe::${guildId}`).setLabel(label || t(lang, 'panel.subscribe')).setStyle(ButtonStyle.Primary));
+  }
+  if (trialText(guildRow, lang)) embed.setDescription(`${embed.data.description}\n${trialText(guildRow, lang)}`);
+  if (guildRow.panel_color !== null && guildRow.panel_color !== undefined) embed.setColor(Number(guildRow.panel_color));
+  if (guildRow.panel_image_url) embed.setImage(guildRow.panel_image_url);
+  if (Number(guildRow.panel_show_count) === 1) {
+    const count = await db.get('SELECT COUNT(*) AS n FROM subscriptions WHERE guild_id = ? AND active = 1', guildId);
+    embed.addFields({ name: t(lang, 'panel.subscribers'), value: String(count ? count.n : 0), inline: true });
+  }
+  embed.setFooter({ text: t(lang, 'panel.footer') });
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 5) rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 5)));
+  rows.push(new ActionRowBuilder().addComponents(new ButtonBuilder().setCustomId(`unsubscribe::${guildId}`).setLabel(t(lang, 'panel.cancel')).setStyle(ButtonStyle.Secondary)));
+  return { embeds: [embed], components: rows };
+}
+
+// human state of one subscription row: active / cancelled / in grace / inactive
+function subStateText(sub, lang) {
+  if (Number(sub.active) !== 1) return t(lang, 'sub.state.inactive');
+  if (sub.gift_from && sub.cancelled_ts) return t(lang, 'sub.state.gift', { giver: sub.gift_from });
+  if (sub.cancelled_ts) return t(lang, 'sub.state.cancelled');
+  if (sub.next_retry_ts) return t(lang, 'sub.state.grace', { ts: sub.next_retry_ts });
+  if (sub.trial_ends_ts && sub.trial_ends_ts > nowTs()) return t(lang, 'sub.state.trial', { ts: sub.trial_ends_ts });
+  return t(lang, 'sub.state.active');
+}
+
+// a price kept after a price change: for good, or until the notice period ends
+function priceLockText(plan, sub, lang) {
+  if (sub.locked_price === null || sub.locked_price === undefined || Number(sub.active) !== 1) return '';
+  if (!sub.locked_until) return t(lang, 'sub.priceKept');
+  return sub.locked_until > nowTs() ? `\n${t(lang, 'sub.priceFrom', { price: formatCoin(plan.price), ts: sub.locked_until })}` : '';
+}
+
+// " · renews <t:…:d>" / " · until <t:…:d>" after an active subscription
+function periodEndText(sub, periodEnd, lang) {
+  if (Number(sub.active) !== 1) return '';
+  return ` · ${t(lang, sub.cancelled_ts ? 'sub.until' : 'sub.renews', { ts: periodEnd })}`;
+}
+
+export async function buildStatusEmbed(guildId, userId, lang) {
+  const sub = await db.get('SELECT * FROM subscriptions WHERE guild_id = ? AND user_id = ?', [guildId, userId]);
+  const g = await getGuildRow(guildId) || {};
+  const embed = new EmbedBuilder().setTitle(t(lang, 'status.title')).setTimestamp();
+  if (!sub) {
+    const plan = planFor(g, null);
+    return embed.setDescription(t(lang, 'status.none', { price: formatCoin(plan.price), cycle: formatDuration(plan.cycleSec) }));
+  }
+  const plan = await getSubPlan(g, sub);
+  const periodEnd = Number(sub.last_renew_ts || sub.subscribed_ts || 0) + plan.cycleSec;
+  const fields = [
+    { name: t(lang, 'status.field.state'), value: subStateText(sub, lang), inline: true },
+    { name: t(lang, 'status.field.plan'), value: plan.name || t(lang, 'status.defaultPlan'), inline: true },
+    { name: t(lang, 'status.field.price'), value: `${formatCoin(subscriptionPrice(plan, sub, periodEnd))} coins / ${formatDuration(plan.cycleSec)}${priceLockText(plan, sub, lang)}`, inline: true },
+    { name: t(lang, 'status.field.card'), value: displayCard(sub.card_code), inline: true }
+  ];
+  if (Number(sub.active) === 1) fields.push({ name: t(lang, sub.cancelled_ts ? 'status.field.accessUntil' : 'status.field.nextRenewal'), value: `<t:${periodEnd}:f> (<t:${periodEnd}:R>)`, inline: true });
+  return embed.addFields(fields);
+}
+
+const PAYMENT_HISTORY_LIMIT = 10;
+
+export async function buildMySubscriptionsEmbed(userId, lang) {
+  const subs = await db.all('SELECT * FROM subscriptions WHERE user_id = ? ORDER BY active DESC, last_renew_ts DESC', userId);
+  const embed = new EmbedBuilder().setTitle(t(lang, 'mysubs.title')).setTimestamp();
+  // no subscription of their own, but gifts they paid for still show below
+  const lines = subs.length ? [] : [t(lang, 'mysubs.none')];
+  for (const sub of subs.slice(0, 15)) {
+    const g = await getGuildRow(sub.guild_id) || {};
+    const plan = await getSubPlan(g, sub);
+    const guildName = client.guilds.cache.get(sub.guild_id)?.name || sub.guild_id;
+    const periodEnd = Number(sub.last_renew_ts || sub.subscribed_ts || 0) + plan.cycleSec;
+    lines.push(`**${guildName}**${plan.name ? ` (${plan.name})` : ''} — ${subStateText(sub, lang)} · ${formatCoin(subscriptionPrice(plan, sub, periodEnd))} coins / ${formatDuration(plan.cycleSec)}${periodEndText(sub, periodEnd, lang)}`);
+  }
+  if (subs.length > 15) lines.push(t(lang, 'list.more', { count: subs.length - 15 }));
+  embed.setDescription(lines.join('\n'));
+  // gifts show up for the giver (who paid) and for the recipient
+  const payments = await db.all(`SELECT p.id, p.guild_id, p.kind, p.amount, p.status, p.success, p.txid, p.ts, gf.giver_id, gf.recipient_id FROM payments p LEFT JOIN gifts gf ON gf.id = p.gift_id
+    WHERE p.user_id = ? OR gf.recipient_id = ? ORDER BY p.id DESC LIMIT ?`, [userId, userId, PAYMENT_HISTORY_LIMIT]);
+  if (payments.length) {
+    const history = payments.map(p => {
+      const guildName = client.guilds.cache.get(p.guild_id)?.name || p.guild_id;
+      const gift = p.recipient_id ? ` · ${p.recipient_id === userId ? t(lang, 'mysubs.giftFrom', { user: p.giver_id }) : t(lang, 'mysubs.giftTo', { user: p.recipient_id })}` : '';
+      const refund = p.kind === 'refund' ? ` · ${t(lang, 'mysubs.refund')}` : '';
+      return `#${p.id} <t:${p.ts}:d> · ${formatCoin(p.amount)} · ${p.status || (Number(p.success) === 1 ? 'confirmed' : 'failed')} · ${guildName}${gift}${refund}`;
+    });
+    embed.addFields({ name: t(lang, 'mysubs.payments'), value: history.join('\n').slice(0, 1024) });
+  }
+  return embed;
+}
+
+// ---- Admin dashboard ----
+const SUBSCRIBERS_PAGE_SIZE = 10;
+const subscriberFilters = {
+  active: { label: 'admin.filter.active', where: 'AND active = 1' },
+  lapsed: { label: 'admin.filter.lapsed', where: 'AND active = 0' },
+  all: { label: 'admin.filter.all', where: '' }
+};
+
+export async function buildSubscribersPage(guildId, filter, page, lang) {
+  const f = subscriberFilters[filter] || subscriberFilters.all;
+  const total = (await db.get(`SELECT COUNT(*) AS n FROM subscriptions WHERE guild_id = ? ${f.where}`, guildId)).n;
+  const pages = Math.max(1, Math.ceil(total / SUBSCRIBERS_PAGE_SIZE));
+  const p = Math.min(Math.max(0, page), pages - 1);
+  const rows = await db.all(`SELECT * FROM subscriptions WHERE guild_id = ? ${f.where} ORDER BY active DESC, last_renew_ts ASC LIMIT ? OFFSET ?`, [guildId, SUBSCRIBERS_PAGE_SIZE, p * SUBSCRIBERS_PAGE_SIZE]);
+  const g = await getGuildRow(guildId) || {};
+  const lines = [];
+  for (const sub of rows) {
+    const plan = await getSubPlan(g, sub);
+    const periodEnd = Number(sub.last_renew_ts || sub.subscribed_ts || 0) + plan.cycleSec;
+    lines.push(`<@${sub.user_id}>${plan.name ? ` (${plan.name})` : ''} — ${subStateText(sub, lang)}${periodEndText(sub, periodEnd, lang)}`);
+  }
+  const embed = new EmbedBuilder()
+    .setTitle(t(lang, 'admin.subscribers.title', { filter: t(lang, f.label), total }))
+    .setDescription(lines.join('\n') || t(lang, 'admin.subscribers.none'))
+    .setFooter({ text: t(lang, 'admin.subscribers.page', { page: p + 1, pages }) })
+    .setTimestamp();
+  const nav = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`admin_subs::${guildId}::${filter}::${p - 1}`).setLabel('◀').setStyle(ButtonStyle.Secondary).setDisabled(p === 0),
+    new ButtonBuilder().setCustomId(`admin_subs::${guildId}::${filter}::${p + 1}`).setLabel('▶').setStyle(ButtonStyle.Secondary).setDisabled(p >= pages - 1)
+  );
+  return { embeds: [embed], components: [nav] };
+}
+
+const revenueBuckets = {
+  day: { label: 'admin.revenue.day', fmt: '%Y-%m-%d' },
+  week: { label: 'admin.revenue.week', fmt: '%Y-W%W' },
+  month: { label: 'admin.revenue.month', fmt: '%Y-%m' }
+};
+
+// member payments only: guild-level fees are paid by the guild, not revenue for it; refunds are subtracted
+// in the period they were made
+const REVENUE_SUMS = `SUM(kind IS NOT 'refund') AS n,
+  SUM(CASE WHEN kind = 'refund' THEN -CAST(amount AS REAL) ELSE CAST(amount AS REAL) END) AS total,
+  SUM(CASE WHEN kind = 'refund' THEN -CAST(amount AS REAL) ELSE CAST(COALESCE(guild_share, amount) AS REAL) END) AS net`;
+export async function buildRevenueEmbed(guildId, period, count, lang) {
+  const b = revenueBuckets[period] || revenueBuckets.day;
+  const rows = await db.all(`SELECT strftime('${b.fmt}', ts, 'unixepoch') AS bucket, ${REVENUE_SUMS}
+    FROM payments WHERE guild_id = ? AND user_id IS NOT NULL AND success = 1
+    GROUP BY bucket ORDER BY bucket DESC LIMIT ?`, [guildId, count]);
+  // net: what stays with the guild after the platform fee (rows from before fees were split keep it all)
+  const all = await db.get(`SELECT ${REVENUE_SUMS} FROM payments WHERE guild_id = ? AND user_id IS NOT NULL AND success = 1`, guildId);
+  const lines = rows.map(r => `\`${r.bucket}\` — ${t(lang, 'admin.revenue.amount', { total: formatCoin(r.total), count: r.n })}`);
+  return new EmbedBuilder()
+    .setTitle(t(lang, 'admin.revenue.title', { period: t(lang, b.label) }))
+    .setDescription(lines.join('\n') || t(lang, 'admin.revenue.none'))
+    .addFields(
+      { name: t(lang, 'admin.revenue.total'), value: t(lang, 'admin.revenue.amount', { total: formatCoin(all && all.total), count: (all && all.n) || 0 }) },
+      { name: t(lang, 'admin.revenue.net'), value: t(lang, 'admin.revenue.amount', { total: formatCoin(all && all.net), count: (all && all.n) || 0 }) }
+    )
+    .setFooter({ text: t(lang, 'admin.revenue.utc') })
+    .setTimestamp();
+}
+
+export async function buildExportFiles(guildId) {
+  const subs = (await db.all('SELECT * FROM subscriptions WHERE guild_id = ? ORDER BY subscribed_ts', guildId))
+    .map(r => ({ ...r, card_code: displayCard(r.card_code) }));
+  const payments = (await db.all('SELECT * FROM payments WHERE guild_id = ? ORDER BY id', guildId))
+    .map(r => ({ ...r, from_card: maskCard(r.from_card), to_card: maskCard(r.to_card) }));
+  const stamp = new Date().toISOString().slice(0, 10);
+  return [
+    new AttachmentBuilder(Buffer.from(toCsv(['user_id', 'tier_id', 'active', 'card_code', 'subscribed_ts', 'last_renew_ts', 'cancelled_ts', 'retry_count', 'next_retry_ts', 'gift_from'], subs)), { name: `subscriptions-${guildId}-${stamp}.csv` }),
+    new AttachmentBuilder(Buffer.from(toCsv(['id', 'user_id', 'kind', 'amount', 'platform_fee', 'guild_share', 'parent_payment_id', 'status', 'success', 'txid', 'from_card', 'to_card', 'ts', 'gift_id'], payments)), { name: `payments-${guildId}-${stamp}.csv` })
+  ];
+}
+
+export function cancelReplyText(result, lang) {
+  if (result.ok) return t(lang, 'cancel.done', { endsAt: result.endsAt });
+  if (result.reason === 'already_cancelled') return t(lang, 'cancel.already', { endsAt: result.endsAt });
+  return t(lang, 'cancel.notSubscribed');
+}
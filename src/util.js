@@ -0,0 +1,79 @@
+// src/util.js — utilitários sem estado (formatação, durações, limitador de concorrência, CSV)
+// promise limiter: at most `max` functions running at once, the rest wait in FIFO order
+export function createLimiter(max) {
+  let running = 0;
+  const queue = [];
+  const next = () => {
+    if (running >= max || !queue.length) return;
+    running++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve().then(fn).then(resolve, reject).finally(() => { running--; next(); });
+  };
+  return (fn) => new Promise((resolve, reject) => { queue.push({ fn, resolve, reject }); next(); });
+}
+
+// utility: safe JSON stringify
+export function safeJson(v) {
+  try { return JSON.stringify(v); } catch (e) { return String(v); }
+}
+
+// ---- Utilities ----
+export function formatCoin(numStr) {
+  const n = Number(numStr || '0');
+  if (Number.isNaN(n)) return '0.00000000';
+  return n.toFixed(8);
+}
+export function nowTs() { return Math.floor(Date.now() / 1000); }
+export function sleep(ms){ return new Promise(r=>setTimeout(r, ms)); }
+
+// durations like 30m, 12h, 7d, 4w -> seconds (null when invalid)
+const durationUnits = { m: 60, h: 3600, d: 86400, w: 7 * 86400 };
+export function parseDuration(str) {
+  const m = /^\s*(\d+)\s*([mhdw])\s*$/i.exec(String(str || ''));
+  if (!m) return null;
+  const sec = Number(m[1]) * durationUnits[m[2].toLowerCase()];
+  return sec > 0 ? sec : null;
+}
+export function formatDuration(sec) {
+  for (const u of ['w', 'd', 'h', 'm']) {
+    if (sec >= durationUnits[u] && sec % durationUnits[u] === 0) return `${sec / durationUnits[u]}${u}`;
+  }
+  return `${sec}s`;
+}
+
+// card codes are bearer credentials: show only enough to recognise them
+export function maskCard(card) {
+  const c = String(card || '');
+  if (!c) return '—';
+  if (c.length <= 6) return '•'.repeat(c.length);
+  return `${c.slice(0, 2)}${'•'.repeat(Math.min(8, c.length - 4))}${c.slice(-2)}`;
+}
+
+// "1h,6h,24h" -> [3600, 21600, 86400]; "off"/"0"/"" -> [] (no grace period). null when any entry is invalid.
+export function parseRetrySchedule(str) {
+  const raw = String(str || '').trim().toLowerCase();
+  if (!raw || raw === 'off' || raw === '0') return [];
+  const out = raw.split(',').map(parseDuration);
+  return out.every(Boolean) ? out : null;
+}
+
+// run fn over items with at most `concurrency` in flight
+export async function runPool(items, concurrency, fn) {
+  let i = 0;
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (i < items.length) {
+      const item = items[i++];
+      await fn(item);
+    }
+  });
+  await Promise.all(workers);
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  const str = String(v);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+export function toCsv(columns, rows) {
+  return [columns.join(','), ...rows.map(r => columns.map(c => csvCell(r[c])).join(','))].join('\n') + '\n';
+}
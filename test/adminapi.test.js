@@ -0,0 +1,105 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeClient, setupDb, resetDb, stubCoinApi } from './helpers.js';
+import { startAdminApi } from '../src/adminapi.js';
+import { periodicCheckout } from '../src/checkout.js';
+import { activationSec } from '../src/config.js';
+import { encryptCard } from '../src/cards.js';
+import { nowTs } from '../src/util.js';
+
+const TOKEN = 'test-token';
+let db;
+let client;
+let server;
+let base;
+before(async () => {
+  db = await setupDb();
+  server = await startAdminApi({ port: 0, token: TOKEN });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise(resolve => server.close(resolve)));
+beforeEach(async () => {
+  await resetDb();
+  client = createFakeClient();
+  client.isReady = () => true;
+  client.addGuild('g1').addMember('u1');
+  client.addChannel('log1');
+  const now = nowTs();
+  await db.run("INSERT INTO guilds (guild_id, log_channel_id, server_card, price, role_id, active, last_guild_payment_ts) VALUES ('g1', 'log1', ?, '10', 'premium', 1, ?)", [encryptCard('server-card'), now]);
+  await db.run("INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, next_charge_ts) VALUES ('g1', 'u1', ?, ?, ?, 1, ?)",
+    [encryptCard('card-u1'), now - activationSec, now - activationSec, now - 1]);
+});
+
+const get = (path, token = TOKEN) => fetch(`${base}${path}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+
+test('every endpoint needs the token', async () => {
+  assert.equal((await get('/health', null)).status, 401);
+  assert.equal((await get('/metrics', 'wrong')).status, 401);
+  assert.equal((await get('/nope')).status, 404);
+});
+
+test('/health reports the database, Discord and the payment API', async () => {
+  stubCoinApi(() => ({ data: { message: 'coin API' } }));
+  const res = await get('/health');
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.status, 'ok');
+  assert.deepEqual([body.checks.database, body.checks.discord, body.checks.paymentApi.reachable], [true, true, true]);
+
+  stubCoinApi(() => { throw Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }); });
+  const down = await get('/health');
+  assert.equal(down.status, 503);
+  assert.equal((await down.json()).checks.paymentApi.reachable, false);
+});
+
+test('/metrics counts charges and the last checkout tick', async () => {
+  const before = await (await get('/metrics')).text();
+  const count = (text, sample) => Number(new RegExp(`^premiumsub_${sample} (\\S+)$`, 'm').exec(text)[1]);
+  stubCoinApi(() => ({ data: { success: false, error: 'insufficient funds' } }));
+  await periodicCheckout();
+
+  const text = await (await get('/metrics')).text();
+  assert.equal(count(text, 'charges_attempted_total') - count(before, 'charges_attempted_total'), 1);
+  assert.equal(count(text, 'charges_total\\{status="failed"\\}') - count(before, 'charges_total\\{status="failed"\\}'), 1);
+  assert.equal(count(text, 'checkout_last_success'), 1);
+  assert.ok(count(text, 'checkout_last_run_timestamp_seconds') >= nowTs() - 5);
+  assert.equal(count(text, 'subscriptions_active'), 1);
+  assert.match(text, /^premiumsub_dm_queue_length \d+$/m);
+  assert.equal(count(text, 'platform_fees_unsettled\\{state="given_up"\\}'), 0);
+});
+
+test('read-only endpoints never return card codes', async () => {
+  const guilds = await (await get('/guilds')).json();
+  assert.equal(guilds.guilds[0].guild_id, 'g1');
+  assert.equal(guilds.guilds[0].has_server_card, true);
+  assert.ok(!('server_card' in guilds.guilds[0]));
+
+  const guild = await (await get('/guilds/g1')).json();
+  assert.deepEqual(guild.subscriptions, { active: 1, total: 1 });
+  assert.deepEqual(guild.unsettledPlatformFees, { count: 0, total: '0.00000000', givenUp: 0 });
+  assert.equal((await get('/guilds/unknown')).status, 404);
+
+  const subs = await (await get('/subscriptions?guild_id=g1&active=1')).json();
+  assert.equal(subs.subscriptions.length, 1);
+  assert.equal(subs.subscriptions[0].has_card, true);
+  assert.ok(!('card_code' in subs.subscriptions[0]));
+  assert.equal((await (await get('/subscriptions?user_id=nobody')).json()).subscriptions.length, 0);
+});
+
+test('POST /guilds/:id/checkout renews that guild only', async () => {
+  await db.run("INSERT INTO guilds (guild_id, log_channel_id, server_card, price, role_id, active, last_guild_payment_ts) VALUES ('g2', NULL, ?, '10', 'premium', 1, ?)", [encryptCard('server-card-2'), nowTs()]);
+  await db.run("INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, next_charge_ts) VALUES ('g2', 'u2', ?, 0, 0, 1, ?)", [encryptCard('card-u2'), nowTs() - 1]);
+  const calls = stubCoinApi(() => ({ data: { success: true, txId: 'tx-1' } }));
+
+  assert.equal((await get('/guilds/g1/checkout')).status, 405);
+  const res = await fetch(`${base}/guilds/g1/checkout`, { method: 'POST', headers: { Authorization: `Bearer ${TOKEN}` } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { guildId: 'g1', guildFeesDue: 0, renewalsDue: 1 });
+  assert.deepEqual(calls.filter(c => c.method === 'post').map(c => c.data.fromCard), ['card-u1']);
+
+  const payments = await (await get('/payments?guild_id=g1')).json();
+  assert.equal(payments.payments.length, 1);
+  assert.equal(payments.payments[0].status, 'confirmed');
+  assert.ok(!('raw' in payments.payments[0]));
+  assert.ok(!('payer_card' in payments.payments[0]));
+});
@@ -0,0 +1,95 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeClient, createLegacyDb, removeDbFiles, setupDb, resetDb, stubCoinApi, TEST_CARD_KEY } from './helpers.js';
+import { loadCardKeys, encryptCard, revealCard, displayCard, usesCurrentCardKey, redactCards, reencryptCards } from '../src/cards.js';
+import { initDb } from '../src/db.js';
+import { attemptCharge } from '../src/payments.js';
+
+const NEW_KEY = Buffer.alloc(32, 9).toString('hex');
+
+let db;
+before(async () => { db = await setupDb(); });
+beforeEach(async () => {
+  loadCardKeys(TEST_CARD_KEY);
+  await resetDb();
+  createFakeClient();
+});
+
+test('card codes round-trip and never contain the plaintext', () => {
+  const stored = encryptCard('secret-card-123');
+  assert.match(stored, /^enc:v1:[0-9a-f]{8}:/);
+  assert.equal(stored.includes('secret-card-123'), false);
+  assert.notEqual(encryptCard('secret-card-123'), stored);
+  assert.equal(revealCard(stored), 'secret-card-123');
+  assert.equal(displayCard(stored), 'se••••••••23');
+  assert.equal(encryptCard(null), null);
+});
+
+test('invalid keys and unknown key ids are rejected', () => {
+  assert.throws(() => loadCardKeys('too-short'), /32 bytes/);
+  assert.throws(() => loadCardKeys(''), /not set/);
+  const stored = encryptCard('secret-card-123');
+  loadCardKeys(NEW_KEY);
+  assert.throws(() => revealCard(stored), /unknown key/);
+  assert.equal(displayCard(stored), '🔒');
+});
+
+test('startup migration encrypts plaintext rows and masks the payments log', async () => {
+  const file = await createLegacyDb(`
+    INSERT INTO guilds (guild_id, server_card) VALUES ('g1', 'guild-card-999');
+    INSERT INTO subscriptions (guild_id, user_id, card_code, active) VALUES ('g1', 'u1', 'member-card-111', 1);
+    INSERT INTO payments (guild_id, user_id, from_card, to_card, amount, success, raw) VALUES ('g1', 'u1', 'member-card-111', 'guild-card-999', '1', 0, '{"direct":{"error":"card member-card-111 has no balance"}}');
+  `);
+  try {
+    const logs = [];
+    const migrated = await initDb(file, { log: (msg) => logs.push(msg) }).then(() => import('../src/db.js')).then(m => m.db);
+    assert.ok(logs.includes('Encrypted 2 stored card code(s).'));
+    const sub = await migrated.get("SELECT card_code FROM subscriptions WHERE user_id = 'u1'");
+    const g = await migrated.get("SELECT server_card FROM guilds WHERE guild_id = 'g1'");
+    assert.equal(revealCard(sub.card_code), 'member-card-111');
+    assert.equal(revealCard(g.server_card), 'guild-card-999');
+    const p = await migrated.get('SELECT * FROM payments');
+    assert.equal(p.from_card, 'me••••••••11');
+    assert.equal(p.to_card, 'gu••••••••99');
+    assert.equal(p.raw.includes('member-card-111'), false);
+    // running it again changes nothing
+    assert.deepEqual(await reencryptCards(migrated), { encrypted: 0, rotated: 0, unreadable: 0 });
+    await migrated.close();
+  } finally {
+    await removeDbFiles(file);
+    db = await setupDb();
+  }
+});
+
+test('key rotation re-encrypts rows written with the old key', async () => {
+  await db.run('INSERT INTO guilds (guild_id, server_card) VALUES (?, ?)', ['g1', encryptCard('guild-card-999')]);
+  await db.run('INSERT INTO subscriptions (guild_id, user_id, card_code) VALUES (?, ?, ?)', ['g1', 'u1', encryptCard('member-card-111')]);
+
+  // new key only: old rows cannot be read and are left alone
+  loadCardKeys(NEW_KEY);
+  assert.deepEqual(await reencryptCards(db, { rotate: true }), { encrypted: 0, rotated: 0, unreadable: 2 });
+
+  loadCardKeys(NEW_KEY, TEST_CARD_KEY);
+  assert.deepEqual(await reencryptCards(db, { rotate: true }), { encrypted: 0, rotated: 2, unreadable: 0 });
+
+  loadCardKeys(NEW_KEY);
+  const sub = await db.get("SELECT card_code FROM subscriptions WHERE user_id = 'u1'");
+  assert.ok(usesCurrentCardKey(sub.card_code));
+  assert.equal(revealCard(sub.card_code), 'member-card-111');
+});
+
+test('attemptCharge keeps cards out of the payments row and of the returned answer', async () => {
+  stubCoinApi((req) => ({ data: { success: false, error: `card ${req.data.fromCard || req.data.cardCode} not found` } }));
+  const attempt = await attemptCharge('member-card-111', 'guild-card-999', '1.00000000', { guildId: 'g1', userId: 'u1' });
+  assert.equal(attempt.status, 'failed');
+  assert.equal(JSON.stringify(attempt.raw).includes('member-card-111'), false);
+  const row = await db.get('SELECT * FROM payments WHERE id = ?', attempt.paymentId);
+  assert.equal(row.from_card, 'me••••••••11');
+  assert.equal(row.to_card, 'gu••••••••99');
+  assert.equal(row.raw.includes('member-card-111'), false);
+  assert.match(row.raw, /me••••••••11/);
+});
+
+test('redactCards walks nested answers', () => {
+  assert.deepEqual(redactCards({ a: ['x abcdefgh y'], b: 3 }, ['abcdefgh']), { a: ['x ab••••gh y'], b: 3 });
+});
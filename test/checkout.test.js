@@ -0,0 +1,91 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeClient, setupDb, resetDb, stubCoinApi } from './helpers.js';
+import { periodicCheckout } from '../src/checkout.js';
+import { activationSec } from '../src/config.js';
+import { nowTs } from '../src/util.js';
+import { encryptCard } from '../src/cards.js';
+
+let db;
+let client;
+before(async () => { db = await setupDb(); });
+beforeEach(async () => {
+  await resetDb();
+  client = createFakeClient();
+});
+
+async function addGuild(guildId, lastPaymentTs) {
+  await db.run('INSERT INTO guilds (guild_id, log_channel_id, server_card, price, role_id, last_guild_payment_ts, active) VALUES (?, ?, ?, ?, ?, ?, 1)',
+    [guildId, 'log1', encryptCard('server-card'), '5', 'premium', lastPaymentTs]);
+}
+
+test('renewal charges due subscriptions and moves next_charge_ts forward', async () => {
+  const guild = client.addGuild('g1');
+  guild.addMember('u1', ['premium']);
+  guild.addMember('u2', ['premium']);
+  client.addChannel('log1');
+  const now = nowTs();
+  await addGuild('g1', now);
+  await db.run('INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, next_charge_ts) VALUES (?, ?, ?, ?, ?, 1, ?)',
+    ['g1', 'u1', encryptCard('card-u1'), now - activationSec - 60, now - activationSec - 60, now - 60]);
+  // not due yet: must not be charged
+  await db.run('INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, next_charge_ts) VALUES (?, ?, ?, ?, ?, 1, ?)',
+    ['g1', 'u2', encryptCard('card-u2'), now, now, now + activationSec]);
+  const calls = stubCoinApi(() => ({ data: { success: true, txId: 'tx-renew' } }));
+
+  await periodicCheckout();
+
+  assert.deepEqual(calls.filter(c => c.method === 'post').map(c => [c.data.fromCard, c.data.toCard]), [['card-u1', 'server-card']]);
+  const s1 = await db.get('SELECT * FROM subscriptions WHERE user_id = ?', 'u1');
+  assert.equal(s1.active, 1);
+  assert.ok(s1.last_renew_ts >= now);
+  assert.equal(s1.next_charge_ts, s1.last_renew_ts + activationSec);
+  const pay = await db.get('SELECT * FROM payments WHERE user_id = ?', 'u1');
+  assert.equal(pay.status, 'confirmed');
+  assert.equal(pay.txid, 'tx-renew');
+  assert.ok(guild.members.cache.get('u1').roles.cache.has('premium'));
+});
+
+test('guild fee failure deactivates the guild and removes the premium role from everyone', async () => {
+  const guild = client.addGuild('g1');
+  guild.addMember('u1', ['premium']);
+  guild.addMember('u2', ['premium', 'other']);
+  const log = client.addChannel('log1');
+  const now = nowTs();
+  await addGuild('g1', now - activationSec - 60);
+  await db.run('INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, next_charge_ts) VALUES (?, ?, ?, ?, ?, 1, ?)',
+    ['g1', 'u1', encryptCard('card-u1'), now - 60, now - 60, now - 1]);
+  stubCoinApi(() => ({ data: { success: false, error: 'insufficient funds' } }));
+
+  await periodicCheckout();
+
+  const g = await db.get('SELECT * FROM guilds WHERE guild_id = ?', 'g1');
+  assert.equal(g.active, 0);
+  assert.equal(guild.members.cache.get('u1').roles.cache.has('premium'), false);
+  assert.equal(guild.members.cache.get('u2').roles.cache.has('premium'), false);
+  assert.ok(guild.members.cache.get('u2').roles.cache.has('other'));
+  // members of an inactive guild are not charged
+  const memberPayments = await db.all('SELECT * FROM payments WHERE user_id IS NOT NULL');
+  assert.equal(memberPayments.length, 0);
+  assert.ok(log.messages.some(m => m.embeds[0].data.title === 'Pagamento da Guild Falhou'));
+});
+
+test('ambiguous guild fee answer keeps the guild active until reconciliation', async () => {
+  const guild = client.addGuild('g1');
+  guild.addMember('u1', ['premium']);
+  client.addChannel('log1');
+  await addGuild('g1', nowTs() - activationSec - 60);
+  const calls = stubCoinApi((req) => (req.method === 'get' ? { status: 404, data: {} } : { status: 500, data: { error: 'internal' } }));
+
+  await periodicCheckout();
+  const g = await db.get('SELECT * FROM guilds WHERE guild_id = ?', 'g1');
+  assert.equal(g.active, 1);
+  assert.ok(guild.members.cache.get('u1').roles.cache.has('premium'));
+  const pay = await db.get('SELECT * FROM payments WHERE user_id IS NULL');
+  assert.equal(pay.status, 'unknown');
+
+  // next tick: the unresolved charge is checked again, not paid twice
+  const postsBefore = calls.filter(c => c.method === 'post').length;
+  await periodicCheckout();
+  assert.equal(calls.filter(c => c.method === 'post').length, postsBefore);
+});
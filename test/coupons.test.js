@@ -0,0 +1,120 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeClient, setupDb, resetDb, stubCoinApi, cardModalSubmit } from './helpers.js';
+import { applyCoupon, findRedeemableCoupon } from '../src/coupons.js';
+import { periodicCheckout } from '../src/checkout.js';
+import { handleInteraction } from '../src/interactions.js';
+import { encryptCard } from '../src/cards.js';
+import { activationSec } from '../src/config.js';
+import { nowTs } from '../src/util.js';
+
+const DAY = 86400;
+let db;
+let client;
+before(async () => { db = await setupDb(); });
+beforeEach(async () => {
+  await resetDb();
+  client = createFakeClient();
+  client.addGuild('g1').addMember('u1');
+  await db.run("INSERT INTO guilds (guild_id, server_card, price, role_id, active, last_guild_payment_ts) VALUES ('g1', ?, '10', 'premium', 1, ?)", [encryptCard('server-card'), nowTs()]);
+});
+
+async function addCoupon(code, fields = {}) {
+  const c = { kind: 'percent', value: '10', recurring: 0, expires_ts: null, max_uses: null, disabled: 0, ...fields };
+  const res = await db.run('INSERT INTO coupons (guild_id, code, kind, value, recurring, expires_ts, max_uses, disabled, created_ts) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    ['g1', code, c.kind, c.value, c.recurring, c.expires_ts, c.max_uses, c.disabled, nowTs()]);
+  return { id: res.lastID, code, ...c };
+}
+
+const sub = (userId) => db.get('SELECT * FROM subscriptions WHERE guild_id = ? AND user_id = ?', ['g1', userId]);
+const posts = (calls) => calls.filter(c => c.method === 'post').map(c => c.data.amount);
+
+async function makeDue(userId) {
+  await db.run('UPDATE subscriptions SET next_charge_ts = ? WHERE guild_id = ? AND user_id = ?', [nowTs() - 1, 'g1', userId]);
+}
+
+test('applyCoupon handles percentages and fixed amounts', () => {
+  assert.deepEqual(applyCoupon('10', { kind: 'percent', value: '25' }), { amount: '7.50000000', discount: 2.5 });
+  assert.deepEqual(applyCoupon('10', { kind: 'fixed', value: '3' }), { amount: '7.00000000', discount: 3 });
+  assert.deepEqual(applyCoupon('2', { kind: 'fixed', value: '3' }), { amount: '0.00000000', discount: 2 });
+  assert.deepEqual(applyCoupon('10', null), { amount: '10.00000000', discount: 0 });
+});
+
+test('expired, disabled, exhausted and already used coupons are refused', async () => {
+  await addCoupon('OLD', { expires_ts: nowTs() - 1 });
+  await addCoupon('OFF', { disabled: 1 });
+  const once = await addCoupon('ONCE', { max_uses: 1 });
+  await db.run("INSERT INTO coupon_redemptions (coupon_id, guild_id, user_id, ts) VALUES (?, 'g1', 'u2', 0)", once.id);
+  const mine = await addCoupon('MINE');
+  await db.run("INSERT INTO coupon_redemptions (coupon_id, guild_id, user_id, ts) VALUES (?, 'g1', 'u1', 0)", mine.id);
+  assert.match((await findRedeemableCoupon('g1', 'u1', 'old')).error, /expirou/);
+  assert.match((await findRedeemableCoupon('g1', 'u1', 'OFF')).error, /desativado/);
+  assert.match((await findRedeemableCoupon('g1', 'u1', 'ONCE')).error, /limite/);
+  assert.match((await findRedeemableCoupon('g1', 'u1', 'MINE')).error, /já usou/);
+  assert.match((await findRedeemableCoupon('g1', 'u1', 'NOPE')).error, /não encontrado/);
+  assert.ok((await findRedeemableCoupon('g1', 'u3', 'MINE')).coupon);
+});
+
+test('a first-charge coupon discounts only the first payment and is recorded', async () => {
+  const coupon = await addCoupon('PROMO', { value: '50' });
+  const calls = stubCoinApi(() => ({ data: { success: true, txId: 'tx' } }));
+  const interaction = cardModalSubmit('g1', 'u1', 'member-card', { coupon: 'promo' });
+  await handleInteraction(interaction);
+  assert.deepEqual(posts(calls), [5]);
+  const redemption = await db.get('SELECT * FROM coupon_redemptions WHERE coupon_id = ?', coupon.id);
+  assert.equal(redemption.user_id, 'u1');
+  assert.equal(redemption.discount, '5.00000000');
+  const payment = await db.get('SELECT * FROM payments WHERE id = ?', redemption.payment_id);
+  assert.equal(payment.coupon_id, coupon.id);
+  assert.equal((await sub('u1')).coupon_id, null);
+
+  await makeDue('u1');
+  await periodicCheckout();
+  assert.deepEqual(posts(calls), [5, 10]);
+});
+
+test('a recurring coupon discounts every renewal', async () => {
+  await addCoupon('LOYAL', { kind: 'fixed', value: '2', recurring: 1 });
+  const calls = stubCoinApi(() => ({ data: { success: true, txId: 'tx' } }));
+  await handleInteraction(cardModalSubmit('g1', 'u1', 'member-card', { coupon: 'LOYAL' }));
+  await makeDue('u1');
+  await periodicCheckout();
+  assert.deepEqual(posts(calls), [8, 8]);
+});
+
+test('a failed payment does not use up the coupon', async () => {
+  const coupon = await addCoupon('PROMO', { max_uses: 1 });
+  stubCoinApi(() => ({ data: { success: false, error: 'insufficient funds' } }));
+  await handleInteraction(cardModalSubmit('g1', 'u1', 'member-card', { coupon: 'PROMO' }));
+  const used = await db.get('SELECT COUNT(*) AS n FROM coupon_redemptions WHERE coupon_id = ?', coupon.id);
+  assert.equal(used.n, 0);
+});
+
+test('free trial: access without charge, first charge at the end, once per member', async () => {
+  await db.run("UPDATE guilds SET trial_sec = ? WHERE guild_id = 'g1'", 7 * DAY);
+  await addCoupon('PROMO', { value: '50' });
+  const calls = stubCoinApi(() => ({ data: { success: true, txId: 'tx' } }));
+  const interaction = cardModalSubmit('g1', 'u1', 'member-card', { coupon: 'PROMO' });
+  await handleInteraction(interaction);
+
+  assert.deepEqual(posts(calls), []);
+  let s1 = await sub('u1');
+  assert.equal(s1.active, 1);
+  assert.ok(Math.abs(s1.next_charge_ts - (nowTs() + 7 * DAY)) <= 2);
+  assert.equal(s1.trial_ends_ts, s1.next_charge_ts);
+  assert.equal(s1.last_renew_ts + activationSec, s1.next_charge_ts);
+  assert.ok(client.guilds.cache.get('g1').members.cache.get('u1').roles.cache.has('premium'));
+  assert.match(interaction.replies[0].content, /Teste grátis de 1w/);
+
+  // trial over: the card is charged with the coupon
+  await makeDue('u1');
+  await periodicCheckout();
+  assert.deepEqual(posts(calls), [5]);
+  s1 = await sub('u1');
+  assert.equal(s1.coupon_id, null);
+
+  // lapsed and back: no second trial
+  await db.run("UPDATE subscriptions SET active = 0 WHERE user_id = 'u1'");
+  await handleInteraction(cardModalSubmit('g1', 'u1', 'member-card'));
+  assert.deepEqual(posts(calls), [5, 10]);
+});
@@ -0,0 +1,102 @@
+import { test, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFakeClient, setupDb, resetDb, stubCoinApi, commandInteraction, waitFor } from './helpers.js';
+import { handleInteraction } from '../src/interactions.js';
+import { periodicCheckout } from '../src/checkout.js';
+import { logEvent, matchesEvent, setEventSinks, webhook } from '../src/eventlog.js';
+import { encryptCard } from '../src/cards.js';
+import { nowTs } from '../src/util.js';
+
+let db;
+let client;
+let guild;
+let file;
+before(async () => { db = await setupDb(); });
+beforeEach(async () => {
+  await resetDb();
+  client = createFakeClient();
+  guild = client.addGuild('g1');
+  guild.addMember('u1', ['premium']);
+  client.addChannel('log1');
+  client.addChannel('alerts');
+  await db.run("INSERT INTO guilds (guild_id, log_channel_id, server_card, price, role_id, active, last_guild_payment_ts) VALUES ('g1', 'log1', ?, '10', 'premium', 1, ?)", [encryptCard('server-card'), nowTs()]);
+  file = path.join(os.tmpdir(), `serverpremiumsub-events-${process.pid}-${Date.now()}.jsonl`);
+  setEventSinks({ file });
+});
+afterEach(async () => {
+  setEventSinks();
+  await fs.promises.rm(file, { force: true });
+});
+
+const titles = (channelId) => client.channels.cache.get(channelId).messages.map(m => m.embeds[0].data.title);
+async function events(filters = {}) {
+  const text = await fs.promises.readFile(file, 'utf8').catch(() => '');
+  return text.split('\n').filter(Boolean).map(line => JSON.parse(line)).filter(e => matchesEvent(e, filters));
+}
+// DMs (and their member_notified events) go through the queue
+const waitForEvent = (type) => waitFor(async () => (await events({ type: [type] }))[0]);
+
+test('a final renewal failure logs payment_failed and role_removed to their routes and the file', async () => {
+  await handleInteraction(commandInteraction('logroute', 'g1', 'admin', { event: 'payment_failed', channel: client.channels.cache.get('alerts') }));
+  await handleInteraction(commandInteraction('logroute', 'g1', 'admin', { event: 'role_removed', mute: true }));
+  const now = nowTs();
+  // every retry of the default schedule (1h,6h,24h) already used
+  await db.run("INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, retry_count, next_charge_ts) VALUES ('g1', 'u1', ?, ?, ?, 1, 3, ?)",
+    [encryptCard('card-u1'), now - 100, now - 100, now - 1]);
+  stubCoinApi(() => ({ data: { success: false, error: 'insufficient funds' } }));
+
+  await periodicCheckout();
+
+  assert.equal(guild.members.cache.get('u1').roles.cache.has('premium'), false);
+  assert.deepEqual(titles('alerts'), ['Renovação Falhou']);
+  assert.deepEqual(titles('log1'), [], 'role_removed is muted');
+  const [failed] = await events({ type: ['payment_failed'], userId: 'u1' });
+  assert.equal(failed.guild_id, 'g1');
+  assert.equal(failed.data.error, 'insufficient funds');
+  assert.equal(failed.data.attempt, 4);
+  const [removed] = await events({ type: ['role_removed'] });
+  assert.deepEqual([removed.data.user, removed.data.role, removed.data.reason], ['u1', 'premium', 'payment_failed']);
+
+  // the DM is recorded but stays out of the channel unless routed
+  const notified = await waitForEvent('member_notified');
+  assert.equal(notified.data.user, 'u1');
+  assert.equal(notified.data.delivered, true);
+  assert.ok(!titles('log1').includes('Membro Notificado'));
+});
+
+test('/logroute lists every event, routes one and resets it', async () => {
+  const list = commandInteraction('logroute', 'g1', 'admin', {}, { locale: 'en-US' });
+  await handleInteraction(list);
+  assert.match(list.replies[0].content, /`payment_success` → <#log1>/);
+  assert.match(list.replies[0].content, /`member_notified` → muted/);
+
+  const route = commandInteraction('logroute', 'g1', 'admin', { event: 'member_notified', channel: client.channels.cache.get('alerts') }, { locale: 'en-US' });
+  await handleInteraction(route);
+  assert.equal(route.replies[0].content, 'Route updated: `member_notified` → <#alerts>');
+
+  const reset = commandInteraction('logroute', 'g1', 'admin', { event: 'member_notified', reset: true }, { locale: 'en-US' });
+  await handleInteraction(reset);
+  assert.equal(reset.replies[0].content, 'Route updated: `member_notified` → muted');
+  assert.equal((await db.get('SELECT COUNT(*) AS n FROM log_routes')).n, 0);
+});
+
+test('every event reaches the webhook, Discord webhooks as an embed', async () => {
+  const posts = [];
+  webhook.defaults.adapter = async (config) => {
+    posts.push({ url: config.url, body: JSON.parse(config.data) });
+    return { status: 204, statusText: '', headers: {}, config, data: '' };
+  };
+  setEventSinks({ webhookUrl: 'https://example.test/hook' });
+  await logEvent('g1', 'gift', { title: 'Gift', description: 'a gift' }, { giver: 'u1' });
+  setEventSinks({ webhookUrl: 'https://discord.com/api/webhooks/1/abc' });
+  await logEvent('g1', 'gift', { title: 'Gift', description: 'a gift' }, { giver: 'u1' });
+  await new Promise(r => setImmediate(r));
+
+  assert.equal(posts.length, 2);
+  assert.deepEqual([posts[0].body.type, posts[0].body.guild_id, posts[0].body.data], ['gift', 'g1', { giver: 'u1' }]);
+  assert.equal(posts[1].body.embeds[0].title, 'Gift');
+  assert.deepEqual(titles('log1'), ['Gift', 'Gift']);
+});
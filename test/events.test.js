@@ -0,0 +1,36 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeClient, setupDb, resetDb } from './helpers.js';
+import { registerEventHandlers } from '../src/events.js';
+import { encryptCard } from '../src/cards.js';
+import { nowTs } from '../src/util.js';
+
+let db;
+let client;
+before(async () => { db = await setupDb(); });
+beforeEach(async () => {
+  await resetDb();
+  client = createFakeClient();
+  registerEventHandlers();
+});
+
+test('a guild removed and added back has its billing paused and resumed', async () => {
+  const guild = client.addGuild('g1');
+  guild.roles.cache.set('premium', { id: 'premium' });
+  guild.addMember('u1');
+  await db.run("INSERT INTO guilds (guild_id, server_card, price, role_id, active, last_guild_payment_ts) VALUES ('g1', ?, '10', 'premium', 1, ?)", [encryptCard('server-card'), nowTs()]);
+  await db.run("INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, next_charge_ts) VALUES ('g1', 'u1', ?, ?, ?, 1, ?)",
+    [encryptCard('card-u1'), nowTs(), nowTs(), nowTs() + 86400]);
+  const state = () => db.get("SELECT paused, active FROM guilds WHERE guild_id = 'g1'");
+
+  // an outage is not a removal
+  await client.emit('guildDelete', { id: 'g1', available: false });
+  assert.deepEqual(await state(), { paused: 0, active: 1 });
+
+  await client.emit('guildDelete', { id: 'g1', available: true });
+  assert.deepEqual(await state(), { paused: 1, active: 0 });
+
+  await client.emit('guildCreate', guild);
+  assert.deepEqual(await state(), { paused: 0, active: 1 });
+  assert.ok(guild.members.cache.get('u1').roles.cache.has('premium'), 'roles reconciled on return');
+});
@@ -0,0 +1,112 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// the platform card and the owners come from the env, read when src/config.js loads
+process.env.SERVER_RECEIVER_CARD = 'platform-card';
+process.env.BOT_OWNER_IDS = 'owner';
+const { createFakeClient, setupDb, resetDb, stubCoinApi, commandInteraction } = await import('./helpers.js');
+const { handleInteraction } = await import('../src/interactions.js');
+const { periodicCheckout } = await import('../src/checkout.js');
+const { splitPayment, unsettledPlatformFees } = await import('../src/fees.js');
+const { hasUnresolvedCharge } = await import('../src/payments.js');
+const { encryptCard } = await import('../src/cards.js');
+const { nowTs } = await import('../src/util.js');
+
+let db;
+before(async () => { db = await setupDb(); });
+beforeEach(async () => {
+  await resetDb();
+  const client = createFakeClient();
+  client.addGuild('g1').addMember('u1');
+  client.addChannel('log1');
+  // fee window already elapsed: a flat model would charge the guild on this tick
+  await db.run("INSERT INTO guilds (guild_id, log_channel_id, server_card, price, role_id, active, last_guild_payment_ts, fee_model, fee_percent) VALUES ('g1', 'log1', ?, '10', 'premium', 1, 0, 'percent', '10')", [encryptCard('server-card')]);
+  const now = nowTs();
+  await db.run("INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, next_charge_ts) VALUES ('g1', 'u1', ?, ?, ?, 1, ?)",
+    [encryptCard('card-u1'), now - 100, now - 100, now - 1]);
+});
+
+const transfers = (calls) => calls.filter(c => c.url === '/card/pay').map(c => [c.data.fromCard, c.data.toCard, c.data.amount]);
+
+test('splitPayment rounds the platform share down and keeps the sum exact', () => {
+  assert.deepEqual(splitPayment({ fee_model: 'percent', fee_percent: '3' }, '0.00000099'), { platformFee: '0.00000002', guildShare: '0.00000097' });
+  assert.deepEqual(splitPayment({ fee_model: 'flat', fee_percent: '50' }, '10'), { platformFee: '0.00000000', guildShare: '10.00000000' });
+});
+
+test('percent model: the guild pays no flat fee and the platform share leaves the guild card after each payment', async () => {
+  const calls = stubCoinApi(() => ({ data: { success: true, txId: `tx-${calls.length}` } }));
+
+  await periodicCheckout();
+
+  assert.deepEqual(transfers(calls), [['card-u1', 'server-card', 10], ['server-card', 'platform-card', 1]]);
+  const g = await db.get("SELECT active, last_guild_payment_ts FROM guilds WHERE guild_id = 'g1'");
+  assert.equal(g.active, 1);
+  assert.ok(g.last_guild_payment_ts >= nowTs() - 5);
+  const [member, fee] = await db.all('SELECT * FROM payments ORDER BY id');
+  assert.deepEqual([member.kind, member.platform_fee, member.guild_share], ['subscription', '1.00000000', '9.00000000']);
+  assert.deepEqual([fee.kind, fee.status, fee.parent_payment_id, fee.user_id], ['platform_fee', 'confirmed', member.id, null]);
+});
+
+test('a failed platform transfer is retried on the next checkout', async () => {
+  let platformDown = true;
+  const calls = stubCoinApi(({ data }) => (platformDown && data && data.toCard === 'platform-card'
+    ? { data: { success: false, error: 'insufficient funds' } }
+    : { data: { success: true, txId: `tx-${calls.length}` } }));
+
+  await periodicCheckout();
+  const failed = await db.all("SELECT status FROM payments WHERE kind = 'platform_fee'");
+  assert.deepEqual(failed.map(r => r.status), ['failed']);
+  const member = await db.get("SELECT status FROM payments WHERE kind = 'subscription'");
+  assert.equal(member.status, 'confirmed', 'the member payment stands');
+
+  assert.deepEqual(await unsettledPlatformFees('g1'), { count: 1, total: '1.00000000', givenUp: 0 });
+
+  platformDown = false;
+  await periodicCheckout();
+  const fees = await db.all("SELECT status FROM payments WHERE kind = 'platform_fee' ORDER BY id");
+  assert.deepEqual(fees.map(r => r.status), ['failed', 'confirmed']);
+  await periodicCheckout();
+  assert.equal((await db.all("SELECT id FROM payments WHERE kind = 'platform_fee'")).length, 2, 'collected once');
+  assert.equal((await unsettledPlatformFees('g1')).count, 0);
+});
+
+test('a platform share given up after the last attempt stays listed as unsettled', async () => {
+  stubCoinApi(({ data }) => (data && data.toCard === 'platform-card'
+    ? { data: { success: false, error: 'insufficient funds' } }
+    : { data: { success: true, txId: 'tx-member' } }));
+  for (let i = 0; i < 4; i++) await periodicCheckout();
+
+  assert.equal((await db.all("SELECT id FROM payments WHERE kind = 'platform_fee'")).length, 3);
+  assert.deepEqual(await unsettledPlatformFees(), { count: 1, total: '1.00000000', givenUp: 1 });
+});
+
+test('a platform transfer still being verified does not hold back the guild fee', async () => {
+  await db.run("INSERT INTO payments (guild_id, user_id, amount, status, kind, ts) VALUES ('g1', NULL, '1', 'unknown', 'platform_fee', ?)", nowTs());
+  assert.equal(await hasUnresolvedCharge('g1', null), false);
+  await db.run("INSERT INTO payments (guild_id, user_id, amount, status, kind, ts) VALUES ('g1', NULL, '10', 'pending', 'guild', ?)", nowTs());
+  assert.equal(await hasUnresolvedCharge('g1', null), true);
+});
+
+test('/platformfee is for bot owners and overrides the env per guild', async () => {
+  const denied = commandInteraction('platformfee', 'g1', 'admin', { model: 'flat' }, { locale: 'en-US' });
+  await handleInteraction(denied);
+  assert.match(denied.replies[0].content, /Only the bot owners/);
+
+  await db.run("UPDATE guilds SET fee_model = NULL, fee_percent = NULL WHERE guild_id = 'g1'");
+  const show = commandInteraction('platformfee', 'g1', 'owner', {}, { locale: 'en-US' });
+  await handleInteraction(show);
+  assert.equal(show.replies[0].content, 'Platform fee in `g1`: flat fee of 10.00000000 coins per guild cycle (env default).');
+
+  const set = commandInteraction('platformfee', 'other-guild', 'owner', { guild: 'g1', model: 'both', percent: 5, flat: '2' }, { locale: 'en-US' });
+  await handleInteraction(set);
+  assert.equal(set.replies[0].content, 'Platform fee of `g1` updated: flat fee of 2.00000000 coins per cycle and 5% of every member payment (set for this guild).');
+  assert.deepEqual(await db.get("SELECT fee_model, fee_percent, fee_flat FROM guilds WHERE guild_id = 'g1'"), { fee_model: 'both', fee_percent: '5', fee_flat: '2' });
+  assert.equal((await db.get("SELECT action FROM audit_log WHERE guild_id = 'g1'")).action, 'platform_fee');
+
+  const reset = commandInteraction('platformfee', 'g1', 'owner', { reset: true }, { locale: 'en-US' });
+  await handleInteraction(reset);
+  assert.match(reset.replies[0].content, /\(env default\)\.$/);
+  const unknown = commandInteraction('platformfee', 'g1', 'owner', { guild: 'nope' }, { locale: 'en-US' });
+  await handleInteraction(unknown);
+  assert.equal(unknown.replies[0].content, 'Guild `nope` is not in the database.');
+});
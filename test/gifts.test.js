@@ -0,0 +1,117 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeClient, setupDb, resetDb, stubCoinApi, giftModalSubmit, timeoutError, waitFor } from './helpers.js';
+import { handleInteraction } from '../src/interactions.js';
+import { periodicCheckout } from '../src/checkout.js';
+import { buildMySubscriptionsEmbed } from '../src/ui.js';
+import { hasUnresolvedCharge } from '../src/payments.js';
+import { encryptCard } from '../src/cards.js';
+import { activationSec } from '../src/config.js';
+import { nowTs } from '../src/util.js';
+
+let db;
+let client;
+let guild;
+before(async () => { db = await setupDb(); });
+beforeEach(async () => {
+  await resetDb();
+  client = createFakeClient();
+  guild = client.addGuild('g1');
+  guild.addMember('giver');
+  guild.addMember('friend');
+  client.addChannel('log1');
+  await db.run("INSERT INTO guilds (guild_id, log_channel_id, server_card, price, role_id, active, last_guild_payment_ts) VALUES ('g1', 'log1', ?, '10', 'premium', 1, ?)", [encryptCard('server-card'), nowTs()]);
+});
+
+const sub = (userId) => db.get('SELECT * FROM subscriptions WHERE guild_id = ? AND user_id = ?', ['g1', userId]);
+const posts = (calls) => calls.filter(c => c.method === 'post').map(c => [c.data.fromCard, c.data.amount]);
+
+// DMs go through the queue
+const dmTo = (userId, pattern) => waitFor(() => client.dms.find(d => d.userId === userId && pattern.test(d.content)));
+
+test('a gift charges the giver once for every cycle and activates the recipient without a card', async () => {
+  const calls = stubCoinApi(() => ({ data: { success: true, txId: 'tx-gift' } }));
+  const before = nowTs();
+  const interaction = giftModalSubmit('g1', 'giver', 'friend', 3, 'giver-card');
+  await handleInteraction(interaction);
+
+  assert.deepEqual(posts(calls), [['giver-card', 30]]);
+  const s = await sub('friend');
+  assert.equal(s.active, 1);
+  assert.equal(s.card_code, null);
+  assert.equal(s.gift_from, 'giver');
+  assert.ok(s.cancelled_ts, 'a gift ends instead of renewing');
+  assert.ok(s.next_charge_ts >= before + 3 * activationSec);
+  assert.ok(guild.members.cache.get('friend').roles.cache.has('premium'));
+  assert.equal(await sub('giver'), undefined);
+
+  const payment = await db.get('SELECT * FROM payments');
+  assert.equal(payment.user_id, 'giver');
+  assert.equal(payment.kind, 'gift');
+  const gift = await db.get('SELECT * FROM gifts WHERE id = ?', payment.gift_id);
+  assert.equal(gift.status, 'active');
+  assert.equal(gift.recipient_id, 'friend');
+  assert.match(interaction.replies.at(-1).content, /Presente enviado/);
+  assert.equal(client.channels.cache.get('log1').messages[0].embeds[0].data.title, 'Presente de Assinatura');
+  assert.ok(await dmTo('friend', /<@giver> te deu/));
+
+  // both members see the payment in their history
+  const forGiver = (await buildMySubscriptionsEmbed('giver')).data.fields[0].value;
+  const forFriend = (await buildMySubscriptionsEmbed('friend')).data.fields[0].value;
+  assert.match(forGiver, /🎁 para <@friend>/);
+  assert.match(forFriend, /🎁 de <@giver>/);
+});
+
+test('a failed gift charge leaves the recipient without premium', async () => {
+  stubCoinApi(() => ({ data: { success: false, error: 'insufficient funds' } }));
+  const interaction = giftModalSubmit('g1', 'giver', 'friend', 1, 'giver-card');
+  await handleInteraction(interaction);
+
+  assert.equal(await sub('friend'), undefined);
+  assert.equal((await db.get('SELECT status FROM gifts')).status, 'failed');
+  assert.match(interaction.replies.at(-1).content, /Falha no pagamento do presente/);
+});
+
+test('an unverified gift does not hold back the giver\'s own subscription', async () => {
+  stubCoinApi(() => { throw timeoutError(); });
+  await handleInteraction(giftModalSubmit('g1', 'giver', 'friend', 1, 'giver-card'));
+  assert.equal((await db.get('SELECT status FROM payments')).status, 'unknown');
+  assert.equal((await db.get('SELECT status FROM gifts')).status, 'pending');
+  assert.equal(await sub('friend'), undefined);
+
+  assert.equal(await hasUnresolvedCharge('g1', 'giver'), false);
+});
+
+test('a gift extends a subscriber on the same plan and is refused for another plan', async () => {
+  const now = nowTs();
+  await db.run("INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, next_charge_ts) VALUES ('g1', 'friend', ?, ?, ?, 1, ?)",
+    [encryptCard('friend-card'), now, now, now + activationSec]);
+  stubCoinApi(() => ({ data: { success: true, txId: 'tx-gift' } }));
+  await handleInteraction(giftModalSubmit('g1', 'giver', 'friend', 2, 'giver-card'));
+
+  const s = await sub('friend');
+  assert.equal(s.next_charge_ts, now + 3 * activationSec);
+  assert.equal(s.gift_from, null, 'a subscriber with a card keeps renewing after the gift');
+  assert.equal(s.cancelled_ts, null);
+
+  const tier = await db.run("INSERT INTO tiers (guild_id, name, price, role_id, archived) VALUES ('g1', 'Gold', '20', 'gold', 0)");
+  const interaction = giftModalSubmit('g1', 'giver', 'friend', 1, 'giver-card', { tierId: tier.lastID });
+  await handleInteraction(interaction);
+  assert.match(interaction.replies[0].content, /já assina o plano padrão/);
+  assert.equal((await db.get('SELECT COUNT(*) AS n FROM gifts')).n, 1);
+});
+
+test('when the gift ends the recipient loses the role and is offered to continue with their own card', async () => {
+  const calls = stubCoinApi(() => ({ data: { success: true, txId: 'tx-gift' } }));
+  await handleInteraction(giftModalSubmit('g1', 'giver', 'friend', 1, 'giver-card'));
+  await db.run("UPDATE subscriptions SET next_charge_ts = ? WHERE user_id = 'friend'", nowTs() - 1);
+
+  await periodicCheckout();
+
+  assert.equal(posts(calls).length, 1, 'the end of a gift charges nobody');
+  const s = await sub('friend');
+  assert.equal(s.active, 0);
+  assert.equal(s.gift_from, null);
+  assert.ok(!guild.members.cache.get('friend').roles.cache.has('premium'));
+  assert.ok(await dmTo('friend', /terminou.*\/card/), 'recipient DMed when the gift ends');
+});
@@ -0,0 +1,246 @@
+// test/helpers.js — fake Discord client, SQLite em memória e coin API stubada
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { AxiosError } from 'axios';
+import { db, initDb } from '../src/db.js';
+import { setClient } from '../src/bot.js';
+import { coin } from '../src/providers.js';
+import { loadCardKeys } from '../src/cards.js';
+import { startNotificationWorker } from '../src/notifications.js';
+
+// ---- Fake Discord client ----
+// errors carry the Discord API code of a missing resource, like the DiscordAPIError discord.js throws
+function unknown(what, id, code) {
+  return Object.assign(new Error(`Unknown ${what} ${id}`), { code });
+}
+
+
+// Only the parts of the discord.js API the bot touches: guilds/members/roles, text channels, user DMs and the
+// gateway events registerEventHandlers() listens to (emit() waits for the handlers).
+function fakeMember(id, roleIds = []) {
+  const cache = new Map(roleIds.map(r => [r, { id: r }]));
+  return {
+    id,
+    user: { id, bot: false },
+    roles: {
+      cache,
+      async add(roleId) { cache.set(roleId, { id: roleId }); },
+      async remove(roleId) { cache.delete(roleId); }
+    }
+  };
+}
+
+export function createFakeClient() {
+  const guilds = new Map();
+  const channels = new Map();
+  const dms = [];
+  const handlers = new Map();
+  const client = {
+    dms,
+    on(event, fn) {
+      handlers.set(event, [...(handlers.get(event) || []), fn]);
+      return client;
+    },
+    once(event, fn) {
+      return client.on(event, fn);
+    },
+    async emit(event, ...args) {
+      for (const fn of handlers.get(event) || []) await fn(...args);
+    },
+    guilds: {
+      cache: guilds,
+      async fetch(id) {
+        if (!guilds.has(id)) throw unknown('Guild', id, 10004);
+        return guilds.get(id);
+      }
+    },
+    channels: {
+      cache: channels,
+      async fetch(id) {
+        if (!channels.has(id)) throw unknown('Channel', id, 10003);
+        return channels.get(id);
+      }
+    },
+    users: {
+      async fetch(id) {
+        return { id, async send(msg) { dms.push({ userId: id, ...msg }); } };
+      }
+    },
+    addGuild(id) {
+      const members = new Map();
+      const roles = new Map();
+      const guild = {
+        id,
+        roles: { cache: roles, async fetch() { return roles; } },
+        members: {
+          cache: members,
+          async fetch(userId) {
+            if (userId === undefined) return members;
+            if (!members.has(userId)) throw unknown('Member', userId, 10007);
+            return members.get(userId);
+          }
+        },
+        addMember(userId, roleIds = []) {
+          const m = fakeMember(userId, roleIds);
+          members.set(userId, m);
+          return m;
+        }
+      };
+      guilds.set(id, guild);
+      return guild;
+    },
+    // messages sent to a channel get an id and can be fetched, edited (last content wins) and deleted
+    addChannel(id) {
+      const messages = [];
+      messages.fetch = async (messageId) => {
+        const m = messages.find(x => x.id === messageId);
+        if (!m) throw unknown('Message', messageId, 10008);
+        return m;
+      };
+      const channel = {
+        id,
+        messages,
+        isTextBased: () => true,
+        async send(msg) {
+          const m = { ...msg, id: `${id}-${messages.length + 1}`, edits: 0 };
+          m.edit = async (next) => { Object.assign(m, next); m.edits++; return m; };
+          m.delete = async () => { messages.splice(messages.indexOf(m), 1); };
+          messages.push(m);
+          return m;
+        },
+        toString: () => `<#${id}>`
+      };
+      channels.set(id, channel);
+      return channel;
+    }
+  };
+  setClient(client);
+  return client;
+}
+
+// ---- Database ----
+export const TEST_CARD_KEY = Buffer.alloc(32, 7).toString('base64');
+
+// also starts the DM queue without the 2s pacing of production; the migrations run without logging
+export async function setupDb() {
+  loadCardKeys(TEST_CARD_KEY);
+  await initDb(':memory:', { log: () => {} });
+  startNotificationWorker({ dmIntervalMs: 10 });
+  return db;
+}
+
+// database file with the schema of the first release, for migration tests; clean up with removeDbFiles()
+export async function createLegacyDb(seedSql = '') {
+  const file = path.join(os.tmpdir(), `serverpremiumsub-test-${process.pid}-${Date.now()}.db`);
+  const legacy = await open({ filename: file, driver: sqlite3.Database });
+  await legacy.exec(`
+    CREATE TABLE guilds (guild_id TEXT PRIMARY KEY, log_channel_id TEXT, server_card TEXT, price TEXT, role_id TEXT, last_guild_payment_ts INTEGER DEFAULT 0, active INTEGER DEFAULT 1);
+    CREATE TABLE subscriptions (guild_id TEXT, user_id TEXT, card_code TEXT, subscribed_ts INTEGER, last_renew_ts INTEGER, active INTEGER DEFAULT 0, PRIMARY KEY (guild_id, user_id));
+    CREATE TABLE payments (id INTEGER PRIMARY KEY AUTOINCREMENT, guild_id TEXT, user_id TEXT, from_card TEXT, to_card TEXT, amount TEXT, success INTEGER, txid TEXT, raw TEXT, ts INTEGER);
+  ` + seedSql);
+  await legacy.close();
+  return file;
+}
+
+// the database file and the backups the migration runner wrote next to it
+export async function removeDbFiles(file) {
+  const dir = path.dirname(file);
+  for (const f of await fs.promises.readdir(dir)) {
+    if (f === path.basename(file) || (f.startsWith(`${path.basename(file)}.`) && f.endsWith('.bak'))) await fs.promises.rm(path.join(dir, f), { force: true });
+  }
+}
+
+export async function resetDb() {
+  const tables = await db.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT IN ('schema_version', 'sqlite_sequence')");
+  for (const t of tables) await db.run(`DELETE FROM ${t.name}`);
+}
+
+// ---- Coin API stub ----
+// handler({ method, url, data, headers }) returns { status, data } or throws (e.g. timeoutError()).
+// Every request is recorded in the returned array.
+export function stubCoinApi(handler) {
+  const calls = [];
+  coin.defaults.adapter = async (config) => {
+    const req = { method: config.method, url: config.url, data: config.data ? JSON.parse(config.data) : null, headers: config.headers };
+    calls.push(req);
+    let out;
+    try {
+      out = await handler(req);
+    } catch (e) {
+      throw new AxiosError(e.message, e.code || 'ECONNABORTED', config);
+    }
+    const response = { status: out.status || 200, statusText: '', headers: {}, config, data: out.data };
+    if (response.status >= 400) throw new AxiosError(`Request failed with status code ${response.status}`, 'ERR_BAD_RESPONSE', config, null, response);
+    return response;
+  };
+  return calls;
+}
+
+export function timeoutError() {
+  return Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED' });
+}
+
+// ---- Polling ----
+// Resolves with the first truthy result of check() (sync or async), or null after timeoutMs.
+// For what happens in the background, like the DM queue.
+export async function waitFor(check, timeoutMs = 10000) {
+  const until = Date.now() + timeoutMs;
+  while (Date.now() < until) {
+    const found = await check();
+    if (found) return found;
+    await new Promise(r => setTimeout(r, 50));
+  }
+  return null;
+}
+
+// ---- Fake interactions ----
+export function cardModalSubmit(guildId, userId, card, { tierId = '', coupon = '', locale } = {}) {
+  return modalSubmit(`card_modal::${guildId}::${tierId}`, guildId, userId, { card_input: card, coupon_input: coupon }, locale);
+}
+
+export function giftModalSubmit(guildId, giverId, recipientId, cycles, card, { tierId = '' } = {}) {
+  return modalSubmit(`gift_modal::${guildId}::${recipientId}::${cycles}::${tierId}`, guildId, giverId, { card_input: card });
+}
+
+// slash command run by a member with every permission; options by name (missing ones read as null)
+export function commandInteraction(commandName, guildId, userId, options = {}, { subcommand = null, locale } = {}) {
+  const replies = [];
+  const get = (name) => (options[name] === undefined ? null : options[name]);
+  return {
+    replies,
+    commandName,
+    guildId,
+    locale,
+    user: { id: userId },
+    member: { permissions: { has: () => true } },
+    options: { getString: get, getBoolean: get, getInteger: get, getNumber: get, getChannel: get, getRole: get, getUser: get, getSubcommand: () => subcommand },
+    isChatInputCommand: () => true,
+    isModalSubmit: () => false,
+    isButton: () => false,
+    async reply(msg) { replies.push(msg); this.replied = true; },
+    async deferReply() { this.deferred = true; },
+    async editReply(msg) { replies.push(msg); },
+    async followUp(msg) { replies.push(msg); }
+  };
+}
+
+// locale: the member's Discord language (e.g. 'en-US'); undefined like an interaction without one
+function modalSubmit(customId, guildId, userId, values, locale) {
+  const replies = [];
+  return {
+    replies,
+    customId,
+    guildId,
+    locale,
+    user: { id: userId },
+    fields: { getTextInputValue: (id) => values[id] },
+    isChatInputCommand: () => false,
+    isModalSubmit: () => true,
+    isButton: () => false,
+    async reply(msg) { replies.push(msg); this.replied = true; },
+    async followUp(msg) { replies.push(msg); }
+  };
+}
@@ -0,0 +1,76 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeClient, setupDb, resetDb, stubCoinApi, cardModalSubmit, commandInteraction } from './helpers.js';
+import { handleInteraction } from '../src/interactions.js';
+import { buildSubscribePanel } from '../src/ui.js';
+import { commands } from '../src/commands.js';
+import { normalizeLanguage, t } from '../src/i18n.js';
+import * as pt from '../src/locales/pt.js';
+import * as en from '../src/locales/en.js';
+import { encryptCard } from '../src/cards.js';
+import { nowTs } from '../src/util.js';
+
+let db;
+let client;
+before(async () => { db = await setupDb(); });
+beforeEach(async () => {
+  await resetDb();
+  client = createFakeClient();
+  client.addGuild('g1').addMember('u1');
+  client.addChannel('log1');
+  await db.run("INSERT INTO guilds (guild_id, log_channel_id, server_card, price, role_id, active, last_guild_payment_ts) VALUES ('g1', 'log1', ?, '10', 'premium', 1, ?)", [encryptCard('server-card'), nowTs()]);
+});
+
+const placeholders = (s) => (s.match(/\{\w+\}/g) || []).sort();
+
+test('every text exists in both languages with the same placeholders', () => {
+  assert.deepEqual(Object.keys(en.text).sort(), Object.keys(pt.text).sort());
+  for (const key of Object.keys(pt.text)) assert.deepEqual(placeholders(en.text[key]), placeholders(pt.text[key]), key);
+  assert.deepEqual(Object.keys(en.commands).filter(k => !(k in pt.commands)).sort(), ['language.language.en', 'language.language.pt', 'provider.name.coin', 'provider.name.mock']);
+});
+
+test('t fills placeholders and falls back to the default language', () => {
+  assert.equal(t('en', 'cancel.done', { endsAt: 123 }), 'Auto-renewal cancelled. You keep your access until <t:123:f>.');
+  assert.equal(t(undefined, 'panel.subscribe'), 'Assinar');
+  assert.equal(t('fr', 'panel.subscribe'), 'Assinar');
+  assert.equal(normalizeLanguage('pt-BR'), 'pt');
+  assert.equal(normalizeLanguage('en-GB'), 'en');
+  assert.equal(normalizeLanguage('fr'), null);
+});
+
+test('replies follow the member\'s Discord language while the log channel follows the guild', async () => {
+  stubCoinApi(() => ({ data: { success: true, txId: 'tx-1' } }));
+  const interaction = cardModalSubmit('g1', 'u1', 'user-card', { locale: 'en-US' });
+  await handleInteraction(interaction);
+  assert.match(interaction.replies.at(-1).content, /Payment of 10\.00000000 coins successful/);
+  assert.equal(client.channels.cache.get('log1').messages[0].embeds[0].data.title, 'Pagamento de Assinatura — Sucesso');
+});
+
+test('/language switches the panel and the logs of the guild', async () => {
+  const command = commandInteraction('language', 'g1', 'admin', { language: 'en' });
+  await handleInteraction(command);
+  assert.equal((await db.get("SELECT language FROM guilds WHERE guild_id = 'g1'")).language, 'en');
+  assert.match(command.replies[0].content, /English/);
+
+  const panel = await buildSubscribePanel('g1');
+  assert.equal(panel.embeds[0].data.title, 'Premium Subscription Panel');
+  assert.equal(panel.components[0].components[0].data.label, 'Subscribe');
+
+  stubCoinApi(() => ({ data: { success: true, txId: 'tx-1' } }));
+  const interaction = cardModalSubmit('g1', 'u1', 'user-card', { locale: 'pt-BR' });
+  await handleInteraction(interaction);
+  assert.match(interaction.replies.at(-1).content, /efetuado com sucesso/);
+  assert.equal(client.channels.cache.get('log1').messages[0].embeds[0].data.title, 'Subscription Payment — Success');
+});
+
+test('slash commands carry Portuguese names and descriptions for pt-BR clients', () => {
+  const byName = Object.fromEntries(commands.map(c => [c.name, c]));
+  assert.equal(byName.unsubscribe.name_localizations['pt-BR'], 'cancelar');
+  assert.equal(byName.tier.options.find(o => o.name === 'edit').name_localizations['pt-BR'], 'editar');
+  for (const c of commands) {
+    assert.ok(c.description_localizations['pt-BR'], `${c.name} has a Portuguese description`);
+    for (const name of Object.values(c.name_localizations || {})) assert.match(name, /^[-_\p{Ll}\p{N}]{1,32}$/u);
+  }
+  const filter = byName.admin.options[0].options[0];
+  assert.equal(filter.choices.find(ch => ch.value === 'lapsed').name_localizations['pt-BR'], 'inativos');
+});
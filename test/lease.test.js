@@ -0,0 +1,85 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeClient, setupDb, resetDb, stubCoinApi } from './helpers.js';
+import { CHECKOUT_LEASE, periodicCheckout } from '../src/checkout.js';
+import { acquireLease, instanceId, leaseHolder, releaseLease } from '../src/lease.js';
+import { giveRoleToMember, ownsGuild, removeRoleFromAll } from '../src/bot.js';
+import { metrics } from '../src/metrics.js';
+import { encryptCard } from '../src/cards.js';
+import { nowTs } from '../src/util.js';
+
+let db;
+before(async () => { db = await setupDb(); });
+beforeEach(async () => { await resetDb(); });
+
+test('a lease has one holder until it expires or is released', async () => {
+  assert.equal(await acquireLease('job', 60, 'a'), true);
+  assert.equal(await acquireLease('job', 60, 'b'), false);
+  assert.equal(await acquireLease('job', 60, 'a'), true, 'renewed by its holder');
+
+  await db.run("UPDATE leases SET expires_ts = ? WHERE name = 'job'", nowTs());
+  assert.equal(await leaseHolder('job'), null);
+  assert.equal(await acquireLease('job', 60, 'b'), true, 'taken over once expired');
+  assert.equal((await db.get("SELECT holder FROM leases WHERE name = 'job'")).holder, 'b');
+
+  await releaseLease('job', 'a');
+  assert.equal((await leaseHolder('job')).holder, 'b', 'only the holder releases it');
+  await releaseLease('job', 'b');
+  assert.equal(await acquireLease('job', 60, 'a'), true);
+});
+
+test('periodicCheckout charges only in the process holding the checkout lease', async () => {
+  createFakeClient().addGuild('g1').addMember('u1', ['premium']);
+  const now = nowTs();
+  await db.run("INSERT INTO guilds (guild_id, server_card, price, role_id, active, last_guild_payment_ts) VALUES ('g1', ?, '10', 'premium', 1, ?)", [encryptCard('server-card'), now]);
+  await db.run("INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, next_charge_ts) VALUES ('g1', 'u1', ?, ?, ?, 1, ?)",
+    [encryptCard('card-u1'), now - 100, now - 100, now - 1]);
+  const calls = stubCoinApi(() => ({ data: { success: true, txId: 'tx-1' } }));
+
+  // another shard or a standby instance is running checkout
+  await acquireLease(CHECKOUT_LEASE, 600, 'other-process');
+  const skipped = metrics.checkoutTicksNotLeader;
+  await periodicCheckout();
+  assert.equal(calls.length, 0);
+  assert.equal(metrics.checkoutTicksNotLeader, skipped + 1);
+
+  // it stopped renewing the lease
+  await db.run('UPDATE leases SET expires_ts = ? WHERE name = ?', [nowTs() - 1, CHECKOUT_LEASE]);
+  await periodicCheckout();
+  assert.equal((await db.get("SELECT status FROM payments WHERE kind = 'subscription'")).status, 'confirmed');
+  const lease = await leaseHolder(CHECKOUT_LEASE);
+  assert.deepEqual([lease.holder, lease.self], [instanceId, true], 'kept for the next ticks');
+});
+
+test('role changes for a guild of another shard are run by that shard', async () => {
+  // guild ids land on shard (id >> 22) % 2: 8388608 -> 0, 4194304 -> 1
+  const otherShard = createFakeClient();
+  const remote = otherShard.addGuild('4194304');
+  remote.addMember('u1');
+  remote.addMember('u2', ['premium']);
+  const client = createFakeClient();
+  const local = client.addGuild('8388608');
+  local.addMember('u1');
+  const evals = [];
+  client.options = { shards: [0], shardCount: 2 };
+  client.shard = {
+    ids: [0],
+    count: 2,
+    async broadcastEval(script, { shard, context }) {
+      evals.push(shard);
+      return script(otherShard, context);
+    }
+  };
+
+  assert.equal(ownsGuild('8388608'), true);
+  assert.equal(ownsGuild('4194304'), false);
+  await giveRoleToMember('8388608', 'u1', 'premium');
+  assert.ok(local.members.cache.get('u1').roles.cache.has('premium'));
+  assert.deepEqual(evals, []);
+
+  await giveRoleToMember('4194304', 'u1', 'premium');
+  await removeRoleFromAll('4194304', 'premium');
+  assert.deepEqual(evals, [1, 1]);
+  assert.equal(remote.members.cache.get('u2').roles.cache.has('premium'), false);
+  assert.equal(remote.members.cache.get('u1').roles.cache.has('premium'), false, 'added, then removed from everyone');
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLegacyDb, removeDbFiles, TEST_CARD_KEY } from './helpers.js';
+import { loadCardKeys } from '../src/cards.js';
+import { initDb } from '../src/db.js';
+
+loadCardKeys(TEST_CARD_KEY);
+
+// what the migrations log goes to logs
+async function openDb(file, logs = []) {
+  await initDb(file, { log: (msg) => logs.push(msg) });
+  return (await import('../src/db.js')).db;
+}
+
+function backupsOf(file) {
+  return fs.readdirSync(path.dirname(file)).filter(f => f.startsWith(`${path.basename(file)}.`) && f.endsWith('.bak'));
+}
+
+test('a new database gets every migration and no backup', async () => {
+  const file = path.join(os.tmpdir(), `serverpremiumsub-new-${process.pid}.db`);
+  try {
+    const db = await openDb(file);
+    const versions = await db.all('SELECT version FROM schema_version ORDER BY version');
+    assert.deepEqual(versions.map(v => v.version), versions.map((_, i) => i + 1));
+    const cols = (await db.all('PRAGMA table_info(subscriptions)')).map(c => c.name);
+    assert.ok(cols.includes('next_charge_ts'));
+    await db.close();
+    assert.deepEqual(backupsOf(file), []);
+  } finally {
+    await removeDbFiles(file);
+  }
+});
+
+test('a first-release database is backed up, migrated once and keeps its rows', async () => {
+  const file = await createLegacyDb(`
+    INSERT INTO guilds (guild_id, price, role_id) VALUES ('g1', '2', 'r1');
+    INSERT INTO subscriptions (guild_id, user_id, subscribed_ts, last_renew_ts, active) VALUES ('g1', 'u1', 100, 100, 1);
+    INSERT INTO payments (guild_id, user_id, amount, success, ts) VALUES ('g1', 'u1', '2', 1, 100);
+  `);
+  try {
+    const logs = [];
+    let db = await openDb(file, logs);
+    assert.match(logs[0], /^Database backup before migrating: .*\.v0-.*\.bak$/);
+    assert.equal(logs[logs.length - 1], 'Applied migration 19-payer-card');
+    const sub = await db.get("SELECT * FROM subscriptions WHERE user_id = 'u1'");
+    assert.ok(sub.next_charge_ts > 100);
+    assert.equal((await db.get('SELECT status FROM payments')).status, 'confirmed');
+    await db.close();
+    const backups = backupsOf(file);
+    assert.equal(backups.length, 1);
+    assert.match(backups[0], /\.v0-.*\.bak$/);
+
+    // second start: nothing pending, no new backup
+    logs.length = 0;
+    db = await openDb(file, logs);
+    await db.close();
+    assert.equal(backupsOf(file).length, 1);
+    assert.deepEqual(logs, []);
+  } finally {
+    await removeDbFiles(file);
+  }
+});
+
+test('a database written by newer code is refused', async () => {
+  const file = await createLegacyDb('CREATE TABLE schema_version (version INTEGER PRIMARY KEY, name TEXT, applied_ts INTEGER); INSERT INTO schema_version VALUES (9999, \'future\', 0);');
+  try {
+    await assert.rejects(initDb(file, { log: () => {} }), /newer than this code/);
+    const { db } = await import('../src/db.js');
+    assert.equal((await db.all("SELECT name FROM sqlite_master WHERE name = 'tiers'")).length, 0);
+    await db.close();
+  } finally {
+    await removeDbFiles(file);
+  }
+});
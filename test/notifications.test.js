@@ -0,0 +1,101 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeClient, setupDb, resetDb, stubCoinApi, commandInteraction, waitFor } from './helpers.js';
+import { handleInteraction } from '../src/interactions.js';
+import { periodicCheckout } from '../src/checkout.js';
+import { notifyUserDMed, sendReceipt, sendRenewalReminders } from '../src/notifications.js';
+import { getGuildRow } from '../src/guilds.js';
+import { encryptCard } from '../src/cards.js';
+import { nowTs } from '../src/util.js';
+
+let db;
+let client;
+before(async () => { db = await setupDb(); });
+beforeEach(async () => {
+  await resetDb();
+  client = createFakeClient();
+  client.addGuild('g1').addMember('u1', ['premium']);
+  client.addChannel('log1');
+  await db.run("INSERT INTO guilds (guild_id, log_channel_id, server_card, price, role_id, active, last_guild_payment_ts) VALUES ('g1', 'log1', ?, '10', 'premium', 1, ?)", [encryptCard('server-card'), nowTs()]);
+});
+
+const rows = (kind) => db.all('SELECT * FROM notifications WHERE kind = ? ORDER BY id', kind);
+
+test('a DM that fails stays queued and is retried later', async () => {
+  const fetchUser = client.users.fetch;
+  client.users.fetch = async (id) => ({ id, async send() { throw new Error('Cannot send messages to this user'); } });
+  await notifyUserDMed('u1', 'hello', 'g1', 'renewal_failed');
+
+  const failed = await waitFor(async () => (await rows('renewal_failed')).find(n => n.attempts === 1));
+  assert.ok(failed, 'first attempt recorded');
+  assert.equal(failed.status, 'pending');
+  assert.match(failed.last_error, /Cannot send/);
+  assert.ok(failed.next_attempt_ts > nowTs(), 'retry scheduled in the future');
+
+  client.users.fetch = fetchUser;
+  await db.run('UPDATE notifications SET next_attempt_ts = ? WHERE id = ?', [nowTs() - 1, failed.id]);
+  await notifyUserDMed('u1', 'second', 'g1', 'renewal_failed');
+  const sent = await waitFor(async () => (await rows('renewal_failed')).every(n => n.status === 'sent') && client.dms.length === 2);
+  assert.ok(sent, 'retried DM delivered');
+  assert.deepEqual(client.dms.map(d => d.content).sort(), ['hello', 'second']);
+});
+
+test('a renewal reminder goes out once per cycle, before the charge', async () => {
+  const now = nowTs();
+  await db.run("INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, next_charge_ts) VALUES ('g1', 'u1', ?, ?, ?, 1, ?)",
+    [encryptCard('card-u1'), now - 100, now - 100, now + 86400]);
+  // not in the window yet / cancelled members are not reminded
+  await db.run("INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, next_charge_ts) VALUES ('g1', 'far', ?, ?, ?, 1, ?)",
+    [encryptCard('card-far'), now, now, now + 20 * 86400]);
+  await db.run("INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, next_charge_ts, cancelled_ts) VALUES ('g1', 'gone', ?, ?, ?, 1, ?, ?)",
+    [encryptCard('card-gone'), now, now, now + 86400, now]);
+
+  assert.equal(await sendRenewalReminders(now), 1);
+  assert.equal(await sendRenewalReminders(now), 0, 'same cycle is not reminded twice');
+  const [reminder] = await rows('reminder');
+  assert.equal(reminder.user_id, 'u1');
+  assert.match(reminder.message, /renova <t:\d+:R>.*10\.00000000 coins/);
+
+  // next cycle
+  await db.run("UPDATE subscriptions SET next_charge_ts = ? WHERE user_id = 'u1'", now + 2 * 86400);
+  assert.equal(await sendRenewalReminders(now), 1);
+});
+
+test('a successful renewal sends a receipt with the transaction id', async () => {
+  const now = nowTs();
+  await db.run("INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, next_charge_ts) VALUES ('g1', 'u1', ?, ?, ?, 1, ?)",
+    [encryptCard('card-u1'), now - 100, now - 100, now - 1]);
+  stubCoinApi(() => ({ data: { success: true, txId: 'tx-renew-1' } }));
+
+  await periodicCheckout();
+
+  const dm = await waitFor(() => client.dms.find(d => d.userId === 'u1' && /Recibo/.test(d.content)));
+  assert.ok(dm, 'receipt DMed');
+  assert.match(dm.content, /10\.00000000 coins.*`tx-renew-1`/);
+});
+
+test('/notifications turns off reminders and receipts but not essential DMs', async () => {
+  const status = commandInteraction('notifications', 'g1', 'u1', {}, { locale: 'en-US' });
+  await handleInteraction(status);
+  assert.match(status.replies[0].content, /You get every DM/);
+
+  // a reminder still waiting for a retry
+  await db.run("INSERT INTO notifications (user_id, guild_id, kind, message, status, attempts, next_attempt_ts, created_ts) VALUES ('u1', 'g1', 'reminder', 'soon', 'pending', 1, ?, ?)", [nowTs() + 600, nowTs()]);
+  const off = commandInteraction('notifications', 'g1', 'u1', { enabled: false }, { locale: 'en-US' });
+  await handleInteraction(off);
+  assert.match(off.replies[0].content, /no longer send renewal reminders/);
+
+  const g = await getGuildRow('g1');
+  assert.equal(await sendReceipt(g, 'u1', { amount: '10', txid: 'tx-1', plan: null, nextTs: nowTs() }), false);
+  assert.equal(await notifyUserDMed('u1', 'renewal failed', 'g1', 'renewal_failed'), true);
+  assert.deepEqual((await db.all('SELECT kind, status FROM notifications ORDER BY id')).map(r => [r.kind, r.status === 'skipped']),
+    [['reminder', true], ['renewal_failed', false]]);
+  const now = nowTs();
+  await db.run("INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, next_charge_ts) VALUES ('g1', 'u1', ?, ?, ?, 1, ?)",
+    [encryptCard('card-u1'), now, now, now + 86400]);
+  assert.equal(await sendRenewalReminders(now), 0);
+
+  const on = commandInteraction('notifications', 'g1', 'u1', { enabled: true }, { locale: 'en-US' });
+  await handleInteraction(on);
+  assert.match(on.replies[0].content, /renewal reminders and receipts from this guild again/);
+});
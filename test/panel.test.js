@@ -0,0 +1,83 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeClient, setupDb, resetDb, commandInteraction } from './helpers.js';
+import { handleInteraction } from '../src/interactions.js';
+import { refreshCountPanels } from '../src/panel.js';
+import { encryptCard } from '../src/cards.js';
+import { nowTs } from '../src/util.js';
+
+let db;
+let client;
+let panels;
+before(async () => { db = await setupDb(); });
+beforeEach(async () => {
+  await resetDb();
+  client = createFakeClient();
+  client.addGuild('g1').addMember('u1');
+  panels = client.addChannel('panels');
+  await db.run("INSERT INTO guilds (guild_id, server_card, price, role_id, active, last_guild_payment_ts) VALUES ('g1', ?, '10', 'premium', 1, ?)", [encryptCard('server-card'), nowTs()]);
+});
+
+const run = async (name, options, extra) => {
+  const interaction = commandInteraction(name, 'g1', 'admin', options, extra);
+  await handleInteraction(interaction);
+  return interaction;
+};
+const panel = () => panels.messages[0];
+
+test('/channel remembers the panel and settings changes edit it in place', async () => {
+  await run('channel', { channel: panels });
+  const g = await db.get("SELECT panel_channel_id, panel_message_id FROM guilds WHERE guild_id = 'g1'");
+  assert.deepEqual(g, { panel_channel_id: 'panels', panel_message_id: panel().id });
+  assert.match(panel().embeds[0].data.description, /10\.00000000 coins/);
+
+  await run('worth', { price: '12' });
+  assert.equal(panels.messages.length, 1, 'edited, not reposted');
+  assert.equal(panel().edits, 1);
+  assert.match(panel().embeds[0].data.description, /12\.00000000 coins/);
+
+  await run('role', { role: { id: 'vip', name: 'VIP' } });
+  assert.match(panel().embeds[0].data.description, /<@&vip>/);
+});
+
+test('/panelconfig customizes the panel and reset brings the default back', async () => {
+  await run('channel', { channel: panels });
+  const config = await run('panelconfig', { title: 'Clube VIP', description: 'Apoie o servidor\\nObrigado!', color: '#5865F2', image: 'https://example.com/banner.png', button: 'Quero' });
+  assert.match(config.replies.at(-1).content, /atualizado/);
+  const embed = panel().embeds[0].data;
+  assert.equal(embed.title, 'Clube VIP');
+  assert.match(embed.description, /^Apoie o servidor\nObrigado!\n10\.00000000 coins/);
+  assert.equal(embed.color, 0x5865f2);
+  assert.equal(embed.image.url, 'https://example.com/banner.png');
+  assert.equal(panel().components[0].components[0].data.label, 'Quero');
+
+  const invalid = await run('panelconfig', { color: 'blue' });
+  assert.match(invalid.replies[0].content, /Cor inválida/);
+  assert.equal(panel().embeds[0].data.color, 0x5865f2);
+
+  await run('panelconfig', { reset: true });
+  assert.equal(panel().embeds[0].data.title, 'Painel de Assinatura Premium');
+  assert.equal(panel().embeds[0].data.color, undefined);
+  assert.equal(panel().components[0].components[0].data.label, 'Assinar');
+});
+
+test('the subscriber count is refreshed on schedule and only a deleted panel is forgotten', async () => {
+  await run('channel', { channel: panels });
+  await run('panelconfig', { subscriber_count: true });
+  assert.deepEqual(panel().embeds[0].data.fields, [{ name: 'Assinantes ativos', value: '0', inline: true }]);
+
+  await db.run("INSERT INTO subscriptions (guild_id, user_id, subscribed_ts, last_renew_ts, active) VALUES ('g1', 'u1', ?, ?, 1)", [nowTs(), nowTs()]);
+  await refreshCountPanels();
+  assert.equal(panel().embeds[0].data.fields[0].value, '1');
+
+  // an outage does not lose the panel
+  const fetchChannel = client.channels.fetch;
+  client.channels.fetch = async () => { throw Object.assign(new Error('Service Unavailable'), { status: 503 }); };
+  await refreshCountPanels();
+  client.channels.fetch = fetchChannel;
+  assert.equal((await db.get("SELECT panel_message_id FROM guilds WHERE guild_id = 'g1'")).panel_message_id, panel().id);
+
+  await panel().delete();
+  await refreshCountPanels();
+  assert.equal((await db.get("SELECT panel_message_id FROM guilds WHERE guild_id = 'g1'")).panel_message_id, null);
+});
@@ -0,0 +1,107 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeClient, setupDb, resetDb, stubCoinApi, timeoutError, cardModalSubmit } from './helpers.js';
+import { attemptCharge, classifyChargeResponse, responseLooksLikeHtml } from '../src/payments.js';
+import { handleInteraction } from '../src/interactions.js';
+
+let db;
+let client;
+before(async () => { db = await setupDb(); });
+beforeEach(async () => {
+  await resetDb();
+  client = createFakeClient();
+});
+
+const verified = { verifyTx: async () => true };
+const unverified = { verifyTx: async () => false };
+
+test('classifyChargeResponse: explicit answers', async () => {
+  // an explicit success costs no verification round-trip
+  const lookups = [];
+  assert.deepEqual(await classifyChargeResponse({ success: true, txId: 'tx1' }, { verifyTx: async (tx) => { lookups.push(tx); return false; } }), { outcome: 'success', txid: 'tx1' });
+  assert.deepEqual(lookups, []);
+  assert.deepEqual(await classifyChargeResponse({ success: false, error: 'insufficient funds' }, verified), { outcome: 'failed', txid: null });
+  // an HTML error page below 5xx means the request never reached a payment handler
+  assert.equal(responseLooksLikeHtml('<!DOCTYPE html><html></html>'), true);
+  assert.deepEqual(await classifyChargeResponse('<!DOCTYPE html><html></html>', verified), { outcome: 'failed', txid: null });
+});
+
+test('classifyChargeResponse: ambiguous answers are unknown', async () => {
+  assert.equal((await classifyChargeResponse(null, verified)).outcome, 'unknown');
+  assert.equal((await classifyChargeResponse('ok', verified)).outcome, 'unknown');
+  assert.equal((await classifyChargeResponse({ success: false, error: 'timeout', ambiguous: true }, verified)).outcome, 'unknown');
+  // no success flag: a txid only counts once the API confirms it
+  assert.deepEqual(await classifyChargeResponse({ txId: 'tx2' }, unverified), { outcome: 'unknown', txid: 'tx2' });
+  assert.deepEqual(await classifyChargeResponse({ txId: 'tx2' }, verified), { outcome: 'success', txid: 'tx2' });
+});
+
+test('attemptCharge: timeout is recorded as unknown and the bill fallback is not tried', async () => {
+  const calls = stubCoinApi(() => { throw timeoutError(); });
+  const attempt = await attemptCharge('payer', 'receiver', '1.00000000', { guildId: 'g1', userId: 'u1' });
+  assert.equal(attempt.status, 'unknown');
+  assert.equal(attempt.success, false);
+  assert.deepEqual(calls.map(c => c.url), ['/card/pay']);
+  assert.ok(calls[0].headers['Idempotency-Key']);
+  const row = await db.get('SELECT * FROM payments WHERE id = ?', attempt.paymentId);
+  assert.equal(row.status, 'unknown');
+  assert.equal(row.idem_key, calls[0].headers['Idempotency-Key']);
+});
+
+test('attemptCharge: 502 HTML page is unknown', async () => {
+  stubCoinApi(() => ({ status: 502, data: '<html><body>Bad Gateway</body></html>' }));
+  const attempt = await attemptCharge('payer', 'receiver', '1.00000000', { guildId: 'g1' });
+  assert.equal(attempt.status, 'unknown');
+});
+
+test('attemptCharge: certain failure falls back to bill create + pay', async () => {
+  const calls = stubCoinApi((req) => {
+    if (req.url === '/card/pay') return { data: { success: false, error: 'card_pay_disabled' } };
+    if (req.url === '/bill/create/card') return { data: { billId: 'b1' } };
+    if (req.url === '/bill/pay/card') return { data: { success: true, txId: 'tx-bill' } };
+    return { status: 404, data: {} };
+  });
+  const attempt = await attemptCharge('payer', 'receiver', '1.00000000', { guildId: 'g1', userId: 'u1' });
+  assert.equal(attempt.status, 'confirmed');
+  assert.equal(attempt.txid, 'tx-bill');
+  assert.deepEqual(calls.map(c => c.url).slice(0, 3), ['/card/pay', '/bill/create/card', '/bill/pay/card']);
+});
+
+test('first payment through the card modal activates the member and gives the role', async () => {
+  const guild = client.addGuild('g1');
+  guild.addMember('u1');
+  const log = client.addChannel('log1');
+  await db.run('INSERT INTO guilds (guild_id, log_channel_id, server_card, price, role_id, last_guild_payment_ts, active) VALUES (?, ?, ?, ?, ?, ?, 1)',
+    ['g1', 'log1', 'server-card', '2', 'premium', Math.floor(Date.now() / 1000)]);
+  const calls = stubCoinApi(() => ({ data: { success: true, txId: 'tx-first' } }));
+
+  const interaction = cardModalSubmit('g1', 'u1', 'member-card');
+  await handleInteraction(interaction);
+
+  assert.equal(calls[0].url, '/card/pay');
+  assert.deepEqual({ fromCard: calls[0].data.fromCard, toCard: calls[0].data.toCard, amount: calls[0].data.amount }, { fromCard: 'member-card', toCard: 'server-card', amount: 2 });
+  const sub = await db.get('SELECT * FROM subscriptions WHERE guild_id = ? AND user_id = ?', ['g1', 'u1']);
+  assert.equal(sub.active, 1);
+  assert.match(sub.card_code, /^enc:v1:/);
+  assert.ok(sub.next_charge_ts > sub.last_renew_ts);
+  assert.ok(guild.members.cache.get('u1').roles.cache.has('premium'));
+  assert.match(interaction.replies.at(-1).content, /sucesso/);
+  assert.equal(log.messages.length, 1);
+});
+
+test('first payment with an ambiguous answer leaves the member inactive and blocks a second try', async () => {
+  const guild = client.addGuild('g1');
+  guild.addMember('u1');
+  await db.run('INSERT INTO guilds (guild_id, server_card, price, role_id, last_guild_payment_ts, active) VALUES (?, ?, ?, ?, ?, 1)',
+    ['g1', 'server-card', '2', 'premium', Math.floor(Date.now() / 1000)]);
+  const calls = stubCoinApi(() => ({ status: 503, data: { error: 'upstream' } }));
+
+  await handleInteraction(cardModalSubmit('g1', 'u1', 'member-card'));
+  const sub = await db.get('SELECT * FROM subscriptions WHERE guild_id = ? AND user_id = ?', ['g1', 'u1']);
+  assert.equal(sub.active, 0);
+  assert.equal(guild.members.cache.get('u1').roles.cache.has('premium'), false);
+
+  const retry = cardModalSubmit('g1', 'u1', 'member-card');
+  await handleInteraction(retry);
+  assert.equal(calls.length, 1);
+  assert.match(retry.replies[0].content, /verificação/);
+});
@@ -0,0 +1,104 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeClient, setupDb, resetDb, stubCoinApi, cardModalSubmit } from './helpers.js';
+import { applyPriceChange, initialCharge } from '../src/subscriptions.js';
+import { periodicCheckout } from '../src/checkout.js';
+import { handleInteraction } from '../src/interactions.js';
+import { encryptCard } from '../src/cards.js';
+import { nowTs } from '../src/util.js';
+
+const DAY = 86400;
+let db;
+let client;
+before(async () => { db = await setupDb(); });
+beforeEach(async () => {
+  await resetDb();
+  client = createFakeClient();
+  client.addGuild('g1').addMember('u1');
+});
+
+async function addSubscriber(userId, { tierId = null, lastRenew = nowTs(), nextCharge = null } = {}) {
+  await db.run('INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, tier_id, next_charge_ts) VALUES (?, ?, ?, ?, ?, 1, ?, ?)',
+    ['g1', userId, encryptCard(`card-${userId}`), lastRenew, lastRenew, tierId, nextCharge]);
+}
+
+const sub = (userId) => db.get('SELECT * FROM subscriptions WHERE guild_id = ? AND user_id = ?', ['g1', userId]);
+
+test('an increase with notice keeps the old price until the notice period ends', async () => {
+  const now = nowTs();
+  await db.run("INSERT INTO guilds (guild_id, server_card, price, active, last_guild_payment_ts) VALUES ('g1', ?, '15', 1, ?)", [encryptCard('server-card'), now]);
+  await addSubscriber('u1', { nextCharge: now - 1 });
+  await addSubscriber('u2', { nextCharge: now - 1 });
+  await db.run("UPDATE subscriptions SET cancelled_ts = ? WHERE user_id = 'u2'", now);
+
+  const change = await applyPriceChange('g1', { oldPrice: '10', newPrice: '15', noticeSec: 7 * DAY });
+  assert.equal(change.notified, 1); // cancelled members are not renewed, nobody to tell
+  const s1 = await sub('u1');
+  assert.equal(Number(s1.locked_price), 10);
+  assert.equal(s1.locked_until, change.effectiveTs);
+
+  const calls = stubCoinApi(() => ({ data: { success: true, txId: 'tx' } }));
+  await periodicCheckout();
+  assert.deepEqual(calls.filter(c => c.method === 'post').map(c => c.data.amount), [10]);
+
+  // after the notice period the plan price applies
+  await db.run("UPDATE subscriptions SET locked_until = ?, next_charge_ts = ? WHERE user_id = 'u1'", [now - 10, now - 1]);
+  await periodicCheckout();
+  assert.deepEqual(calls.filter(c => c.method === 'post').map(c => c.data.amount), [10, 15]);
+
+  await new Promise(r => setTimeout(r, 20));
+  assert.match(client.dms[0].content, /de 10\.00000000 para 15\.00000000 coins/);
+});
+
+test('keep_current locks the current price for good and a later decrease releases it', async () => {
+  await db.run("INSERT INTO guilds (guild_id, price) VALUES ('g1', '10')");
+  await addSubscriber('u1');
+  const change = await applyPriceChange('g1', { oldPrice: '10', newPrice: '20', keepCurrent: true });
+  assert.deepEqual(change, { notified: 0, kept: 1, effectiveTs: null });
+  let s1 = await sub('u1');
+  assert.equal(Number(s1.locked_price), 10);
+  assert.equal(s1.locked_until, null);
+
+  await applyPriceChange('g1', { oldPrice: '20', newPrice: '5' });
+  s1 = await sub('u1');
+  assert.equal(s1.locked_price, null);
+});
+
+test('switching plans mid-cycle credits the unused part of the current period', () => {
+  const now = 1_000_000;
+  const cheap = { tierId: 1, price: '10', cycleSec: 30 * DAY };
+  const pricey = { tierId: 2, price: '20', cycleSec: 30 * DAY };
+  const previous = { active: 1, card_code: 'x', last_renew_ts: now - 15 * DAY };
+  assert.deepEqual(initialCharge(previous, cheap, pricey, now), { amount: '15.00000000', credit: 5, extraSec: 0, switching: true });
+  // downgrade: the credit pays the new plan and the rest becomes extra time
+  const downgrade = initialCharge({ ...previous, last_renew_ts: now - 3 * DAY }, pricey, cheap, now);
+  assert.equal(downgrade.amount, '0.00000000');
+  assert.equal(downgrade.credit, 18);
+  assert.equal(downgrade.extraSec, 24 * DAY);
+  // same plan, granted period or lapsed member: no credit
+  assert.equal(initialCharge(previous, cheap, cheap, now).amount, '10.00000000');
+  assert.equal(initialCharge({ ...previous, card_code: null }, cheap, pricey, now).amount, '20.00000000');
+  assert.equal(initialCharge({ ...previous, active: 0 }, cheap, pricey, now).amount, '20.00000000');
+});
+
+test('the card modal charges the prorated amount when switching tiers', async () => {
+  const now = nowTs();
+  await db.run("INSERT INTO guilds (guild_id, server_card, price, active, last_guild_payment_ts) VALUES ('g1', ?, '1', 1, ?)", [encryptCard('server-card'), now]);
+  const a = await db.run("INSERT INTO tiers (guild_id, name, price, role_id, cycle_sec) VALUES ('g1', 'Silver', '10', 'r-silver', ?)", 30 * DAY);
+  const b = await db.run("INSERT INTO tiers (guild_id, name, price, role_id, cycle_sec) VALUES ('g1', 'Gold', '20', 'r-gold', ?)", 30 * DAY);
+  await addSubscriber('u1', { tierId: a.lastID, lastRenew: now - 15 * DAY });
+  client.guilds.cache.get('g1').members.cache.get('u1').roles.cache.set('r-silver', { id: 'r-silver' });
+  const calls = stubCoinApi(() => ({ data: { success: true, txId: 'tx-switch' } }));
+
+  const interaction = cardModalSubmit('g1', 'u1', 'member-card', { tierId: b.lastID });
+  await handleInteraction(interaction);
+
+  assert.equal(calls[0].data.amount, 15);
+  const s1 = await sub('u1');
+  assert.equal(s1.tier_id, b.lastID);
+  assert.ok(Math.abs(s1.next_charge_ts - (nowTs() + 30 * DAY)) <= 2);
+  const roles = client.guilds.cache.get('g1').members.cache.get('u1').roles.cache;
+  assert.ok(roles.has('r-gold'));
+  assert.equal(roles.has('r-silver'), false);
+  assert.match(interaction.replies.at(-1).content, /crédito de 5\.00000000/);
+});
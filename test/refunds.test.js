@@ -0,0 +1,120 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeClient, setupDb, resetDb, stubCoinApi, commandInteraction, giftModalSubmit, timeoutError, waitFor } from './helpers.js';
+import { handleInteraction } from '../src/interactions.js';
+import { periodicCheckout } from '../src/checkout.js';
+import { hasUnresolvedCharge } from '../src/payments.js';
+import { buildRevenueEmbed } from '../src/ui.js';
+import { encryptCard } from '../src/cards.js';
+import { nowTs } from '../src/util.js';
+
+let db;
+let client;
+let guild;
+let paymentId;
+before(async () => { db = await setupDb(); });
+beforeEach(async () => {
+  await resetDb();
+  client = createFakeClient();
+  guild = client.addGuild('g1');
+  guild.addMember('u1', ['premium']);
+  client.addChannel('log1');
+  await db.run("INSERT INTO guilds (guild_id, log_channel_id, server_card, price, role_id, active, last_guild_payment_ts) VALUES ('g1', 'log1', ?, '10', 'premium', 1, ?)", [encryptCard('server-card'), nowTs()]);
+  const now = nowTs();
+  await db.run("INSERT INTO subscriptions (guild_id, user_id, card_code, subscribed_ts, last_renew_ts, active, next_charge_ts) VALUES ('g1', 'u1', ?, ?, ?, 1, ?)",
+    [encryptCard('card-of-u1'), now - 100, now - 100, now - 1]);
+  stubCoinApi(() => ({ data: { success: true, txId: 'tx-renewal' } }));
+  await periodicCheckout();
+  paymentId = (await db.get("SELECT id FROM payments WHERE kind = 'subscription' AND status = 'confirmed'")).id;
+});
+
+const refund = async (options) => {
+  const interaction = commandInteraction('refund', 'g1', 'admin', { payment: paymentId, ...options }, { locale: 'en-US' });
+  await handleInteraction(interaction);
+  return interaction.replies[0].content;
+};
+const titles = () => client.channels.cache.get('log1').messages.map(m => m.embeds[0].data.title);
+// DMs go through the queue
+const dmTo = (userId, pattern) => waitFor(() => client.dms.find(d => d.userId === userId && pattern.test(d.content)));
+
+test('a full refund sends the payment back from the server card and can end the subscription', async () => {
+  const calls = stubCoinApi(() => ({ data: { success: true, txId: 'tx-refund' } }));
+  const reply = await refund({ end_subscription: true, reason: 'double charge' });
+
+  assert.equal(reply, `Refund of 10.00000000 coins sent to <@u1> (payment #${paymentId}). TX: \`tx-refund\`. Left to refund: 0.00000000 coins. The subscription of <@u1> was ended.`);
+  assert.deepEqual(calls.filter(c => c.url === '/card/pay').map(c => [c.data.fromCard, c.data.toCard, c.data.amount]), [['server-card', 'card-of-u1', 10]]);
+  const row = await db.get("SELECT * FROM payments WHERE kind = 'refund'");
+  assert.deepEqual([row.parent_payment_id, row.user_id, row.status], [paymentId, 'u1', 'confirmed']);
+  const sub = await db.get("SELECT active, next_charge_ts FROM subscriptions WHERE user_id = 'u1'");
+  assert.deepEqual([sub.active, sub.next_charge_ts], [0, null]);
+  assert.equal(guild.members.cache.get('u1').roles.cache.has('premium'), false);
+  assert.equal((await db.get("SELECT action FROM audit_log WHERE action = 'refund'")).action, 'refund');
+  assert.ok(titles().includes('Reembolso'));
+  assert.ok(await dmTo('u1', /reembolsou 10\.00000000 coins.*Motivo: double charge/), 'member DMed');
+
+  assert.equal(await refund({}), `Payment #${paymentId} was already fully refunded.`);
+});
+
+test('partial refunds never add up to more than the payment and are subtracted from revenue', async () => {
+  stubCoinApi(() => ({ data: { success: true, txId: 'tx-refund' } }));
+  assert.match(await refund({ amount: '4' }), /Left to refund: 6\.00000000 coins\.$/);
+  assert.equal(await refund({ amount: '7' }), 'Invalid amount: use a number above zero, up to 6.00000000 coins.');
+  assert.match(await refund({}), /Refund of 6\.00000000 coins/);
+  assert.equal((await db.get("SELECT active FROM subscriptions WHERE user_id = 'u1'")).active, 1, 'kept without end_subscription');
+
+  const revenue = await buildRevenueEmbed('g1', 'day', 7, 'en');
+  assert.equal(revenue.data.fields[0].value, '0.00000000 coins (1 payment(s))');
+});
+
+test('a refund goes to the card that paid, even after the member changed cards or for a gift', async () => {
+  await db.run("UPDATE subscriptions SET card_code = ? WHERE user_id = 'u1'", encryptCard('new-card-of-u1'));
+  let calls = stubCoinApi(() => ({ data: { success: true, txId: 'tx-refund' } }));
+  assert.match(await refund({ amount: '1' }), /Refund of 1\.00000000 coins sent to <@u1>/);
+  assert.deepEqual(calls.filter(c => c.url === '/card/pay').map(c => c.data.toCard), ['card-of-u1']);
+
+  guild.addMember('giver');
+  guild.addMember('friend');
+  await handleInteraction(giftModalSubmit('g1', 'giver', 'friend', 1, 'giver-card'));
+  paymentId = (await db.get("SELECT id FROM payments WHERE kind = 'gift'")).id;
+  calls = stubCoinApi(() => ({ data: { success: true, txId: 'tx-refund' } }));
+  assert.match(await refund({}), /Refund of 10\.00000000 coins sent to <@giver>/);
+  assert.deepEqual(calls.filter(c => c.url === '/card/pay').map(c => c.data.toCard), ['giver-card']);
+});
+
+test('payments from before payer_card are refunded to the member\'s card with the same mask', async () => {
+  await db.run('UPDATE payments SET payer_card = NULL WHERE id = ?', paymentId);
+  let calls = stubCoinApi(() => ({ data: { success: true, txId: 'tx-refund' } }));
+  assert.match(await refund({ amount: '1' }), /Refund of 1\.00000000 coins/);
+  assert.deepEqual(calls.filter(c => c.url === '/card/pay').map(c => c.data.toCard), ['card-of-u1']);
+
+  await db.run("UPDATE subscriptions SET card_code = ? WHERE user_id = 'u1'", encryptCard('new-card-of-u1'));
+  calls = stubCoinApi(() => ({ data: { success: true, txId: 'tx-refund' } }));
+  assert.equal(await refund({}), 'The card used for this payment (ca••••••u1) is no longer on file for the member. Refund it by hand through the coin API.');
+  assert.equal(calls.filter(c => c.url === '/card/pay').length, 0);
+});
+
+test('the platform fee taken from a payment is not refunded by the guild', async () => {
+  await db.run("UPDATE payments SET platform_fee = '1.00000000', guild_share = '9.00000000' WHERE id = ?", paymentId);
+  const calls = stubCoinApi(() => ({ data: { success: true, txId: 'tx-refund' } }));
+  assert.equal(await refund({ amount: '10' }), 'Invalid amount: use a number above zero, up to 9.00000000 coins.');
+  assert.match(await refund({}), /^Refund of 9\.00000000 coins .* Left to refund: 0\.00000000 coins\.$/);
+  assert.deepEqual(calls.filter(c => c.url === '/card/pay').map(c => c.data.amount), [9]);
+});
+
+test('a failed refund moves nothing and can be tried again', async () => {
+  stubCoinApi(() => ({ data: { success: false, error: 'insufficient funds' } }));
+  assert.equal(await refund({}), 'The refund failed: insufficient funds. Nothing was sent.');
+  assert.ok(titles().includes('Reembolso Falhou'));
+
+  stubCoinApi(() => ({ data: { success: true, txId: 'tx-refund' } }));
+  assert.match(await refund({}), /Refund of 10\.00000000 coins/);
+  assert.equal(await refund({ payment: 999 }), 'Payment #999 not found in this guild (only member payments can be refunded).');
+});
+
+test('a refund left unverified does not block the member\'s next charges', async () => {
+  stubCoinApi(() => { throw timeoutError(); });
+  await refund({});
+  assert.equal((await db.get("SELECT status FROM payments WHERE kind = 'refund'")).status, 'unknown');
+  assert.equal(await hasUnresolvedCharge('g1', 'u1'), false);
+  assert.match(await refund({}), /^Refund #\d+ of this payment is still being verified\./, 'but it blocks another refund of that payment');
+});